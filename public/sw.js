@@ -0,0 +1,74 @@
+// public/sw.js — offline support: built assets come from the cache; the app
+// shell, images and theme packs from the network, falling back to the cache.
+// Score API calls (another origin) go straight to the network and are handled
+// by the page (src/lib/outbox.js, cached leaderboard).
+
+const CACHE = "rsdd-v1";   // bump to drop old caches on the next visit
+
+const SHELL = [
+  "/",
+  "/manifest.webmanifest",
+  "/img/logo1.png",
+  "/img/logo2.png",
+  "/img/logo3.png",
+  "/img/logo4.png",
+  "/img/stoney1.png",
+  "/img/stoney2.png",
+  "/img/stoney3.png",
+  "/img/jalokim.png",
+];
+
+// hashed build output never changes under the same name, so cache-first is safe;
+// /img and /themes keep their names across deploys and go network-first like the rest
+const CACHE_FIRST = /^\/assets\//;
+
+/* ============================== Lifecycle ================================== */
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    // the built JS/CSS names are only known from index.html
+    const html = await (await cache.match("/")).text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+    await cache.addAll(assets);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+/* ============================== Fetch ====================================== */
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(CACHE)).put(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request, fallback) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) (await caches.open(CACHE)).put(fallback ?? request, res.clone());
+    return res;
+  } catch {
+    const hit = await caches.match(fallback ?? request);
+    if (hit) return hit;
+    throw new Error("offline and not cached");
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") event.respondWith(networkFirst(request, "/"));
+  else if (CACHE_FIRST.test(url.pathname)) event.respondWith(cacheFirst(request));
+  else event.respondWith(networkFirst(request));
+});
@@ -0,0 +1,139 @@
+// server/admin.js — operator API behind ADMIN_TOKEN (used by the /admin dashboard)
+//
+// Every route needs `Authorization: Bearer $ADMIN_TOKEN`; without ADMIN_TOKEN
+// they all answer 404. Wrong tokens are counted per client IP (`authFailures`)
+// and an IP that used up its tries gets 429 until its window ends. Anything
+// that changes what boards show re-sends the live boards.
+import { readJson, requireAdmin, sendJson } from "./http.js";
+import { clientIp } from "./rateLimit.js";
+import { publicEntry } from "./store.js";
+import {
+  parseAdminQuery, parseIds, parseReset, parseTuning, ValidationError,
+} from "./validate.js";
+
+/* ============================== Export ===================================== */
+const CSV_COLUMNS = [
+  ["id", (s) => s.id],
+  ["name", (s) => s.name],
+  ["score", (s) => s.score],
+  ["mode", (s) => s.mode ?? "endless"],
+  ["day", (s) => s.day],
+  ["reason", (s) => s.reason],
+  ["input", (s) => s.input],
+  ["submitted", (s) => new Date(s.ts).toISOString()],
+  ["accuracy", (s) => s.stats?.accuracy],
+  ["best_streak", (s) => s.stats?.bestStreak],
+  ["survival_ms", (s) => s.stats?.survivalMs],
+  ["reduced_motion", (s) => s.assist?.reducedMotion],
+  ["hidden", (s) => !!s.hidden],
+  ["archived", (s) => s.archived],
+];
+
+// RFC 4180 quoting; a leading = + - @ is defused so spreadsheets don't run it as a formula
+function csvCell(v) {
+  if (v == null) return "";
+  let str = String(v);
+  if (typeof v === "string" && /^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(scores) {
+  const lines = [CSV_COLUMNS.map(([h]) => h).join(",")];
+  for (const s of scores) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(s))).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function sendDownload(res, filename, type, body) {
+  res.writeHead(200, {
+    "Content-Type": `${type}; charset=utf-8`,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.end(body);
+}
+
+/* ============================== Routes ===================================== */
+export function adminRoutes({ store, hub, adminToken, telemetry, authFailures, trustProxy }) {
+  const admin = (handler) => async (req, res, url) => {
+    // checked before the token, so a blocked IP can't tell a right guess from a wrong one
+    const ip = clientIp(req, { trustProxy });
+    authFailures.check(ip);
+    try {
+      requireAdmin(req, adminToken);
+    } catch (err) {
+      if (err.status === 401) authFailures.take(ip);
+      throw err;
+    }
+    await handler(req, res, url);
+  };
+  const changed = (n) => {
+    if (n) hub.refresh().catch((err) => console.error(err));
+  };
+
+  return {
+    "GET /admin/scores": admin(async (req, res, url) => {
+      const query = parseAdminQuery(url.searchParams);
+      const { total, scores } = await store.search(query);
+      // run logs stay out of the listing; the JSON export keeps them
+      sendJson(res, 200, { ...query, total, scores: scores.map(publicEntry) });
+    }),
+
+    // { ids, hidden? }, or { name, ts?, hidden? } for one entry / all of a player's
+    "POST /admin/hide": admin(async (req, res) => {
+      const body = await readJson(req);
+      if (body?.hidden != null && typeof body.hidden !== "boolean") throw new ValidationError("hidden must be true or false");
+      let match;
+      if (body?.ids != null) match = { ids: parseIds(body.ids) };
+      else {
+        if (typeof body?.name !== "string" || !body.name.trim()) throw new ValidationError("ids or name is required");
+        if (body.ts != null && !Number.isInteger(body.ts)) throw new ValidationError("ts must be an integer");
+        match = { name: body.name, ts: body.ts };
+      }
+      const n = await store.setHidden(match, body.hidden ?? true);
+      sendJson(res, 200, { ok: true, changed: n });
+      changed(n);
+    }),
+
+    "POST /admin/delete": admin(async (req, res) => {
+      const body = await readJson(req);
+      const n = await store.remove(parseIds(body?.ids));
+      sendJson(res, 200, { ok: true, changed: n });
+      changed(n);
+    }),
+
+    // end of an event: { mode?, archive? } clears one board (or all), keeping it under a label when archiving
+    "POST /admin/reset": admin(async (req, res) => {
+      const n = await store.reset(parseReset(await readJson(req)));
+      sendJson(res, 200, { ok: true, changed: n });
+      changed(n);
+    }),
+
+    // same filters as GET /admin/scores, without paging; ?format=csv|json
+    "GET /admin/export": admin(async (req, res, url) => {
+      const format = url.searchParams.get("format") || "csv";
+      if (format !== "csv" && format !== "json") throw new ValidationError("format must be csv or json");
+      const { mode, status, q } = parseAdminQuery(url.searchParams);
+      const { scores } = await store.search({ mode, status, q });
+      const name = `scores-${mode ?? "all"}-${status}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      if (format === "csv") sendDownload(res, name, "text/csv", toCsv(scores));
+      else sendDownload(res, name, "application/json", JSON.stringify({ exportedAt: Date.now(), scores }, null, 2));
+    }),
+
+    // where runs fail (server/telemetry.js); 404 with TELEMETRY=off
+    "GET /admin/telemetry": admin(async (req, res) => {
+      if (!telemetry) return sendJson(res, 404, { error: "telemetry is off" });
+      sendJson(res, 200, await telemetry.report());
+    }),
+
+    "POST /admin/telemetry/reset": admin(async (req, res) => {
+      if (!telemetry) return sendJson(res, 404, { error: "telemetry is off" });
+      await telemetry.reset();
+      sendJson(res, 200, { ok: true });
+    }),
+
+    // live tuning; the current overrides are public at GET /config
+    "POST /admin/config": admin(async (req, res) => {
+      const body = await readJson(req);
+      sendJson(res, 200, await store.setConfig(parseTuning(body?.tuning)));
+    }),
+  };
+}
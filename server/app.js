@@ -0,0 +1,179 @@
+// server/app.js
+import { createServer } from "node:http";
+import { createAchievements } from "../src/game/achievements.js";
+import { MODES, tuningFor } from "../src/game/modes.js";
+import { adminRoutes } from "./admin.js";
+import { applyCors, corsPolicy, readJson, sendError, sendJson } from "./http.js";
+import { createBoardHub } from "./live.js";
+import { checkName, parseBlocklist } from "./names.js";
+import { claimProfile, renameProfile } from "./profiles.js";
+import { createRaceHub } from "./race.js";
+import { clientIp, createRateLimiter } from "./rateLimit.js";
+import { publicEntry } from "./store.js";
+import { parseEventBatch } from "./telemetry.js";
+import {
+  parseBoardQuery, parseEntryId, parseName, parsePlayer, parseScore, parseSession, ValidationError,
+} from "./validate.js";
+import { checkInputMethod, parseRun, RunRejectedError, runKey, verifyRun } from "./verify.js";
+import { acceptWebSocket, refuseUpgrade } from "./ws.js";
+
+/* ============================== Routes ===================================== */
+function routes({ store, hub, blocklist, limits, trustProxy, telemetry }) {
+  return {
+    "GET /scores": async (req, res, url) => {
+      const query = parseBoardQuery(url.searchParams);
+      sendJson(res, 200, { ...query, ...(await store.list(query)) });
+    },
+
+    // same query as GET /scores, pushed as SSE `board` events (server/live.js)
+    "GET /scores/stream": async (req, res, url) => {
+      await hub.subscribe(req, res, parseBoardQuery(url.searchParams));
+    },
+
+    "POST /scores": async (req, res) => {
+      limits.ip.take(clientIp(req, { trustProxy }), "scores submitted");
+      const body = await readJson(req);
+      limits.session.take(parseSession(body?.session));
+      const claim = parseScore(body);
+      checkName(claim.name, blocklist);
+      const player = parsePlayer(body.player);
+      const run = parseRun(body.run, claim.mode);
+      checkInputMethod(claim.input, run);
+      const key = runKey(claim.mode, run);
+      if (await store.hasRunKey(key)) throw new RunRejectedError("run already submitted");
+      const overrides = await store.tuningAt(run.cfg);
+      if (!overrides) throw new RunRejectedError("game settings have changed too often since this run was played");
+      // stats (and badges) are recomputed from the replay rather than taken from the client
+      const mode = MODES[claim.mode];
+      const badges = createAchievements({ tuning: tuningFor(mode, run.assist, overrides), rules: mode.rules });
+      const { state, stats } = verifyRun({ ...claim, run, overrides, onEvent: badges.event });
+      // a verified run claims its profile, or has to hold the token that did; a new name renames the profile
+      const renamed = player ? await claimProfile(store, player, claim.name) : 0;
+      const earned = player ? await store.addBadges(player.id, badges.finish(state, stats())) : 0;
+
+      // the run (and the mode's overrides, which may age out of the config history) is kept for GET /replay
+      const tuning = overrides[claim.mode];
+      const entry = {
+        ...claim, stats: stats(), assist: run.assist, day: run.day, seed: run.seed, cfg: run.cfg, runKey: key, ts: Date.now(),
+        run, ...(tuning && { tuning }), ...(player && { playerId: player.id }),
+      };
+      await store.add(entry);
+      sendJson(res, 201, { ok: true, entry: publicEntry(entry) });
+      (renamed || earned ? hub.refresh() : hub.publish(entry)).catch((err) => console.error(err));
+    },
+
+    // { player: { id, token }, name }: rename a profile and its board entries
+    "POST /profile": async (req, res) => {
+      limits.ip.take(clientIp(req, { trustProxy }));
+      const body = await readJson(req);
+      const player = parsePlayer(body?.player);
+      if (!player) throw new ValidationError("player is required");
+      const name = parseName(body.name);
+      checkName(name, blocklist);
+      const renamed = await renameProfile(store, player, name);
+      sendJson(res, 200, { ok: true, renamed });
+      if (renamed) hub.refresh().catch((err) => console.error(err));
+    },
+
+    // a board entry's recorded run, for the replay viewer (ids come from GET /scores rows)
+    "GET /replay": async (req, res, url) => {
+      const entry = await store.replay(parseEntryId(url.searchParams.get("id")));
+      if (!entry) return sendJson(res, 404, { error: "no replay for that run" });
+      const { id, name, score, reason, mode, ts, day, stats, run, tuning } = entry;
+      sendJson(res, 200, { id, name, score, reason, mode, ts, day, stats, run, overrides: tuning ? { [mode]: tuning } : null });
+    },
+
+    // anonymous gameplay events from navigator.sendBeacon (server/telemetry.js); off with TELEMETRY=off
+    ...(telemetry && {
+      "POST /events": async (req, res) => {
+        limits.events.take(clientIp(req, { trustProxy }));
+        await telemetry.ingest(parseEventBatch(await readJson(req)));
+        res.writeHead(204);
+        res.end();
+      },
+    }),
+
+    // live tuning overrides ({ version, tuning }); runs report the version they played under
+    "GET /config": async (req, res) => {
+      sendJson(res, 200, await store.getConfig());
+    },
+
+    "GET /health": async (req, res) => {
+      sendJson(res, 200, { ok: true });
+    },
+  };
+}
+
+/* ============================== Server ===================================== */
+// score submissions allowed per minute, per client IP and per browser session (0 = unlimited)
+const RATE_WINDOW_MS = 60_000;
+// wrong admin tokens allowed per client IP in this window
+const ADMIN_FAIL_WINDOW_MS = 15 * 60_000;
+
+export function createApp({
+  store,
+  blocklist = parseBlocklist(""),
+  corsOrigins = process.env.CORS_ORIGINS,
+  adminToken = process.env.ADMIN_TOKEN,
+  trustProxy = process.env.TRUST_PROXY === "1",
+  ratePerIp = Number(process.env.RATE_LIMIT_IP ?? 30),
+  ratePerSession = Number(process.env.RATE_LIMIT_SESSION ?? 10),
+  ratePerIpEvents = Number(process.env.RATE_LIMIT_EVENTS ?? 120),
+  adminFailuresPerIp = Number(process.env.RATE_LIMIT_ADMIN ?? 10),
+  telemetry = null,
+} = {}) {
+  const hub = createBoardHub({ store });
+  const limits = {
+    ip: createRateLimiter({ limit: ratePerIp, windowMs: RATE_WINDOW_MS, what: "requests" }),   // scores and renames
+    session: createRateLimiter({ limit: ratePerSession, windowMs: RATE_WINDOW_MS, what: "scores submitted" }),
+    events: createRateLimiter({ limit: ratePerIpEvents, windowMs: RATE_WINDOW_MS, what: "play stats sent" }),   // telemetry beacons
+    adminAuth: createRateLimiter({ limit: adminFailuresPerIp, windowMs: ADMIN_FAIL_WINDOW_MS, what: "wrong admin passwords" }),
+  };
+  const table = {
+    ...routes({ store, hub, blocklist, limits, trustProxy, telemetry }),
+    ...adminRoutes({ store, hub, adminToken, telemetry, authFailures: limits.adminAuth, trustProxy }),
+  };
+  const isAllowed = corsPolicy(corsOrigins);
+
+  const server = createServer(async (req, res) => {
+    applyCors(req, res, isAllowed);
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const handler = table[`${req.method} ${url.pathname.replace(/\/+$/, "") || "/"}`];
+    if (!handler) return sendJson(res, 404, { error: "not found" });
+
+    try {
+      await handler(req, res, url);
+    } catch (err) {
+      if (err.status) return sendError(res, err);
+      console.error(err);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal error" });
+    }
+  });
+
+  // multiplayer races: WebSocket at /race (server/race.js)
+  const race = createRaceHub({ blocklist });
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname.replace(/\/+$/, "") !== "/race") return refuseUpgrade(socket, 404, "Not Found");
+    // browsers always send Origin; hold it to the same list as CORS so other sites can't open rooms
+    const { origin } = req.headers;
+    if (origin && !isAllowed(origin)) return refuseUpgrade(socket, 403, "Forbidden");
+    const conn = acceptWebSocket(req, socket, head);
+    if (conn) race.connect(conn);
+  });
+
+  // server.close() waits for every open connection, so end the long-lived
+  // ones (board streams, race sockets) as soon as shutdown starts
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    hub.close();
+    race.close();
+    return closeServer(callback);
+  };
+  return server;
+}
@@ -0,0 +1,343 @@
+// server/app.test.js — the score service over HTTP (node --test)
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { createEngine } from "../src/game/engine.js";
+import { createApp } from "./app.js";
+import { createJsonStore } from "./store.js";
+import { createTelemetry } from "./telemetry.js";
+import { connectWebSocket } from "./ws.js";
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), "rdd-app-")); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+// a fresh service on its own store file and a free port at `base`; `call(path, init)` resolves to { status, headers, body }
+async function start({ store, ...opts } = {}) {
+  const file = join(dir, `${Math.random().toString(36).slice(2)}.json`);
+  const server = createApp({ store: store ?? createJsonStore(file), ...opts });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (path, { json, ...init } = {}) => {
+    const res = await fetch(base + path, {
+      ...init,
+      ...(json !== undefined && { method: "POST", headers: { "Content-Type": "application/json", ...init.headers }, body: JSON.stringify(json) }),
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  };
+  return { base, call, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+// a run played until it ends: the player clicks the first corrupted packet that shows up
+function playedRun(seed = 1234) {
+  const engine = createEngine({ seed, width: 480, height: 720, pktSize: 48 });
+  const { state } = engine;
+  while (!state.over) {
+    engine.step();
+    const p = state.packets.find((q) => !q.valid);
+    if (p) engine.pointer(p.x + p.size / 2, p.y + p.size / 2);
+  }
+  return { name: "tester", score: state.score, reason: state.reason, run: engine.run() };
+}
+
+/* ============================== GET /scores ================================ */
+describe("GET /scores", () => {
+  test("pages through the board and clamps limit", async () => {
+    const store = createJsonStore(join(dir, "paging.json"));
+    for (let i = 0; i < 120; i++) await store.add({ name: `p${i}`, score: i, ts: i });
+    const app = await start({ store });
+    try {
+      const first = await app.call("/scores");
+      assert.equal(first.status, 200);
+      assert.equal(first.body.total, 120);
+      assert.equal(first.body.limit, 10);
+      assert.deepEqual(first.body.scores.map((s) => s.score), [119, 118, 117, 116, 115, 114, 113, 112, 111, 110]);
+
+      const page = await app.call("/scores?limit=5&offset=5");
+      assert.deepEqual(page.body.scores.map((s) => s.score), [114, 113, 112, 111, 110]);
+
+      const big = await app.call("/scores?limit=500");
+      assert.equal(big.status, 200);
+      assert.equal(big.body.limit, 100);
+      assert.equal(big.body.scores.length, 100);
+
+      for (const bad of ["0", "-1", "2.5", "ten"]) {
+        const res = await app.call(`/scores?limit=${bad}`);
+        assert.equal(res.status, 400, `limit=${bad}`);
+      }
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("keeps one row per player and looks up a player's rank", async () => {
+    const store = createJsonStore(join(dir, "players.json"));
+    const runs = [["Ada", 50], ["ada ", 80], ["Bob", 80], ["Cy", 10], ["ADA", 80]];
+    for (const [i, [name, score]] of runs.entries()) await store.add({ name, score, ts: i });
+    const app = await start({ store });
+    try {
+      const board = await app.call("/scores");
+      assert.equal(board.body.total, 3);
+      // Ada's best, the earlier of her two 80s, ranks above Bob's later 80
+      assert.deepEqual(board.body.scores.map((s) => [s.rank, s.name, s.score]), [[1, "ada ", 80], [2, "Bob", 80], [3, "Cy", 10]]);
+      assert.equal("me" in board.body, false);
+
+      const ada = await app.call("/scores?limit=1&player=ADA");
+      assert.equal(ada.body.scores.length, 1);
+      assert.deepEqual([ada.body.me.rank, ada.body.me.ts], [1, 1]);
+      const cy = await app.call("/scores?limit=1&player=cy");
+      assert.equal(cy.body.me.rank, 3);
+      const nobody = await app.call("/scores?player=nobody");
+      assert.equal(nobody.body.me, null);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("windows the board to today, this week or all time", async () => {
+    const store = createJsonStore(join(dir, "windows.json"));
+    const now = new Date();
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    await store.add({ name: "today", score: 1, ts: now.getTime() });
+    await store.add({ name: "yesterday", score: 2, ts: today - 1 });
+    await store.add({ name: "last month", score: 3, ts: today - 30 * 86_400_000 });
+    const app = await start({ store });
+    try {
+      const names = async (window) => (await app.call(`/scores?window=${window}`)).body.scores.map((s) => s.name);
+      assert.deepEqual(await names("day"), ["today"]);
+      // weeks start on Monday, so on a Monday yesterday was last week
+      assert.deepEqual(await names("week"), now.getUTCDay() === 1 ? ["today"] : ["yesterday", "today"]);
+      assert.deepEqual(await names("all"), ["last month", "yesterday", "today"]);
+
+      const bad = await app.call("/scores?window=month");
+      assert.equal(bad.status, 400);
+      assert.match(bad.body.error, /window must be one of/);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+/* ============================== POST /scores =============================== */
+describe("POST /scores", () => {
+  test("rejects a name over 20 characters", async () => {
+    const app = await start();
+    try {
+      const res = await app.call("/scores", { json: { ...playedRun(), name: "x".repeat(21) } });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /at most 20 characters/);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("rejects a score that isn't an integer", async () => {
+    const app = await start();
+    try {
+      for (const score of [10.5, "10", null]) {
+        const res = await app.call("/scores", { json: { ...playedRun(), score } });
+        assert.equal(res.status, 400, `score ${JSON.stringify(score)}`);
+        assert.match(res.body.error, /score must be an integer/);
+      }
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("requires a run", async () => {
+    const app = await start();
+    try {
+      const { run: _run, ...claim } = playedRun();
+      const res = await app.call("/scores", { json: claim });
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /run is required/);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("takes a verified run once and refuses it the second time", async () => {
+    const app = await start();
+    try {
+      const claim = playedRun();
+      const first = await app.call("/scores", { json: claim });
+      assert.equal(first.status, 201, JSON.stringify(first.body));
+      assert.equal(first.body.entry.score, claim.score);
+
+      const again = await app.call("/scores", { json: { ...claim, name: "someone else" } });
+      assert.equal(again.status, 422);
+      assert.match(again.body.error, /already submitted/);
+
+      const board = await app.call("/scores");
+      assert.equal(board.body.total, 1);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+/* ============================== Profiles =================================== */
+describe("profiles", () => {
+  const alice = { id: "a".repeat(32), token: "alice-token-0123456789" };
+  const thief = { ...alice, token: "someone-else-0123456789" };
+
+  test("the first score claims a profile; another token can't post to it", async () => {
+    const app = await start();
+    try {
+      const first = await app.call("/scores", { json: { ...playedRun(1), name: "Alice", player: alice } });
+      assert.equal(first.status, 201, JSON.stringify(first.body));
+      assert.equal(first.body.entry.playerId, alice.id);
+
+      const stolen = await app.call("/scores", { json: { ...playedRun(2), name: "Alice", player: thief } });
+      assert.equal(stolen.status, 403);
+      assert.equal(stolen.body.code, "profile_claimed");
+
+      // a second profile with the same name gets a row of its own
+      const other = { id: "b".repeat(32), token: "other-alice-0123456789" };
+      assert.equal((await app.call("/scores", { json: { ...playedRun(3), name: "Alice", player: other } })).status, 201);
+      const board = await app.call(`/scores?profile=${alice.id}`);
+      assert.equal(board.body.total, 2);
+      assert.equal(board.body.me.playerId, alice.id);
+
+      const bad = await app.call("/scores", { json: { ...playedRun(4), player: { id: "nope", token: alice.token } } });
+      assert.equal(bad.status, 400);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("renames a profile and every row it has, with its own token only", async () => {
+    const app = await start();
+    try {
+      const early = await app.call("/profile", { json: { player: alice, name: "Ally" } });
+      assert.equal(early.status, 404);
+      assert.equal(early.body.code, "no_profile");
+
+      for (const seed of [1, 2]) await app.call("/scores", { json: { ...playedRun(seed), name: "Alice", player: alice } });
+
+      const stolen = await app.call("/profile", { json: { player: thief, name: "Mallory" } });
+      assert.equal(stolen.status, 403);
+      assert.equal(stolen.body.code, "profile_claimed");
+
+      const renamed = await app.call("/profile", { json: { player: alice, name: "Ally" } });
+      assert.deepEqual(renamed.body, { ok: true, renamed: 2 });
+      const board = await app.call("/scores");
+      assert.deepEqual(board.body.scores.map((s) => s.name), ["Ally"]);
+
+      // a score under a new name renames the profile too
+      const again = await app.call("/scores", { json: { ...playedRun(3), name: "Alicia", player: alice } });
+      assert.equal(again.status, 201);
+      assert.deepEqual((await app.call("/scores")).body.scores.map((s) => s.name), ["Alicia"]);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+/* ============================== Rate limits ================================ */
+describe("rate limits", () => {
+  test("name what was limited in the 429", async () => {
+    const app = await start({ ratePerSession: 1, ratePerIpEvents: 1, telemetry: createTelemetry(join(dir, "telemetry.json")) });
+    try {
+      const events = { events: [{ type: "run_start", run: "ab12", t: 0, mode: "endless" }] };
+      assert.equal((await app.call("/events", { json: events })).status, 204);
+      const beacons = await app.call("/events", { json: events });
+      assert.equal(beacons.status, 429);
+      assert.equal(beacons.body.code, "rate_limited");
+      assert.match(beacons.body.error, /^too many play stats sent, try again in \d+ s$/);
+
+      const claim = { ...playedRun(), session: "tab-1" };
+      await app.call("/scores", { json: claim });
+      const scores = await app.call("/scores", { json: claim });
+      assert.equal(scores.status, 429);
+      assert.match(scores.body.error, /^too many scores submitted/);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("scores and renames share the per-IP limit but not its message", async () => {
+    const app = await start({ ratePerIp: 1 });
+    try {
+      await app.call("/scores", { json: playedRun() });
+      const scores = await app.call("/scores", { json: playedRun(2) });
+      assert.equal(scores.status, 429);
+      assert.match(scores.body.error, /^too many scores submitted, try again in \d+ s$/);
+
+      const rename = await app.call("/profile", { json: { player: { id: "a".repeat(32), token: "alice-token-0123456789" }, name: "Ally" } });
+      assert.equal(rename.status, 429);
+      assert.match(rename.body.error, /^too many requests/);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+/* ============================== Admin auth ================================= */
+describe("admin auth", () => {
+  test("blocks an IP after too many wrong tokens, right token or not", async () => {
+    const app = await start({ adminToken: "s3cret-token", adminFailuresPerIp: 3 });
+    const as = (token) => app.call("/admin/scores", { headers: { Authorization: `Bearer ${token}` } });
+    try {
+      assert.equal((await as("s3cret-token")).status, 200);
+      for (let i = 0; i < 3; i++) assert.equal((await as(`guess-${i}`)).status, 401);
+
+      const blocked = await as("s3cret-token");
+      assert.equal(blocked.status, 429);
+      assert.equal(blocked.body.code, "rate_limited");
+      assert.match(blocked.body.error, /^too many wrong admin passwords/);
+      assert.ok(Number(blocked.headers.get("retry-after")) > 14 * 60);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test("doesn't count anything while the admin API is off", async () => {
+    const app = await start({ adminToken: "", adminFailuresPerIp: 1 });
+    try {
+      for (let i = 0; i < 3; i++) assert.equal((await app.call("/admin/scores")).status, 404);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+/* ============================== CORS ======================================= */
+describe("CORS", () => {
+  test("allows the Vite dev origin and nothing else by default", async () => {
+    const app = await start({ corsOrigins: "" });
+    try {
+      const dev = await app.call("/health", { headers: { Origin: "http://localhost:5173" } });
+      assert.equal(dev.headers.get("access-control-allow-origin"), "http://localhost:5173");
+      assert.equal(dev.headers.get("vary"), "Origin");
+
+      const foreign = await app.call("/health", { headers: { Origin: "https://evil.example" } });
+      assert.equal(foreign.status, 200);
+      assert.equal(foreign.headers.get("access-control-allow-origin"), null);
+
+      const preflight = await app.call("/scores", { method: "OPTIONS", headers: { Origin: "http://127.0.0.1:5173" } });
+      assert.equal(preflight.status, 204);
+      assert.match(preflight.headers.get("access-control-allow-methods"), /POST/);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+/* ============================== Shutdown =================================== */
+describe("shutdown", () => {
+  test("closing the server ends board streams and race sockets", { timeout: 5_000 }, async () => {
+    const app = await start();
+    const stream = (await fetch(`${app.base}/scores/stream`)).body.getReader();
+    await stream.read();
+    const ws = await connectWebSocket(`${app.base.replace("http", "ws")}/race`);
+    const wsClosed = new Promise((resolve) => ws.on("close", resolve));
+
+    await app.close();
+    await wsClosed;
+    for (;;) if ((await stream.read()).done) break;
+  });
+});
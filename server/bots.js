@@ -0,0 +1,111 @@
+// server/bots.js — scripted race players, for trying the lobby alone or smoke-testing the race server
+//
+//   node server/bots.js                  3 bots open a room, race each other and print the results
+//   node server/bots.js --code ABCD      2 bots join your room and play when you start it
+//
+// Options: --url ws://localhost:8787/race, --code, --bots N (default 3, or 2
+// with --code), --skill 0..1 (default 0.85: the share of logos a bot clicks).
+// Bots play the real engine in real time and send the same messages as the app.
+import { LANES } from "../src/game/config.js";
+import { createEngine, lowestInLane } from "../src/game/engine.js";
+import { createLoop } from "../src/game/loop.js";
+import { MODES } from "../src/game/modes.js";
+import { createRng } from "../src/game/rng.js";
+import { connectWebSocket } from "./ws.js";
+
+const BOARD       = { width: 600, height: 700, pktSize: 66 };
+const PROGRESS_MS = 250;
+const THINK_STEPS = 18;   // a bot looks at the lanes every 150 ms of game time
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 ? process.argv[i + 1] : fallback;
+}
+const url = option("url", `ws://localhost:${process.env.PORT || 8787}/race`);
+const code = option("code", null)?.toUpperCase();
+const count = Number(option("bots", code ? 2 : 3));
+const skill = Number(option("skill", 0.85));
+
+/* ============================== One bot ==================================== */
+async function bot(index, { onRoom, onResults }) {
+  const name = `Bot ${index + 1}`;
+  const conn = await connectWebSocket(url);
+  const send = (msg) => conn.send(JSON.stringify(msg));
+  const aim = createRng(0x5eed + index);   // how this bot misjudges packets
+  let loop = null;
+
+  function play(seed) {
+    const race = MODES.race;
+    const engine = createEngine({ ...BOARD, seed, rules: race.rules, tuning: race.tuning });
+    const { state } = engine;
+    let sentAt = 0;
+    loop = createLoop({
+      step: () => {
+        engine.step();
+        if (state.step % THINK_STEPS === 0) {
+          for (let lane = 0; lane < LANES; lane++) {
+            const p = state.packets[lowestInLane(state.packets, lane)];
+            if (!p) continue;
+            const good = p.valid || p.power;
+            // skilled bots click logos and leave corrupted packets alone, mostly
+            if (good ? aim() < skill : aim() > skill + (1 - skill) * 0.9) engine.lane(lane);
+          }
+        }
+        return !state.over;
+      },
+      onFrame: () => {
+        const now = Date.now();
+        if (now - sentAt >= PROGRESS_MS) {
+          sentAt = now;
+          send({ type: "progress", score: state.score, integrity: state.integrity });
+        }
+        if (state.over) {
+          loop.stop();
+          send({ type: "over", score: state.score, reason: state.reason, run: engine.run() });
+        }
+      },
+      clock: () => performance.now(),
+      schedule: (cb) => setTimeout(cb, 16),
+      cancel: (id) => clearTimeout(id),
+    });
+    loop.start();
+  }
+
+  conn.on("message", (text) => {
+    const msg = JSON.parse(text);
+    if (msg.type === "room") onRoom?.(msg, send);
+    if (msg.type === "start") setTimeout(() => play(msg.seed), msg.countdownMs);
+    if (msg.type === "results") onResults?.(msg.ranking, () => conn.close());
+    if (msg.type === "error") console.error(`${name}: ${msg.error}`);
+  });
+  conn.on("close", () => loop?.stop());
+  return { name, send, close: () => conn.close() };
+}
+
+/* ============================== Main ======================================= */
+if (code) {
+  for (let i = 0; i < count; i++) {
+    const b = await bot(i, { onResults: (ranking, close) => close() });
+    b.send({ type: "join", code, name: b.name });
+  }
+  console.log(`${count} bots joined ${code}; start the race from the app.`);
+} else {
+  let invited = false;
+  const host = await bot(0, {
+    async onRoom(room, send) {
+      // the others join once the host's room exists; the host starts when they're all in
+      if (!invited) {
+        invited = true;
+        for (let i = 1; i < count; i++) (await bot(i, {})).send({ type: "join", code: room.code, name: `Bot ${i + 1}` });
+      } else if (room.state === "lobby" && room.players.length === count) {
+        console.log(`room ${room.code}: ${room.players.map((p) => p.name).join(", ")} — racing for up to ${MODES.race.rules.timeLimitMs / 1000} s`);
+        send({ type: "start" });
+      }
+    },
+    onResults(ranking) {
+      for (const r of ranking) console.log(`${r.place}. ${r.name.padEnd(8)} ${String(r.score).padStart(6)}  ${r.reason} (${r.status})`);
+      process.exit(0);
+    },
+  });
+  host.send({ type: "create", name: host.name });
+}
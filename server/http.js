@@ -0,0 +1,71 @@
+// server/http.js
+import { timingSafeEqual } from "node:crypto";
+import { ValidationError } from "./validate.js";
+
+/* ============================== Helpers ==================================== */
+const BODY_MAX = 256 * 1024;   // room for a long run's input log
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+// errors with a `status` go back to the client as { error, code? }
+export function sendError(res, err) {
+  if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+  sendJson(res, err.status, { error: err.message, ...(err.code && { code: err.code }) });
+}
+
+export async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > BODY_MAX) throw new ValidationError("body too large");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+  } catch {
+    throw new ValidationError("body must be valid JSON");
+  }
+}
+
+/* ============================== Admin auth ================================= */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+/** `Authorization: Bearer <ADMIN_TOKEN>`; without a configured token the admin API doesn't exist. */
+export function requireAdmin(req, token) {
+  if (!token) throw new AuthError("not found", 404);
+  const given = Buffer.from(/^Bearer (.+)$/.exec(req.headers.authorization ?? "")?.[1] ?? "");
+  const want = Buffer.from(token);
+  if (given.length !== want.length || !timingSafeEqual(given, want)) throw new AuthError("admin token required");
+}
+
+/* ============================== CORS ======================================= */
+// Vite dev (5173) and preview (4173) on any host, so phones on the booth LAN work.
+const VITE_ORIGIN = /^https?:\/\/[^/]+:(5173|4173)$/;
+
+export function corsPolicy(list) {
+  const allowed = (list || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (allowed.length === 0) return (origin) => VITE_ORIGIN.test(origin);
+  if (allowed.includes("*")) return () => true;
+  return (origin) => allowed.includes(origin);
+}
+
+export function applyCors(req, res, isAllowed) {
+  const origin = req.headers.origin;
+  if (!origin || !isAllowed(origin)) return;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, Retry-After");
+  res.setHeader("Access-Control-Max-Age", "600");
+}
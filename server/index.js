@@ -0,0 +1,21 @@
+// server/index.js — score service for the Vite app (VITE_API, default :8787)
+import { fileURLToPath } from "node:url";
+import { createApp } from "./app.js";
+import { loadBlocklist } from "./names.js";
+import { createJsonStore } from "./store.js";
+import { createTelemetry } from "./telemetry.js";
+
+const PORT      = Number(process.env.PORT) || 8787;
+const HOST      = process.env.HOST || "0.0.0.0";
+const DATA_FILE = process.env.DATA_FILE || fileURLToPath(new URL("./data/scores.json", import.meta.url));
+const BLOCKLIST = process.env.BLOCKLIST_FILE || fileURLToPath(new URL("./blocklist.txt", import.meta.url));
+const TELEMETRY = process.env.TELEMETRY === "off" ? null : process.env.TELEMETRY_FILE || fileURLToPath(new URL("./data/telemetry.json", import.meta.url));
+
+const app = createApp({
+  store: createJsonStore(DATA_FILE),
+  blocklist: await loadBlocklist(BLOCKLIST),
+  telemetry: TELEMETRY && createTelemetry(TELEMETRY),
+});
+app.listen(PORT, HOST, () => {
+  console.log(`score service on http://${HOST}:${PORT} (data: ${DATA_FILE})`);
+});
@@ -0,0 +1,71 @@
+// server/live.js — Server-Sent Events push for leaderboards
+//
+// GET /scores/stream takes the same query as GET /scores and keeps the
+// response open. It sends the board straight away, then again each time a new
+// entry lands on that page of the board, or is a new best for the board's
+// `profile` (or `player` name).
+import { playerKey } from "./names.js";
+
+const HEARTBEAT_MS = 25_000;   // comment line so proxies don't time the stream out
+const RETRY_MS     = 3_000;    // EventSource reconnect delay
+
+export function createBoardHub({ store }) {
+  const subscribers = new Set();   // { res, query, beat }
+
+  async function push(sub) {
+    const board = await store.list(sub.query);
+    sub.res.write(`event: board\ndata: ${JSON.stringify({ ...sub.query, ...board })}\n\n`);
+  }
+
+  return {
+    get size() {
+      return subscribers.size;
+    },
+
+    async subscribe(req, res, query) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const sub = { res, query, beat: setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS) };
+      subscribers.add(sub);
+      req.on("close", () => {
+        clearInterval(sub.beat);
+        subscribers.delete(sub);
+      });
+      await push(sub);
+    },
+
+    /** Tell every board the new entry made it onto. */
+    async publish(entry) {
+      for (const sub of subscribers) {
+        const { mode, day, player, profile, limit, offset } = sub.query;
+        if ((entry.mode ?? "endless") !== mode || (day && entry.day !== day)) continue;
+        // only re-send when the entry landed on the page this subscriber is watching
+        // (a run that isn't its player's best never ranks), or on the subscriber's own row
+        const { scores } = await store.list({ ...sub.query, player: null, profile: null, limit: offset + limit, offset: 0 });
+        const rank = scores.findIndex((s) => s.id === entry.id);
+        const mine = profile ? entry.playerId === profile : player && playerKey(player) === playerKey(entry.name);
+        if (rank >= offset || mine) await push(sub);
+      }
+    },
+
+    /** Re-send every board (after moderation changed what they show). */
+    async refresh() {
+      for (const sub of subscribers) await push(sub);
+    },
+
+    /** End every stream (server shutdown, see createApp). */
+    close() {
+      for (const sub of subscribers) {
+        clearInterval(sub.beat);
+        sub.res.end();
+      }
+      subscribers.clear();
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// server/live.test.js — the SSE board hub: who gets re-sent what, and when (node --test)
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, afterEach, before, describe, test } from "node:test";
+import { createBoardHub } from "./live.js";
+import { createJsonStore } from "./store.js";
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), "rdd-live-")); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+// hang up every stream a test opened, so a failed assertion doesn't leave heartbeats running
+const open = [];
+afterEach(() => { for (const s of open.splice(0)) s.req.emit("close"); });
+
+// a request/response pair standing in for one open EventSource; `boards()` decodes what was pushed
+function stream() {
+  const req = new EventEmitter();
+  const res = {
+    status: 0,
+    headers: null,
+    chunks: [],
+    ended: false,
+    writeHead(status, headers) { this.status = status; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+  };
+  open.push({ req });
+  const boards = () => res.chunks
+    .filter((c) => c.startsWith("event: board\n"))
+    .map((c) => JSON.parse(c.slice(c.indexOf("data: ") + 6)));
+  return { req, res, boards };
+}
+
+const query = (over = {}) => ({ mode: "endless", day: null, limit: 3, offset: 0, ...over });
+
+async function seeded(name, n = 5) {
+  const store = createJsonStore(join(dir, `${name}.json`));
+  for (let i = 0; i < n; i++) await store.add({ name: `p${i}`, score: (i + 1) * 100, ts: i, mode: "endless" });
+  return { store, hub: createBoardHub({ store }) };
+}
+
+/* ============================== Hub ======================================== */
+describe("createBoardHub", () => {
+  test("opens an event stream and sends the board straight away", async () => {
+    const { hub } = await seeded("open");
+    const s = stream();
+    await hub.subscribe(s.req, s.res, query());
+    assert.equal(s.res.status, 200);
+    assert.match(s.res.headers["Content-Type"], /^text\/event-stream/);
+    assert.match(s.res.chunks[0], /^retry: \d+\n\n$/);
+    const [board] = s.boards();
+    assert.equal(board.total, 5);
+    assert.deepEqual(board.scores.map((e) => e.score), [500, 400, 300]);
+    s.req.emit("close");
+    assert.equal(hub.size, 0);
+  });
+
+  test("re-sends only the boards a new entry lands on", async () => {
+    const { store, hub } = await seeded("publish");
+    const top = stream();
+    const second = stream();
+    const sprint = stream();
+    await hub.subscribe(top.req, top.res, query());
+    await hub.subscribe(second.req, second.res, query({ offset: 3 }));
+    await hub.subscribe(sprint.req, sprint.res, query({ mode: "sprint" }));
+    assert.equal(hub.size, 3);
+
+    const high = { name: "high", score: 450, ts: 10, mode: "endless" };
+    await store.add(high);
+    await hub.publish(high);
+    assert.equal(top.boards().length, 2);
+    assert.deepEqual(top.boards()[1].scores.map((e) => e.name), ["p4", "high", "p3"]);
+    assert.equal(second.boards().length, 1);   // landed above that page
+    assert.equal(sprint.boards().length, 1);
+
+    const low = { name: "low", score: 150, ts: 11, mode: "endless" };
+    await store.add(low);
+    await hub.publish(low);
+    assert.equal(top.boards().length, 2);
+    assert.equal(second.boards().length, 2);
+    assert.deepEqual(second.boards()[1].scores.map((e) => e.name), ["p2", "p1", "low"]);
+  });
+
+  test("close ends every open stream", async () => {
+    const { hub } = await seeded("close", 1);
+    const streams = [stream(), stream()];
+    for (const s of streams) await hub.subscribe(s.req, s.res, query());
+    hub.close();
+    assert.equal(hub.size, 0);
+    assert.ok(streams.every((s) => s.res.ended));
+  });
+});
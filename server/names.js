@@ -0,0 +1,111 @@
+// server/names.js — player name cleanup, lookalike folding and the blocklist
+//
+// Names are normalised before anything else sees them: NFKC (full-width and
+// styled letters become plain ones), invisible characters (zero-width spaces
+// and joiners, bidi overrides, soft hyphens, fillers) removed, runs of
+// whitespace collapsed. Two folds are then used for comparison only; the board
+// still shows the normalised name:
+//
+//   playerKey  lower case with Cyrillic/Greek lookalikes mapped to Latin, so
+//              "Bob" and "Воb" are one player on the board
+//   words      playerKey without accents, leetspeak undone (0→o, 4→a, !→i …),
+//              split into runs of a-z/0-9
+//   skeleton   the words run together; with them, what the blocklist is matched against
+import { readFile } from "node:fs/promises";
+
+const INVISIBLE = /[\p{Cc}\p{Cf}\u115F\u1160\u3164\uFFA0]|\p{Variation_Selector}/gu;   // + Hangul fillers
+const ALLOWED   = /^[\p{L}\p{M}\p{N} ._'!?&-]+$/u;
+const SCRIPTS   = [/\p{Script=Latin}/u, /\p{Script=Cyrillic}/u, /\p{Script=Greek}/u];
+
+// lower-case letters that render like a Latin letter
+const CONFUSABLES = {
+  а: "a", в: "b", е: "e", ё: "e", к: "k", м: "m", н: "h", о: "o", р: "p", с: "c", т: "t", у: "y", х: "x",
+  і: "i", ї: "i", ј: "j", ѕ: "s", һ: "h", ԁ: "d", ԛ: "q", ԝ: "w", ɡ: "g",
+  α: "a", β: "b", ε: "e", η: "n", ι: "i", κ: "k", ν: "v", ο: "o", ρ: "p", τ: "t", υ: "u", χ: "x", ω: "w",
+};
+// digits and "!" only: other symbols that stand in for letters ($, @, |) never get past ALLOWED
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", "!": "i" };
+
+export class NameRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NameRejectedError";
+    this.status = 400;
+    this.code = "name_rejected";
+  }
+}
+
+/* ============================== Folding ==================================== */
+export function normalizeName(raw) {
+  return raw.normalize("NFKC").replace(INVISIBLE, "").replace(/\s+/g, " ").trim();
+}
+
+/** Board identity of a name: the board keeps one entry (the best) per player. */
+export function playerKey(name) {
+  return [...normalizeName(name).toLowerCase()].map((ch) => CONFUSABLES[ch] ?? ch).join("");
+}
+
+export function words(name) {
+  return [...playerKey(name).normalize("NFD").replace(/\p{M}/gu, "")]
+    .map((ch) => LEET[ch] ?? ch)
+    .join("")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+export function skeleton(name) {
+  return words(name).join("");
+}
+
+/* ============================== Blocklist ================================== */
+/**
+ * Blocklist file: one term per line, `#` comments. A term blocks any name whose
+ * skeleton contains it; `~term` only blocks it as a whole word (or the whole
+ * name), and `=term` only a name that is exactly the term, for words that turn
+ * up inside innocent names. `!word` allows a word that a contained term would
+ * otherwise block.
+ */
+export async function loadBlocklist(file) {
+  try {
+    return parseBlocklist(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return parseBlocklist("");
+  }
+}
+
+export function parseBlocklist(text) {
+  const exact = new Set();
+  const whole = new Set();
+  const allow = new Set();
+  const contains = [];
+  for (const line of text.split(/\r?\n/)) {
+    const term = line.replace(/#.*/, "").trim();
+    if (!term) continue;
+    if (term.startsWith("=")) exact.add(skeleton(term.slice(1)));
+    else if (term.startsWith("~")) whole.add(skeleton(term.slice(1)));
+    else if (term.startsWith("!")) allow.add(skeleton(term.slice(1)));
+    else contains.push(skeleton(term));
+  }
+  return { exact, words: whole, allow, contains: contains.filter(Boolean) };
+}
+
+/** Throws a NameRejectedError when a normalised name can't go on the board. */
+export function checkName(name, blocklist) {
+  if (!ALLOWED.test(name)) {
+    throw new NameRejectedError("name can only use letters, numbers, spaces and . _ ' ! ? & -");
+  }
+  if (SCRIPTS.filter((re) => re.test(name)).length > 1) {
+    throw new NameRejectedError("name mixes alphabets (e.g. Latin and Cyrillic letters)");
+  }
+  const ws = words(name);
+  const sk = ws.join("");
+  // contained terms are looked for across word breaks (s.h.i.t), minus the allowed words
+  const rest = ws.filter((w) => !blocklist.allow.has(w)).join("");
+  if (
+    blocklist.exact.has(sk) || blocklist.words.has(sk) || ws.some((w) => blocklist.words.has(w))
+    || blocklist.contains.some((term) => rest.includes(term))
+  ) {
+    throw new NameRejectedError("name isn't allowed on the leaderboard, please pick another");
+  }
+}
@@ -0,0 +1,68 @@
+// server/names.test.js — name folding and the bundled blocklist (node --test)
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import { checkName, loadBlocklist, NameRejectedError, normalizeName, parseBlocklist, playerKey, skeleton, words } from "./names.js";
+
+let blocklist;
+before(async () => { blocklist = await loadBlocklist(new URL("./blocklist.txt", import.meta.url)); });
+
+const allowed = (name) => assert.doesNotThrow(() => checkName(normalizeName(name), blocklist), name);
+const refused = (name) => assert.throws(() => checkName(normalizeName(name), blocklist), NameRejectedError, name);
+
+/* ============================== Folding ==================================== */
+describe("folding", () => {
+  test("normalizeName: NFKC, no invisible characters, one space at a time", () => {
+    assert.equal(normalizeName("  Ｂｏｂ​  the   Builder­ "), "Bob the Builder");
+    assert.equal(normalizeName("𝐀𝐝𝐚"), "Ada");
+  });
+
+  test("playerKey: case and Cyrillic/Greek lookalikes, accents kept", () => {
+    assert.equal(playerKey("BOB"), "bob");
+    assert.equal(playerKey("Воb"), playerKey("Bob"));          // Cyrillic В and о
+    assert.equal(playerKey("ΑΡΟ"), playerKey("apo"));          // Greek capitals
+    assert.notEqual(playerKey("Zoë"), playerKey("Zoe"));
+  });
+
+  test("skeleton: accents, leetspeak and punctuation folded away", () => {
+    assert.equal(skeleton("Zoë"), "zoe");
+    assert.equal(skeleton("5H!T"), "shit");
+    assert.equal(skeleton("s.h.i.t"), "shit");
+    assert.equal(skeleton("B0b_the-8uilder"), "bobthebuilder");
+    assert.deepEqual(words("Holy 5h1t!"), ["holy", "shiti"]);
+  });
+});
+
+/* ============================== Blocklist ================================== */
+describe("checkName", () => {
+  test("refuses blocked terms however they are spelled", () => {
+    for (const name of ["fuck", "FUCKER", "Fuсk" /* Cyrillic с */, "f.u.c.k", "Fück", "xXfuckXx"]) refused(name);
+    for (const name of ["Holy Shit", "5H!T", "s h i t", "Big Cunt", "nazi", "N4Z1 gang", "rapist"]) refused(name);
+    for (const name of ["admin", "Adm1n", "RedStone"]) refused(name);
+  });
+
+  test("lets innocent names that contain a term through", () => {
+    for (const name of ["Yoshitaka", "Mashita", "Scunthorpe", "Nazir", "Sluter", "Therapist", "Dickens", "Hancock", "Cassie", "Administrator Bob"]) {
+      allowed(name);
+    }
+    allowed("Swanky Pete");
+    refused("Swanky wanker");   // an allowed word doesn't shield the rest
+  });
+
+  test("refuses symbols and mixed alphabets", () => {
+    assert.throws(() => checkName("$HIT", blocklist), /can only use letters/);
+    assert.throws(() => checkName("B@b", blocklist), /can only use letters/);
+    assert.throws(() => checkName("Bоb", blocklist), /mixes alphabets/);   // Latin B and b, Cyrillic о
+  });
+
+  test("parseBlocklist reads each kind of line", () => {
+    const list = parseBlocklist("# comment\nfoo\n=bar  # trailing\n~baz\n!food\n\n");
+    assert.deepEqual(list.contains, ["foo"]);
+    assert.deepEqual([...list.exact], ["bar"]);
+    assert.deepEqual([...list.words], ["baz"]);
+    assert.deepEqual([...list.allow], ["food"]);
+    assert.doesNotThrow(() => checkName("Bar none", list));
+    assert.doesNotThrow(() => checkName("Bazooka", list));
+    assert.doesNotThrow(() => checkName("Food fight", list));
+    assert.throws(() => checkName("Seafood", list), NameRejectedError);
+  });
+});
@@ -0,0 +1,47 @@
+// server/profiles.js — player profiles: an id the app generates, claimed by a secret token
+//
+// The app keeps { id, token } in localStorage (src/lib/profile.js) and sends it
+// with every score. The first score claims the id: only a hash of the token is
+// stored, and later scores or renames with another token are refused. Entries
+// carry the id as `playerId`, so a board has one row per profile rather than
+// per name, and renaming a profile renames all of its entries.
+import { createHash, timingSafeEqual } from "node:crypto";
+
+export class ProfileError extends Error {
+  constructor(message, status = 403, code = "profile_claimed") {
+    super(message);
+    this.name = "ProfileError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => createHash("sha256").update(token).digest();
+
+function checkToken(profile, token) {
+  if (!timingSafeEqual(Buffer.from(profile.tokenHash, "hex"), hashToken(token))) {
+    throw new ProfileError("this player id belongs to another device");
+  }
+}
+
+/**
+ * Claim `player` for its token on first use, otherwise check the token; a new
+ * `name` renames the profile and its entries. Resolves to the number of entries renamed.
+ */
+export async function claimProfile(store, player, name) {
+  const profile = await store.profile(player.id);
+  if (!profile) {
+    await store.saveProfile(player.id, { tokenHash: hashToken(player.token).toString("hex"), name, since: Date.now() });
+    return 0;
+  }
+  checkToken(profile, player.token);
+  return profile.name === name ? 0 : store.renameProfile(player.id, name);
+}
+
+/** POST /profile: rename an existing profile (before its next score). */
+export async function renameProfile(store, player, name) {
+  const profile = await store.profile(player.id);
+  if (!profile) throw new ProfileError("no scores from this profile yet", 404, "no_profile");
+  checkToken(profile, player.token);
+  return profile.name === name ? 0 : store.renameProfile(player.id, name);
+}
@@ -0,0 +1,277 @@
+// server/race.js — head-to-head races: lobby rooms with codes, a shared seed, live scores, verified results
+//
+// Clients talk JSON over the WebSocket at /race (server/ws.js).
+//
+//   client → server
+//     { type: "create", name }                     open a room; you are its host
+//     { type: "join", code, name }                 join a room in its lobby
+//     { type: "start" }                            host: 2–4 players are in, go
+//     { type: "progress", score, integrity }       while racing, a few times a second
+//     { type: "over", score, reason, run }         your run ended (same run object as POST /scores)
+//     { type: "rematch" }                          host, on the results screen: back to the lobby
+//     { type: "leave" }
+//
+//   server → client
+//     { type: "room", code, you, host, state, players: [{ id, name, score, integrity, alive, connected }] }
+//     { type: "start", seed, countdownMs }         everyone plays MODES.race from this seed
+//     { type: "progress", id, score, integrity }   an opponent's live score
+//     { type: "eliminated", id, score, reason }
+//     { type: "results", ranking: [{ id, name, score, reason, status, place }] }
+//     { type: "error", error, code? }
+//
+// `state` is lobby | racing | results. Finished runs are replayed like score
+// submissions; a run that doesn't replay to its claimed score, or that was
+// played with the reduced-motion ramp, is rejected: it scores 0 and is ranked
+// below every finished run. Players still going RESULTS_GRACE_MS after the
+// clock should have run out are ranked on their last progress report, which is
+// capped at what the time raced so far allows and never outranks a finished run.
+import { randomInt } from "node:crypto";
+import { COMBO_MAX, OPENING_PACKETS, POWERUPS, SCORE_PER_HIT } from "../src/game/config.js";
+import { MODES } from "../src/game/modes.js";
+import { randomSeed } from "../src/game/rng.js";
+import { checkName, normalizeName } from "./names.js";
+import { parseRun, verifyRun } from "./verify.js";
+import { NAME_MAX } from "./validate.js";
+
+const RACE             = MODES.race;
+const CODE_CHARS       = "ABCDEFGHJKLMNPQRSTUVWXYZ";   // no I or O next to 1 and 0
+const CODE_LENGTH      = 4;
+const COUNTDOWN_MS     = 3_000;
+const RESULTS_GRACE_MS = 20_000;
+const ROOM_IDLE_MS     = 15 * 60_000;
+
+// results order: finished runs by score, then runs cut off by the deadline, then the rest
+const STATUS_ORDER = { verified: 0, unfinished: 1, rejected: 2, left: 3 };
+
+// the most a run can have scored `ms` after the start: every packet spawned so
+// far (at most one per spawnMinMs) verified at the top multiplier, under double points
+function scoreCeiling(ms) {
+  const packets = OPENING_PACKETS + Math.floor(Math.max(0, ms) / RACE.tuning.spawnMinMs) + 1;
+  return packets * SCORE_PER_HIT * COMBO_MAX * POWERUPS.double.scoreScale;
+}
+
+export function createRaceHub({ blocklist }) {
+  const rooms = new Map();   // code → room
+  const conns = new Set();   // every open socket, in a room or not
+  let nextId = 1;
+
+  function newCode() {
+    for (;;) {
+      const code = Array.from({ length: CODE_LENGTH }, () => CODE_CHARS[randomInt(CODE_CHARS.length)]).join("");
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  /* -------- Messaging -------- */
+  const send = (player, msg) => player.connected && player.conn.send(JSON.stringify(msg));
+  const broadcast = (room, msg, except = null) => {
+    for (const p of room.players) if (p !== except) send(p, msg);
+  };
+
+  function roomState(room, you) {
+    return {
+      type: "room",
+      code: room.code,
+      you: you.id,
+      host: room.host.id,
+      state: room.state,
+      players: room.players.map((p) => ({
+        id: p.id, name: p.name, score: p.score, integrity: p.integrity, alive: p.alive, connected: p.connected,
+      })),
+    };
+  }
+  const announce = (room) => {
+    room.touchedAt = Date.now();
+    for (const p of room.players) send(p, roomState(room, p));
+  };
+
+  /* -------- Room lifecycle -------- */
+  // a "leave" (socket still open, free to create or join another room) or a closed socket
+  function removePlayer(room, player) {
+    if (room.state === "racing") {
+      // keep them in the ranking as having left (or with the run they already finished)
+      if (!player.result) {
+        player.alive = false;
+        player.result = { score: player.score, reason: "left", status: "left" };
+        broadcast(room, { type: "eliminated", id: player.id, score: player.score, reason: "left" }, player);
+      }
+      // a dropped connection keeps its row, shown as disconnected; someone who left takes only their result along
+      if (player.connected) {
+        room.players = room.players.filter((p) => p !== player);
+        room.departed.push(rankingRow(player));
+      }
+    } else {
+      room.players = room.players.filter((p) => p !== player);
+    }
+    const present = room.players.filter((p) => p.connected);
+    if (!present.length) return closeRoom(room);
+    if (room.host === player) room.host = present[0];
+    if (room.state === "racing") maybeFinish(room);
+    announce(room);
+  }
+
+  function closeRoom(room) {
+    clearTimeout(room.deadline);
+    rooms.delete(room.code);
+  }
+
+  function start(room) {
+    room.state = "racing";
+    room.seed = randomSeed();
+    room.startedAt = Date.now();
+    room.departed = [];
+    for (const p of room.players) Object.assign(p, { score: 0, integrity: RACE.rules.integrity, alive: true, result: null });
+    announce(room);
+    broadcast(room, { type: "start", seed: room.seed, countdownMs: COUNTDOWN_MS });
+    room.deadline = setTimeout(() => finish(room), COUNTDOWN_MS + RACE.rules.timeLimitMs + RESULTS_GRACE_MS);
+  }
+
+  function maybeFinish(room) {
+    if (room.players.every((p) => p.result)) finish(room);
+  }
+
+  const rankingRow = (p) => ({ id: p.id, name: p.name, ...p.result });
+
+  function finish(room) {
+    if (room.state !== "racing") return;
+    clearTimeout(room.deadline);
+    for (const p of room.players) {
+      p.alive = false;
+      p.result ??= { score: p.score, reason: "unfinished", status: "unfinished" };
+    }
+    const ranking = [...room.players.map(rankingRow), ...room.departed]
+      .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || b.score - a.score)
+      .map((r, i) => ({ ...r, place: i + 1 }));
+    room.state = "results";
+    announce(room);
+    broadcast(room, { type: "results", ranking });
+  }
+
+  function finishRun(room, player, msg) {
+    let result;
+    try {
+      const run = parseRun(msg.run, RACE.id);
+      if (run.seed !== room.seed) throw new Error("wrong seed");
+      // races take no reduced-motion ramp (App.jsx), so a run claiming it played a gentler stream
+      if (run.assist.reducedMotion) throw new Error("reduced motion in a race");
+      verifyRun({ score: msg.score, reason: msg.reason, mode: RACE.id, run });
+      result = { score: msg.score, reason: msg.reason, status: "verified" };
+    } catch {
+      result = { score: 0, reason: "rejected", status: "rejected" };
+    }
+    Object.assign(player, { result, score: result.score, alive: false });
+    broadcast(room, { type: "eliminated", id: player.id, score: result.score, reason: result.reason });
+    maybeFinish(room);
+  }
+
+  /* -------- Messages -------- */
+  const fail = (player, error, code) => send(player, { type: "error", error, ...(code && { code }) });
+
+  function joinAs(player, raw) {
+    const name = typeof raw === "string" ? normalizeName(raw) : "";
+    if (!name || [...name].length > NAME_MAX) throw new Error(`name must be 1–${NAME_MAX} characters`);
+    checkName(name, blocklist);
+    player.name = name;
+  }
+
+  function handle(player, msg) {
+    const room = player.room;
+    switch (msg?.type) {
+      case "create": {
+        if (room) return fail(player, "already in a room");
+        joinAs(player, msg.name);
+        const created = {
+          code: newCode(), host: player, players: [player], departed: [], state: "lobby", seed: null, startedAt: 0, deadline: 0, touchedAt: 0,
+        };
+        rooms.set(created.code, created);
+        player.room = created;
+        return announce(created);
+      }
+      case "join": {
+        if (room) return fail(player, "already in a room");
+        const target = rooms.get(String(msg.code ?? "").toUpperCase().trim());
+        if (!target) return fail(player, "no room with that code", "no_room");
+        if (target.state !== "lobby") return fail(player, "that race has already started", "started");
+        if (target.players.length >= RACE.race.maxPlayers) return fail(player, "that room is full", "full");
+        joinAs(player, msg.name);
+        target.players.push(player);
+        player.room = target;
+        return announce(target);
+      }
+      case "start":
+        if (!room || room.host !== player || room.state !== "lobby") return fail(player, "only the host can start, from the lobby");
+        if (room.players.length < RACE.race.minPlayers) return fail(player, `need at least ${RACE.race.minPlayers} players`);
+        return start(room);
+      case "progress":
+        if (room?.state !== "racing" || !player.alive) return;
+        if (Number.isInteger(msg.score)) player.score = Math.min(msg.score, scoreCeiling(Date.now() - room.startedAt));
+        if (Number.isInteger(msg.integrity)) player.integrity = msg.integrity;
+        return broadcast(room, { type: "progress", id: player.id, score: player.score, integrity: player.integrity }, player);
+      case "over":
+        if (room?.state !== "racing" || player.result) return;
+        return finishRun(room, player, msg);
+      case "rematch":
+        if (!room || room.host !== player || room.state !== "results") return fail(player, "only the host can call a rematch");
+        room.state = "lobby";
+        room.players = room.players.filter((p) => p.connected);
+        return announce(room);
+      case "leave":
+        if (room) removePlayer(room, player);
+        player.room = null;
+        return;
+      default:
+        return fail(player, "unknown message");
+    }
+  }
+
+  // rooms nobody has touched in a while (a tab left open on the lobby)
+  const sweeper = setInterval(() => {
+    const stale = Date.now() - ROOM_IDLE_MS;
+    for (const room of rooms.values()) {
+      if (room.touchedAt >= stale) continue;
+      for (const p of room.players) p.conn.close(1001, "room closed");
+      closeRoom(room);
+    }
+  }, 60_000);
+  sweeper.unref();
+
+  return {
+    get rooms() {
+      return rooms.size;
+    },
+
+    /** Take over a freshly upgraded connection (server/ws.js). */
+    connect(conn) {
+      const player = { id: nextId++, conn, name: "", room: null, connected: true, score: 0, integrity: 0, alive: false, result: null };
+      conns.add(conn);
+      conn.on("message", (text) => {
+        let msg;
+        try {
+          msg = JSON.parse(text);
+        } catch {
+          return fail(player, "messages must be JSON");
+        }
+        try {
+          handle(player, msg);
+        } catch (err) {
+          fail(player, err.message, err.code);
+        }
+      });
+      conn.on("close", () => {
+        conns.delete(conn);
+        player.connected = false;
+        if (player.room) removePlayer(player.room, player);
+      });
+    },
+
+    /** Close every socket (server shutdown); server.close() waits for them otherwise. */
+    close() {
+      clearInterval(sweeper);
+      for (const room of rooms.values()) {
+        for (const p of room.players) p.room = null;   // their sockets closing shouldn't rank anyone
+        closeRoom(room);
+      }
+      for (const conn of conns) conn.close(1001, "server shutting down");
+    },
+  };
+}
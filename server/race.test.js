@@ -0,0 +1,134 @@
+// server/race.test.js — race rooms over the /race WebSocket (node --test)
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { createEngine } from "../src/game/engine.js";
+import { MODES, tuningFor } from "../src/game/modes.js";
+import { createApp } from "./app.js";
+import { createJsonStore } from "./store.js";
+import { connectWebSocket } from "./ws.js";
+
+let dir, server, url;
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "rdd-race-"));
+  server = createApp({ store: createJsonStore(join(dir, "scores.json")) });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `ws://127.0.0.1:${server.address().port}/race`;
+});
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+// a player: send(msg), and next(type, match) resolves to the first unread message of that type (that `match`es)
+async function player() {
+  const conn = await connectWebSocket(url);
+  const inbox = [];
+  const waiting = [];
+  conn.on("message", (text) => {
+    inbox.push(JSON.parse(text));
+    for (const w of waiting.splice(0)) w();
+  });
+  const next = async (type, match = () => true) => {
+    for (;;) {
+      const i = inbox.findIndex((m) => m.type === type && match(m));
+      if (i >= 0) return inbox.splice(i, 1)[0];
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+  };
+  return { conn, next, send: (msg) => conn.send(JSON.stringify(msg)) };
+}
+
+// a race run nobody touches, played out from `seed` with (or without) the reduced-motion ramp
+function idleRaceRun(seed, assist = { reducedMotion: false }) {
+  const mode = MODES.race;
+  const engine = createEngine({ seed, width: 480, height: 720, pktSize: 48, rules: mode.rules, tuning: tuningFor(mode, assist) });
+  while (!engine.state.over) engine.step();
+  const { score, reason } = engine.state;
+  return { type: "over", score, reason, run: { ...engine.run(), assist } };
+}
+
+// Alice hosts, Bob joins, the race starts; resolves once both have the seed
+async function raceOf(a, b) {
+  a.send({ type: "create", name: "Alice" });
+  const { code } = await a.next("room");
+  b.send({ type: "join", code, name: "Bob" });
+  const { you: bob } = await b.next("room");
+  a.send({ type: "start" });
+  const { seed } = await a.next("start");
+  await b.next("start");
+  return { bob, seed };
+}
+
+test("leaving a race ranks you as left and frees the socket for another room", { timeout: 10_000 }, async () => {
+  const a = await player();
+  const b = await player();
+  try {
+    a.send({ type: "create", name: "Alice" });
+    const { code } = await a.next("room");
+    b.send({ type: "join", code, name: "Bob" });
+    const { you: bob } = await b.next("room");
+    a.send({ type: "start" });
+    await b.next("start");
+
+    b.send({ type: "leave" });
+    const gone = await a.next("eliminated");
+    assert.deepEqual(gone, { type: "eliminated", id: bob, score: 0, reason: "left" });
+    const room = await a.next("room", (m) => m.players.length === 1);
+    assert.deepEqual(room.players.map((p) => p.name), ["Alice"]);
+
+    // Bob's socket is still open and still answered
+    b.send({ type: "create", name: "Bob" });
+    const own = await b.next("room", (m) => m.code !== code);
+    assert.equal(own.host, bob);
+
+    // Alice's run ends (not a real run, so it's rejected) and the race is over with Bob still ranked
+    a.send({ type: "over", score: 0, reason: "time_up", run: null });
+    const { ranking } = await a.next("results");
+    assert.deepEqual(ranking.map((r) => [r.name, r.status]), [["Alice", "rejected"], ["Bob", "left"]]);
+  } finally {
+    a.conn.close();
+    b.conn.close();
+  }
+});
+
+test("a run with the reduced-motion ramp is rejected and scores 0", { timeout: 20_000 }, async () => {
+  const a = await player();
+  const b = await player();
+  try {
+    const { seed } = await raceOf(a, b);
+    // the gentler ramp replays to its score, but races are played without it
+    const eased = idleRaceRun(seed, { reducedMotion: true });
+    a.send(eased);
+    const out = await b.next("eliminated");
+    assert.deepEqual([out.score, out.reason], [0, "rejected"]);
+
+    const plain = idleRaceRun(seed);
+    b.send(plain);
+    const { ranking } = await a.next("results");
+    assert.deepEqual(ranking.map((r) => [r.name, r.status, r.score]), [["Bob", "verified", plain.score], ["Alice", "rejected", 0]]);
+  } finally {
+    a.conn.close();
+    b.conn.close();
+  }
+});
+
+test("live scores are capped and a rejected claim keeps none of its score", { timeout: 10_000 }, async () => {
+  const a = await player();
+  const b = await player();
+  try {
+    await raceOf(a, b);
+    a.send({ type: "progress", score: 1_000_000, integrity: 3 });
+    const live = await b.next("progress");
+    assert.ok(live.score > 0 && live.score < 10_000, `live score ${live.score}`);
+
+    a.send({ type: "over", score: 1_000_000, reason: "time_up", run: null });
+    const out = await b.next("eliminated");
+    assert.deepEqual([out.score, out.reason], [0, "rejected"]);
+  } finally {
+    a.conn.close();
+    b.conn.close();
+  }
+});
@@ -0,0 +1,51 @@
+// server/rateLimit.js — fixed-window request counters (per IP, per session, failed admin sign-ins)
+
+export class RateLimitedError extends Error {
+  constructor(retryAfterMs, what = "requests") {
+    const secs = Math.ceil(retryAfterMs / 1000);
+    super(`too many ${what}, try again in ${secs} s`);
+    this.name = "RateLimitedError";
+    this.status = 429;
+    this.code = "rate_limited";
+    this.retryAfter = secs;
+  }
+}
+
+/**
+ * Allows `limit` hits per key every `windowMs`. take(key) counts a hit and
+ * throws a RateLimitedError once the key is over its limit; `what` names the
+ * hits in its message ("too many <what>"), and a call site sharing the limiter
+ * can pass its own. A limit of 0 turns the limiter off.
+ */
+export function createRateLimiter({ limit, windowMs, what }) {
+  const windows = new Map();   // key → { start, count }
+
+  function sweep(now) {
+    for (const [key, w] of windows) if (now - w.start >= windowMs) windows.delete(key);
+  }
+
+  return {
+    take(key, hits = what) {
+      if (!limit || !key) return;
+      const now = Date.now();
+      if (windows.size > 10_000) sweep(now);
+      let w = windows.get(key);
+      if (!w || now - w.start >= windowMs) windows.set(key, (w = { start: now, count: 0 }));
+      if (++w.count > limit) throw new RateLimitedError(w.start + windowMs - now, hits);
+    },
+
+    /** Throws like take() once `key` has used up its limit, without counting a hit. */
+    check(key) {
+      if (!limit || !key) return;
+      const now = Date.now();
+      const w = windows.get(key);
+      if (w && now - w.start < windowMs && w.count >= limit) throw new RateLimitedError(w.start + windowMs - now, what);
+    },
+  };
+}
+
+/** Client address; X-Forwarded-For is only believed behind a trusted proxy. */
+export function clientIp(req, { trustProxy = false } = {}) {
+  const fwd = trustProxy && req.headers["x-forwarded-for"];
+  return fwd ? fwd.split(",")[0].trim() : req.socket.remoteAddress;
+}
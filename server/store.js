@@ -0,0 +1,259 @@
+// server/store.js
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { playerKey } from "./names.js";
+
+// what GET /scores shows; the dedupe key stays server-side and the run log
+// (for GET /replay) is reduced to whether there is one
+export function publicEntry(entry) {
+  const pub = { ...entry, replay: !!entry.run };
+  delete pub.runKey;
+  delete pub.run;
+  delete pub.tuning;
+  return pub;
+}
+
+// first ms (UTC) of a board window: today, this week from Monday, or ever
+function windowStart(window, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  if (window === "day") return today;
+  if (window === "week") return today - ((now.getUTCDay() + 6) % 7) * 86_400_000;
+  return -Infinity;
+}
+
+const byRank = (a, b) => b.score - a.score || a.ts - b.ts;
+// whose row an entry counts towards: its profile, or its name for runs sent without one
+const owner = (s) => (s.playerId ? `id:${s.playerId}` : `name:${playerKey(s.name)}`);
+const onBoard = (s) => !s.hidden && !s.archived;
+
+// admin listing filter: visible | hidden | archived | all
+const STATUS = {
+  visible: onBoard,
+  hidden: (s) => !!s.hidden,
+  archived: (s) => !!s.archived,
+  all: () => true,
+};
+
+const CONFIG_HISTORY = 20;   // tuning versions a submitted run may still name
+
+/* ============================== JSON file store ============================ */
+// Whole-file JSON storage. The board is small (a booth sees a few thousand runs
+// at most), so we keep everything in memory and rewrite the file on each change.
+export function createJsonStore(file) {
+  let data = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      const j = JSON.parse(await readFile(file, "utf8"));
+      data = {
+        scores: Array.isArray(j?.scores) ? j.scores : [],
+        retiredRunKeys: Array.isArray(j?.retiredRunKeys) ? j.retiredRunKeys : [],
+        config: j?.config ?? { version: 0, tuning: {}, history: [] },
+        profiles: j?.profiles ?? {},
+      };
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      data = { scores: [], retiredRunKeys: [], config: { version: 0, tuning: {}, history: [] }, profiles: {} };
+    }
+    // entries from before the admin dashboard have no id
+    const missing = data.scores.filter((s) => !s.id);
+    missing.forEach((s) => { s.id = randomUUID(); });
+    if (missing.length) await persist();
+    return data;
+  }
+
+  // entries by id (admin), or by name (+ ts) (moderation by name)
+  function matcher({ ids = null, name = null, ts = null }) {
+    if (ids) {
+      const set = new Set(ids);
+      return (s) => set.has(s.id);
+    }
+    const key = playerKey(name);
+    return (s) => playerKey(s.name) === key && (ts == null || s.ts === ts);
+  }
+
+  // drop entries for good; their run keys are kept so the runs can't be resubmitted
+  async function removeWhere(pick) {
+    const d = await load();
+    const gone = d.scores.filter(pick);
+    d.scores = d.scores.filter((s) => !pick(s));
+    d.retiredRunKeys.push(...gone.map((s) => s.runKey).filter(Boolean));
+    if (gone.length) await persist();
+    return gone.length;
+  }
+
+  // serialize writes; write to a temp file first so a crash never leaves half a file
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  return {
+    // One row per player (their best run; the earlier one on a tie), ranked.
+    // `total` counts players; `me` is the row of `profile` (or of the name
+    // `player`) wherever it ranks, or null.
+    // Entries written before modes existed have no mode and belong to endless.
+    async list({ mode = "endless", day = null, window = "all", player = null, profile = null, limit, offset = 0 }) {
+      const { scores, profiles } = await load();
+      const since = windowStart(window);
+      const best = new Map();
+      for (const s of scores) {
+        if (!onBoard(s) || (s.mode ?? "endless") !== mode || (day && s.day !== day) || s.ts < since) continue;
+        const key = owner(s);
+        const cur = best.get(key);
+        if (!cur || byRank(s, cur) < 0) best.set(key, s);
+      }
+      // rows of profiles with badges (src/game/achievements.js) carry their ids, in the order earned
+      const badgesOf = (s) => {
+        const earned = s.playerId && profiles[s.playerId]?.badges;
+        return earned ? { badges: Object.keys(earned).sort((a, b) => earned[a] - earned[b]) } : null;
+      };
+      const ranked = [...best.values()].sort(byRank).map((s, i) => ({ ...publicEntry(s), ...badgesOf(s), rank: i + 1 }));
+      const board = { total: ranked.length, scores: ranked.slice(offset, offset + limit) };
+      const mine = profile ? `id:${profile}` : player ? `name:${playerKey(player)}` : null;
+      if (mine) board.me = ranked.find((s) => owner(s) === mine) ?? null;
+      return board;
+    },
+
+    /** An entry with its recorded run, unless hidden or from before runs were kept. */
+    async replay(id) {
+      const { scores } = await load();
+      const entry = scores.find((s) => s.id === id);
+      return entry?.run && !entry.hidden ? entry : null;
+    },
+
+    async hasRunKey(key) {
+      const { scores, retiredRunKeys } = await load();
+      return scores.some((s) => s.runKey === key) || retiredRunKeys.includes(key);
+    },
+
+    /** Admin listing: raw entries (hidden and archived too), newest first; `q` matches names. */
+    async search({ mode = null, status = "visible", q = "", limit, offset = 0 }) {
+      const { scores } = await load();
+      const needle = q ? playerKey(q) : "";
+      const found = scores
+        .filter((s) => STATUS[status](s) && (!mode || (s.mode ?? "endless") === mode) && playerKey(s.name).includes(needle))
+        .sort((a, b) => b.ts - a.ts);
+      return { total: found.length, scores: found.slice(offset, limit == null ? undefined : offset + limit) };
+    },
+
+    /**
+     * Moderation: hide (or un-hide) entries picked by `ids`, by name + ts, or
+     * every entry of a player by name alone. Hidden entries stay stored (their
+     * run can't be resubmitted) but no board lists them. Resolves to the number changed.
+     */
+    async setHidden(match, hidden) {
+      const d = await load();
+      const pick = matcher(match);
+      let changed = 0;
+      for (const s of d.scores) {
+        if (!pick(s) || !!s.hidden === hidden) continue;
+        if (hidden) s.hidden = true;
+        else delete s.hidden;
+        changed++;
+      }
+      if (changed) await persist();
+      return changed;
+    },
+
+    /** Delete entries for good; their runs still count as submitted. */
+    async remove(ids) {
+      return removeWhere(matcher({ ids }));
+    },
+
+    /**
+     * End-of-event reset of one mode's board (every mode without `mode`): with
+     * `archive` the entries are kept under that label, otherwise deleted.
+     */
+    async reset({ mode = null, archive = null }) {
+      const pick = (s) => !s.archived && (!mode || (s.mode ?? "endless") === mode);
+      if (!archive) return removeWhere(pick);
+      const d = await load();
+      let changed = 0;
+      for (const s of d.scores) {
+        if (!pick(s)) continue;
+        s.archived = archive;
+        changed++;
+      }
+      if (changed) await persist();
+      return changed;
+    },
+
+    /* -------- Profiles (server/profiles.js) -------- */
+    async profile(id) {
+      const { profiles } = await load();
+      return Object.hasOwn(profiles, id) ? profiles[id] : null;
+    },
+
+    async saveProfile(id, profile) {
+      const d = await load();
+      d.profiles[id] = profile;
+      await persist();
+    },
+
+    /** New name for a profile and every entry it has; resolves to the number of entries renamed. */
+    async renameProfile(id, name) {
+      const d = await load();
+      d.profiles[id].name = name;
+      let changed = 0;
+      for (const s of d.scores) {
+        if (s.playerId !== id || s.name === name) continue;
+        s.name = name;
+        changed++;
+      }
+      await persist();
+      return changed;
+    },
+
+    /** Record badges earned in a verified run; resolves to the number the profile didn't have yet. */
+    async addBadges(id, badges) {
+      const d = await load();
+      const profile = d.profiles[id];
+      const fresh = badges.filter((b) => !Object.hasOwn(profile.badges ?? {}, b));
+      if (!fresh.length) return 0;
+      const now = Date.now();
+      profile.badges = { ...profile.badges, ...Object.fromEntries(fresh.map((b) => [b, now])) };
+      await persist();
+      return fresh.length;
+    },
+
+    /* -------- Live tuning (see TUNING_LIMITS in src/game/modes.js) -------- */
+    async getConfig() {
+      const { config } = await load();
+      return { version: config.version, tuning: config.tuning };
+    },
+
+    /** Overrides that were live at `version` (0 = none), or null once it has aged out. */
+    async tuningAt(version) {
+      const { config } = await load();
+      if (version === 0) return {};
+      if (version === config.version) return config.tuning;
+      return config.history.find((h) => h.version === version)?.tuning ?? null;
+    },
+
+    async setConfig(tuning) {
+      const d = await load();
+      const { config } = d;
+      if (config.version) config.history = [{ version: config.version, tuning: config.tuning }, ...config.history].slice(0, CONFIG_HISTORY);
+      d.config = { version: config.version + 1, tuning, history: config.history };
+      await persist();
+      return { version: d.config.version, tuning };
+    },
+
+    async add(entry) {
+      const d = await load();
+      entry.id = randomUUID();
+      d.scores.push(entry);
+      await persist();
+      return entry;
+    },
+  };
+}
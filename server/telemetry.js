@@ -0,0 +1,157 @@
+// server/telemetry.js — collector for the app's anonymous gameplay events (POST /events)
+//
+// The app batches events per run (src/lib/telemetry.js) and sends them with
+// navigator.sendBeacon. Nothing is kept per event or per player: each batch is
+// folded into one aggregate (where runs fail, by lane, game time, speed and
+// corrupted theme), which GET /admin/telemetry reports. TELEMETRY=off on the
+// score service turns the endpoint off.
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { CORRUPT_THEMES, LANES } from "../src/game/config.js";
+import { END_REASONS } from "../src/game/engine.js";
+import { MODE_IDS } from "../src/game/modes.js";
+import { ValidationError } from "./validate.js";
+import { RUN_MAX_MS } from "./verify.js";
+
+export const EVENT_TYPES = ["run_start", "spawn", "hit", "miss", "corrupt_click", "game_over"];
+const THEMES = CORRUPT_THEMES.map((t) => t.name);
+
+const BATCH_MAX      = 500;      // events per POST
+const HEAT_BUCKET_MS = 15_000;   // heatmap column width (game time)
+const HEAT_BUCKETS   = 16;       // the last column takes everything from 3:45 on
+const SPEED_BAND     = 100;      // px/s per speed band
+
+const isInt = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+
+/* ============================== Parsing ==================================== */
+// one event, or null when it doesn't fit the schema (beacons can't be told off, so bad events are just dropped)
+function parseEvent(e) {
+  if (!e || typeof e !== "object" || !EVENT_TYPES.includes(e.type)) return null;
+  if (typeof e.run !== "string" || !/^[a-f0-9]{1,32}$/.test(e.run)) return null;
+  if (!isInt(e.t, 0, RUN_MAX_MS)) return null;
+  switch (e.type) {
+    case "run_start":
+      return MODE_IDS.includes(e.mode) ? { type: e.type, run: e.run, t: e.t, mode: e.mode } : null;
+    case "game_over":
+      if (!MODE_IDS.includes(e.mode) || !END_REASONS.includes(e.reason)) return null;
+      return { type: e.type, run: e.run, t: e.t, mode: e.mode, reason: e.reason };
+    case "spawn":
+      if (!isInt(e.lane, 0, LANES - 1) || !(e.kind === "valid" || e.kind === "power" || THEMES.includes(e.kind))) return null;
+      return { type: e.type, run: e.run, t: e.t, lane: e.lane, kind: e.kind };
+    default: {
+      // hit | miss | corrupt_click
+      if (!isInt(e.lane, 0, LANES - 1) || typeof e.speed !== "number" || !(e.speed >= 0 && e.speed <= 20_000)) return null;
+      if (e.type === "corrupt_click" && !THEMES.includes(e.theme)) return null;
+      return { type: e.type, run: e.run, t: e.t, lane: e.lane, speed: e.speed, theme: e.theme, shielded: e.shielded === true };
+    }
+  }
+}
+
+/** POST /events body: { events: [...] }; resolves to the events that parse. */
+export function parseEventBatch(body) {
+  if (!body || !Array.isArray(body.events)) throw new ValidationError("events must be an array");
+  if (body.events.length > BATCH_MAX) throw new ValidationError(`at most ${BATCH_MAX} events per batch`);
+  return body.events.map(parseEvent).filter(Boolean);
+}
+
+/* ============================== Aggregate ================================== */
+const lanes = () => Array(LANES).fill(0);
+const heat = () => Array.from({ length: LANES }, () => Array(HEAT_BUCKETS).fill(0));
+
+function emptyAggregate() {
+  return {
+    since: Date.now(),
+    events: 0,
+    runs: {},       // mode → runs started
+    ends: {},       // mode → { reason → runs }
+    themes: Object.fromEntries(THEMES.map((t) => [t, { spawned: 0, clicked: 0, shielded: 0 }])),
+    lanes: { hit: lanes(), miss: lanes(), corrupt: lanes() },
+    heat: { miss: heat(), corrupt: heat() },   // [lane][game-time bucket]
+    speeds: { hit: {}, miss: {}, corrupt: {} }, // speed band (px/s, floor) → count
+  };
+}
+
+const bump = (obj, key, by = 1) => { obj[key] = (obj[key] ?? 0) + by; };
+
+function fold(agg, e) {
+  agg.events++;
+  const bucket = Math.min(HEAT_BUCKETS - 1, Math.floor(e.t / HEAT_BUCKET_MS));
+  const band = Math.floor(e.speed / SPEED_BAND) * SPEED_BAND;
+  switch (e.type) {
+    case "run_start":
+      bump(agg.runs, e.mode);
+      break;
+    case "game_over":
+      bump((agg.ends[e.mode] ??= {}), e.reason);
+      break;
+    case "spawn":
+      if (agg.themes[e.kind]) agg.themes[e.kind].spawned++;
+      break;
+    case "hit":
+      agg.lanes.hit[e.lane]++;
+      bump(agg.speeds.hit, band);
+      break;
+    case "miss":
+      agg.lanes.miss[e.lane]++;
+      agg.heat.miss[e.lane][bucket]++;
+      bump(agg.speeds.miss, band);
+      break;
+    case "corrupt_click":
+      // a shielded click cost nothing, but the player still fell for the packet
+      agg.themes[e.theme].clicked++;
+      if (e.shielded) agg.themes[e.theme].shielded++;
+      agg.lanes.corrupt[e.lane]++;
+      agg.heat.corrupt[e.lane][bucket]++;
+      bump(agg.speeds.corrupt, band);
+      break;
+  }
+}
+
+/* ============================== Collector ================================== */
+// Same whole-file JSON approach as the score store; the aggregate stays a few KB
+// however many events come in, and a beacon arrives every few seconds per player.
+export function createTelemetry(file) {
+  let agg = null;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (agg) return agg;
+    try {
+      agg = { ...emptyAggregate(), ...JSON.parse(await readFile(file, "utf8")) };
+    } catch (err) {
+      if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+      agg = emptyAggregate();
+    }
+    return agg;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(agg);
+    writing = writing.then(async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, snapshot);
+      await rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  return {
+    /** Fold parsed events into the aggregate. */
+    async ingest(events) {
+      const a = await load();
+      for (const e of events) fold(a, e);
+      if (events.length) await persist();
+    },
+
+    /** The aggregate, with the bucket sizes needed to read it. */
+    async report() {
+      return { heatBucketMs: HEAT_BUCKET_MS, speedBand: SPEED_BAND, ...(await load()) };
+    },
+
+    /** Start over (end of an event); the old aggregate is overwritten. */
+    async reset() {
+      agg = emptyAggregate();
+      await persist();
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// server/telemetry.test.js — event parsing and the aggregate it folds into (node --test)
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { CORRUPT_THEMES, LANES } from "../src/game/config.js";
+import { createTelemetry, parseEventBatch } from "./telemetry.js";
+import { ValidationError } from "./validate.js";
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), "rdd-telemetry-")); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+const theme = CORRUPT_THEMES[0].name;
+const run = "abc123";
+
+/* ============================== Parsing ==================================== */
+describe("parseEventBatch", () => {
+  test("keeps events that fit the schema, stripped to their fields", () => {
+    const events = parseEventBatch({
+      events: [
+        { type: "run_start", run, t: 0, mode: "endless", name: "dropped" },
+        { type: "spawn", run, t: 10, lane: 2, kind: "valid" },
+        { type: "hit", run, t: 20, lane: 2, speed: 240.5, extra: 1 },
+        { type: "corrupt_click", run, t: 30, lane: 0, speed: 300, theme, shielded: true },
+        { type: "game_over", run, t: 40, mode: "endless", reason: "integrity_depleted" },
+      ],
+    });
+    assert.deepEqual(events, [
+      { type: "run_start", run, t: 0, mode: "endless" },
+      { type: "spawn", run, t: 10, lane: 2, kind: "valid" },
+      { type: "hit", run, t: 20, lane: 2, speed: 240.5, theme: undefined, shielded: false },
+      { type: "corrupt_click", run, t: 30, lane: 0, speed: 300, theme, shielded: true },
+      { type: "game_over", run, t: 40, mode: "endless", reason: "integrity_depleted" },
+    ]);
+  });
+
+  test("drops events that don't", () => {
+    const bad = [
+      null,
+      { type: "scroll", run, t: 0 },
+      { type: "hit", run: "Not-Hex", t: 0, lane: 0, speed: 1 },
+      { type: "hit", run, t: -1, lane: 0, speed: 1 },
+      { type: "hit", run, t: 0, lane: LANES, speed: 1 },
+      { type: "miss", run, t: 0, lane: 0, speed: "fast" },
+      { type: "corrupt_click", run, t: 0, lane: 0, speed: 1, theme: "plaid" },
+      { type: "spawn", run, t: 0, lane: 0, kind: "plaid" },
+      { type: "run_start", run, t: 0, mode: "chess" },
+      { type: "game_over", run, t: 0, mode: "endless", reason: "bored" },
+    ];
+    assert.deepEqual(parseEventBatch({ events: bad }), []);
+  });
+
+  test("needs an array of at most 500", () => {
+    assert.throws(() => parseEventBatch({}), ValidationError);
+    assert.throws(() => parseEventBatch(null), ValidationError);
+    assert.throws(() => parseEventBatch({ events: Array(501).fill(null) }), /at most 500 events/);
+  });
+});
+
+/* ============================== Aggregate ================================== */
+describe("createTelemetry", () => {
+  test("folds events into per-lane, per-time and per-speed counts", async () => {
+    const telemetry = createTelemetry(join(dir, "fold.json"));
+    await telemetry.ingest(parseEventBatch({
+      events: [
+        { type: "run_start", run, t: 0, mode: "sprint" },
+        { type: "spawn", run, t: 0, lane: 1, kind: theme },
+        { type: "spawn", run, t: 0, lane: 1, kind: "valid" },
+        { type: "hit", run, t: 1_000, lane: 1, speed: 250 },
+        { type: "hit", run, t: 2_000, lane: 1, speed: 299 },
+        { type: "miss", run, t: 16_000, lane: 3, speed: 410 },
+        { type: "corrupt_click", run, t: 999_000, lane: 0, speed: 120, theme, shielded: true },
+        { type: "game_over", run, t: 60_000, mode: "sprint", reason: "time_up" },
+      ],
+    }));
+    const report = await telemetry.report();
+    assert.equal(report.events, 8);
+    assert.deepEqual(report.runs, { sprint: 1 });
+    assert.deepEqual(report.ends, { sprint: { time_up: 1 } });
+    assert.deepEqual(report.themes[theme], { spawned: 1, clicked: 1, shielded: 1 });
+    assert.equal(report.lanes.hit[1], 2);
+    assert.equal(report.lanes.miss[3], 1);
+    // 16 s falls in the second 15 s column; anything past the last column lands in it
+    assert.equal(report.heat.miss[3][1], 1);
+    assert.equal(report.heat.corrupt[0].at(-1), 1);
+    assert.deepEqual(report.speeds, { hit: { 200: 2 }, miss: { 400: 1 }, corrupt: { 100: 1 } });
+    assert.equal(report.heatBucketMs, 15_000);
+  });
+
+  test("keeps the aggregate on disk until it's reset", async () => {
+    const file = join(dir, "disk.json");
+    await createTelemetry(file).ingest([{ type: "run_start", run, t: 0, mode: "endless" }]);
+    const reopened = createTelemetry(file);
+    assert.deepEqual((await reopened.report()).runs, { endless: 1 });
+
+    await reopened.reset();
+    const fresh = await createTelemetry(file).report();
+    assert.equal(fresh.events, 0);
+    assert.deepEqual(fresh.runs, {});
+  });
+});
@@ -0,0 +1,172 @@
+// server/validate.js
+import { DEFAULT_MODE, dayKey, MODES, TUNABLE_MODES, TUNING_LIMITS } from "../src/game/modes.js";
+import { normalizeName } from "./names.js";
+
+/* ============================== Limits ===================================== */
+export const NAME_MAX     = 20;          // matches onNameSubmit / endGame in App.jsx
+export const SESSION_MAX  = 64;
+export const REASON_MAX   = 32;
+export const SCORE_MAX    = 1_000_000;
+export const LIMIT_DEFAULT = 10;
+export const LIMIT_MAX     = 100;
+export const INPUT_METHODS = ["pointer", "keyboard", "gamepad", "mixed"];
+export const WINDOWS       = ["day", "week", "all"];   // UTC today, this UTC week (from Monday), all time
+export const STATUSES      = ["visible", "hidden", "archived", "all"];
+export const ARCHIVE_MAX   = 40;
+export const PROFILE_ID    = /^[a-f0-9]{32}$/;      // src/lib/profile.js: 16 random bytes, hex
+export const PROFILE_TOKEN = /^[\w-]{16,128}$/;
+
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ValidationError";
+    this.status = 400;
+  }
+}
+
+/* ============================== Parsers ==================================== */
+export function parseScore(body) {
+  if (!body || typeof body !== "object") throw new ValidationError("body must be a JSON object");
+
+  const name = parseName(body.name);
+
+  const { score } = body;
+  if (!Number.isInteger(score)) throw new ValidationError("score must be an integer");
+  if (Math.abs(score) > SCORE_MAX) throw new ValidationError("score out of range");
+
+  let reason = null;
+  if (body.reason != null) {
+    if (typeof body.reason !== "string" || !/^[a-z_]+$/.test(body.reason) || body.reason.length > REASON_MAX) {
+      throw new ValidationError("reason must be a short snake_case string");
+    }
+    reason = body.reason;
+  }
+
+  const input = body.input ?? "pointer";
+  if (!INPUT_METHODS.includes(input)) throw new ValidationError(`input must be one of ${INPUT_METHODS.join(", ")}`);
+
+  return { name, score, reason, input, mode: parseMode(body.mode ?? DEFAULT_MODE, { ranked: true }) };
+}
+
+export function parseName(raw) {
+  const name = typeof raw === "string" ? normalizeName(raw) : "";
+  if (!name) throw new ValidationError("name is required");
+  if ([...name].length > NAME_MAX) throw new ValidationError(`name must be at most ${NAME_MAX} characters`);
+  return name;
+}
+
+/** `player` of POST /scores and POST /profile: { id, token } (server/profiles.js), or null without one. */
+export function parsePlayer(player) {
+  if (player == null) return null;
+  if (typeof player !== "object" || !PROFILE_ID.test(player.id ?? "") || !PROFILE_TOKEN.test(player.token ?? "")) {
+    throw new ValidationError("player must be { id, token } from the app's profile");
+  }
+  return { id: player.id, token: player.token };
+}
+
+/** Client-chosen id for one browser session, only used for rate limiting. */
+export function parseSession(session) {
+  if (session == null) return null;
+  if (typeof session !== "string" || !/^[\w-]+$/.test(session) || session.length > SESSION_MAX) {
+    throw new ValidationError(`session must be 1–${SESSION_MAX} of a-z, 0-9, _ and -`);
+  }
+  return session;
+}
+
+export function parseMode(mode, { ranked = false } = {}) {
+  if (!Object.hasOwn(MODES, mode)) throw new ValidationError(`mode must be one of ${Object.keys(MODES).join(", ")}`);
+  if (ranked && !MODES[mode].ranked) throw new ValidationError(`${mode} runs are not ranked`);
+  return mode;
+}
+
+export function parseDay(day) {
+  if (typeof day !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(day))) {
+    throw new ValidationError("day must be YYYY-MM-DD");
+  }
+  return day;
+}
+
+/**
+ * GET /scores query: paging, which board (mode, and day for daily modes), the
+ * time window, and optionally whose best and rank to look up: a `profile` id,
+ * or a `player` name for runs sent without a profile.
+ */
+export function parseBoardQuery(params) {
+  const mode = parseMode(params.get("mode") || DEFAULT_MODE);
+  const day = MODES[mode].daily ? parseDay(params.get("day") || dayKey()) : null;
+  const window = params.get("window") || "all";
+  if (!WINDOWS.includes(window)) throw new ValidationError(`window must be one of ${WINDOWS.join(", ")}`);
+  const player = normalizeName(params.get("player") ?? "") || null;
+  if (player && [...player].length > NAME_MAX) throw new ValidationError(`player must be at most ${NAME_MAX} characters`);
+  const profile = params.get("profile") || null;
+  if (profile && !PROFILE_ID.test(profile)) throw new ValidationError("profile must be a profile id");
+  return { ...parsePaging(params), mode, day, window, player, profile };
+}
+
+/** GET /admin/scores query: optional mode, status filter, name search, paging. */
+export function parseAdminQuery(params) {
+  const mode = params.get("mode") ? parseMode(params.get("mode")) : null;
+  const status = params.get("status") || "visible";
+  if (!STATUSES.includes(status)) throw new ValidationError(`status must be one of ${STATUSES.join(", ")}`);
+  const q = (params.get("q") ?? "").trim().slice(0, NAME_MAX);
+  return { ...parsePaging(params), mode, status, q };
+}
+
+export function parseEntryId(id) {
+  if (typeof id !== "string" || !/^[\w-]{1,64}$/.test(id)) throw new ValidationError("id must be an entry id");
+  return id;
+}
+
+export function parseIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === "string")) {
+    throw new ValidationError("ids must be a non-empty array of entry ids");
+  }
+  return ids;
+}
+
+/** Body of POST /admin/reset: { mode?, archive? } (archive is a label, or true for today's date). */
+export function parseReset(body) {
+  const mode = body?.mode == null ? null : parseMode(body.mode);
+  let archive = body?.archive ?? null;
+  if (archive === true) archive = dayKey();
+  if (archive === false) archive = null;
+  if (archive != null && (typeof archive !== "string" || !archive.trim() || archive.length > ARCHIVE_MAX)) {
+    throw new ValidationError(`archive must be true or a label of at most ${ARCHIVE_MAX} characters`);
+  }
+  return { mode, archive: archive?.trim() ?? null };
+}
+
+/** Live tuning overrides: { [modeId]: { key: number } }, within TUNING_LIMITS. */
+export function parseTuning(tuning) {
+  if (!tuning || typeof tuning !== "object" || Array.isArray(tuning)) throw new ValidationError("tuning must be an object");
+  const out = {};
+  for (const [mode, patch] of Object.entries(tuning)) {
+    if (!TUNABLE_MODES.includes(mode)) throw new ValidationError(`tuning.${mode}: must be one of ${TUNABLE_MODES.join(", ")}`);
+    if (!patch || typeof patch !== "object") throw new ValidationError(`tuning.${mode} must be an object`);
+    const clean = {};
+    for (const [key, v] of Object.entries(patch)) {
+      const lim = TUNING_LIMITS[key];
+      if (!lim) throw new ValidationError(`tuning.${mode}.${key}: unknown setting`);
+      if (typeof v !== "number" || !(v >= lim.min && v <= lim.max)) {
+        throw new ValidationError(`tuning.${mode}.${key} must be a number from ${lim.min} to ${lim.max}`);
+      }
+      clean[key] = v;
+    }
+    if (Object.keys(clean).length) out[mode] = clean;
+  }
+  return out;
+}
+
+export function parsePaging(params) {
+  const int = (key, def, min, max) => {
+    const raw = params.get(key);
+    if (raw == null || raw === "") return def;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min) throw new ValidationError(`${key} must be an integer >= ${min}`);
+    return Math.min(n, max);
+  };
+  return {
+    limit: int("limit", LIMIT_DEFAULT, 1, LIMIT_MAX),
+    offset: int("offset", 0, 0, Number.MAX_SAFE_INTEGER),
+  };
+}
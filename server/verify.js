@@ -0,0 +1,91 @@
+// server/verify.js — replay a submitted run headlessly and check the claimed score
+import { createHash } from "node:crypto";
+import { RUN_VERSION } from "../src/game/engine.js";
+import { STEP_MS } from "../src/game/config.js";
+import { dailySeed, dayKey, MODES } from "../src/game/modes.js";
+import { createReplay } from "../src/game/replay.js";
+import { parseDay, ValidationError } from "./validate.js";
+
+export const RUN_MAX_MS     = 30 * 60_000;   // nobody survives half an hour
+export const RUN_MAX_INPUTS = 20_000;
+
+export class RunRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RunRejectedError";
+    this.status = 422;
+  }
+}
+
+const isInt = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+
+export function parseRun(run, mode) {
+  if (!run || typeof run !== "object") throw new ValidationError("run is required");
+  if (run.v !== RUN_VERSION) throw new ValidationError(`run.v must be ${RUN_VERSION}`);
+  if (!isInt(run.seed, 0, 0xffffffff)) throw new ValidationError("run.seed must be a uint32");
+  if (!isInt(run.w, 100, 4000) || !isInt(run.h, 100, 4000)) throw new ValidationError("run.w/run.h out of range");
+  if (!isInt(run.pkt, 24, 200)) throw new ValidationError("run.pkt out of range");
+  if (!isInt(run.steps, 0, Math.ceil(RUN_MAX_MS / STEP_MS))) throw new ValidationError("run.steps out of range");
+  if (!Array.isArray(run.inputs) || run.inputs.length > RUN_MAX_INPUTS) throw new ValidationError("run.inputs must be an array");
+
+  let prev = 0;
+  for (const ev of run.inputs) {
+    if (!Array.isArray(ev) || (ev.length !== 2 && ev.length !== 3) || !ev.every(Number.isInteger)) {
+      throw new ValidationError("run.inputs entries must be [step, x, y] or [step, lane] integers");
+    }
+    if (ev[0] < prev || ev[0] > run.steps) throw new ValidationError("run.inputs must be ordered by step");
+    prev = ev[0];
+  }
+
+  let day = null;
+  if (MODES[mode].daily) {
+    day = parseDay(run.day);
+    // a day either side of ours covers every timezone and runs finished just past midnight
+    const drift = Math.abs(Date.parse(day) - Date.parse(dayKey())) / 86_400_000;
+    if (drift > 1) throw new RunRejectedError("daily challenge is closed");
+    if (run.seed !== dailySeed(day)) throw new RunRejectedError("seed is not the daily seed");
+  }
+  if (run.assist != null && (typeof run.assist !== "object" || typeof (run.assist.reducedMotion ?? false) !== "boolean")) {
+    throw new ValidationError("run.assist must be { reducedMotion: boolean }");
+  }
+  const assist = { reducedMotion: run.assist?.reducedMotion === true };
+  // live tuning version the client played with (0: none); resolved against the store in app.js
+  const cfg = run.cfg ?? 0;
+  if (!isInt(cfg, 0, Number.MAX_SAFE_INTEGER)) throw new ValidationError("run.cfg must be a tuning version");
+  return { v: run.v, seed: run.seed, w: run.w, h: run.h, pkt: run.pkt, steps: run.steps, inputs: run.inputs, day, assist, cfg };
+}
+
+/** Input method as the replay sees it: lane presses can't come from a pointer-only player. */
+export function checkInputMethod(input, run) {
+  const usesLanes = run.inputs.some((ev) => ev.length === 2);
+  const usesPointer = run.inputs.some((ev) => ev.length === 3);
+  if (input === "pointer" && usesLanes) throw new RunRejectedError("lane presses in a pointer-only run");
+  if ((input === "keyboard" || input === "gamepad") && usesPointer) throw new RunRejectedError("pointer input in a lane-only run");
+}
+
+/**
+ * Duplicate-submission key. Random-seed runs are unique by seed; daily runs all
+ * share a seed, so they are unique by their input log instead.
+ */
+export function runKey(mode, run) {
+  if (!MODES[mode].daily) return `seed:${run.seed}`;
+  const digest = createHash("sha256").update(JSON.stringify(run.inputs)).digest("hex");
+  return `daily:${run.day}:${run.steps}:${digest}`;
+}
+
+/**
+ * Re-simulate the run (with the live tuning `overrides` it was played under)
+ * and return the replayed engine; throws RunRejectedError unless it lands on the claimed score.
+ * `onEvent` sees the replay's engine events (achievements).
+ */
+export function verifyRun({ score, reason, mode, run, overrides = null, onEvent }) {
+  const replay = createReplay({ mode: MODES[mode], run, overrides, onEvent });
+  replay.seek(run.steps);
+  const { engine, state } = replay;
+
+  if (!state.over) throw new RunRejectedError("run did not end");
+  if (replay.pending || state.step !== run.steps) throw new RunRejectedError("input log does not match run length");
+  if (state.reason !== reason) throw new RunRejectedError("end reason does not match replay");
+  if (state.score !== score) throw new RunRejectedError("score does not match replay");
+  return engine;
+}
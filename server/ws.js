@@ -0,0 +1,226 @@
+// server/ws.js — just enough WebSocket (RFC 6455) for the race lobby, on node:http
+//
+// Text messages only, no extensions. acceptWebSocket() upgrades a request on
+// the server; connectWebSocket() is the matching client for scripted players
+// (bots, smoke tests) since Node 20 has no WebSocket client of its own. Both
+// hand back the same connection: an EventEmitter with "message" (string) and
+// "close" events, send(text) and close(code, reason).
+import { createHash, randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import { request } from "node:http";
+
+const GUID        = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MESSAGE_MAX = 64 * 1024;   // a race run log is a few KB
+const PING_MS     = 30_000;      // server side: drop peers that miss a ping
+
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+class ProtocolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+  }
+}
+
+/* ============================== Framing ==================================== */
+const acceptKey = (key) => createHash("sha1").update(key + GUID).digest("base64");
+
+function encodeFrame(opcode, payload, mask) {
+  const len = payload.length;
+  const head = len < 126 ? 2 : len < 65_536 ? 4 : 10;
+  const keyAt = head;
+  const dataAt = head + (mask ? 4 : 0);
+  const frame = Buffer.alloc(dataAt + len);
+  frame[0] = 0x80 | opcode;
+  frame[1] = (mask ? 0x80 : 0) | (head === 2 ? len : head === 4 ? 126 : 127);
+  if (head === 4) frame.writeUInt16BE(len, 2);
+  if (head === 10) frame.writeBigUInt64BE(BigInt(len), 2);
+  if (mask) {
+    const key = randomBytes(4);
+    key.copy(frame, keyAt);
+    for (let i = 0; i < len; i++) frame[dataAt + i] = payload[i] ^ key[i & 3];
+  } else {
+    payload.copy(frame, dataAt);
+  }
+  return frame;
+}
+
+// feed it socket chunks; calls onFrame({ fin, opcode, payload }) per complete frame
+function createParser({ expectMasked, onFrame }) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    for (;;) {
+      if (buf.length < 2) return;
+      const fin = (buf[0] & 0x80) !== 0;
+      const opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      if (masked !== expectMasked) throw new ProtocolError("bad masking", 1002);
+      let len = buf[1] & 0x7f;
+      let at = 2;
+      if (len === 126) {
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        at = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) return;
+        const big = buf.readBigUInt64BE(2);
+        if (big > BigInt(MESSAGE_MAX)) throw new ProtocolError("message too big", 1009);
+        len = Number(big);
+        at = 10;
+      }
+      if (len > MESSAGE_MAX) throw new ProtocolError("message too big", 1009);
+      const keyAt = at;
+      if (masked) at += 4;
+      if (buf.length < at + len) return;
+
+      let payload = buf.subarray(at, at + len);
+      if (masked) {
+        payload = Buffer.from(payload);
+        for (let i = 0; i < len; i++) payload[i] ^= buf[keyAt + (i & 3)];
+      }
+      buf = buf.subarray(at + len);
+      onFrame({ fin, opcode, payload });
+    }
+  };
+}
+
+/* ============================== Connection ================================= */
+function connection(socket, { client, head }) {
+  const conn = new EventEmitter();
+  let parts = [];
+  let size = 0;
+  let closing = false;
+  let alive = true;
+
+  const write = (opcode, payload) => {
+    if (!socket.destroyed && socket.writable) socket.write(encodeFrame(opcode, payload, client));
+  };
+
+  const parse = createParser({
+    expectMasked: !client,
+    onFrame: ({ fin, opcode, payload }) => {
+      switch (opcode) {
+        case OP.text:
+        case OP.binary:
+        case OP.continuation:
+          size += payload.length;
+          if (size > MESSAGE_MAX) throw new ProtocolError("message too big", 1009);
+          parts.push(payload);
+          if (fin) {
+            const text = Buffer.concat(parts).toString("utf8");
+            parts = [];
+            size = 0;
+            conn.emit("message", text);
+          }
+          break;
+        case OP.close:
+          if (!closing) {
+            closing = true;
+            write(OP.close, payload.subarray(0, 2));
+          }
+          socket.end();
+          break;
+        case OP.ping:
+          write(OP.pong, payload);
+          break;
+        case OP.pong:
+          alive = true;
+          break;
+        default:
+          throw new ProtocolError(`unknown opcode ${opcode}`, 1002);
+      }
+    },
+  });
+
+  const onData = (chunk) => {
+    try {
+      parse(chunk);
+    } catch (err) {
+      conn.close(err.code ?? 1002, err.message);
+    }
+  };
+
+  // servers ping; a peer that hasn't answered the previous ping is gone
+  const pinger = client ? 0 : setInterval(() => {
+    if (!alive) return socket.destroy();
+    alive = false;
+    write(OP.ping, Buffer.alloc(0));
+  }, PING_MS);
+
+  socket.setNoDelay(true);
+  socket.on("data", onData);
+  socket.on("error", () => socket.destroy());
+  socket.on("close", () => {
+    clearInterval(pinger);
+    conn.emit("close");
+  });
+
+  conn.send = (text) => write(OP.text, Buffer.from(text, "utf8"));
+  conn.close = (code = 1000, reason = "") => {
+    if (closing) return;
+    closing = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    write(OP.close, payload);
+    socket.end();
+  };
+
+  // bytes that arrived with the handshake; parsed once the caller has attached listeners
+  if (head?.length) setImmediate(() => onData(head));
+  return conn;
+}
+
+/* ============================== Server / client ============================ */
+/** Complete the upgrade handshake for an "upgrade" event; returns the connection, or null when refused. */
+export function acceptWebSocket(req, socket, head) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key || req.headers["sec-websocket-version"] !== "13") {
+    refuseUpgrade(socket, 400, "Bad Request");
+    return null;
+  }
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    "", "",
+  ].join("\r\n"));
+  return connection(socket, { client: false, head });
+}
+
+/** Open a client connection to ws://host:port/path. */
+export function connectWebSocket(url) {
+  const { hostname, port, pathname, search } = new URL(url);
+  const key = randomBytes(16).toString("base64");
+  return new Promise((resolve, reject) => {
+    const req = request({
+      hostname,
+      port,
+      path: pathname + search,
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": key,
+        "Sec-WebSocket-Version": "13",
+      },
+    });
+    req.on("upgrade", (res, socket, head) => {
+      if (res.headers["sec-websocket-accept"] !== acceptKey(key)) {
+        socket.destroy();
+        return reject(new Error("bad Sec-WebSocket-Accept"));
+      }
+      resolve(connection(socket, { client: true, head }));
+    });
+    req.on("response", (res) => reject(new Error(`upgrade refused: HTTP ${res.statusCode}`)));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/** Refuse an upgrade with a plain HTTP status. */
+export function refuseUpgrade(socket, status, text) {
+  socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+}
@@ -1,98 +1,250 @@
 // src/App.jsx
-import { useCallback, useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { ACHIEVEMENT_IDS, ACHIEVEMENTS, createAchievements } from "./game/achievements.js";
+import { LANES, PKT_SIZE_DESKTOP, PKT_SIZE_MOBILE, POWERUPS } from "./game/config.js";
+import { computeLanes, createEngine, multiplierFor, speedAt } from "./game/engine.js";
+import { createLoop } from "./game/loop.js";
+import { levelRules } from "./game/levels.js";
+import { dailySeed, dayKey, DEFAULT_MODE, MODES, TUNABLE_MODES, tuningFor } from "./game/modes.js";
+import { randomSeed } from "./game/rng.js";
+import { createAudio } from "./audio/audio.js";
+import { createGamepadPoller } from "./input/gamepad.js";
+import { BACKEND } from "./lib/backend.js";
+import { useGameConfig } from "./lib/gameConfig.js";
+import { GHOST_SAMPLE_STEPS, loadGhost, saveGhost } from "./lib/ghost.js";
+import { subscribeBoard } from "./lib/liveBoard.js";
+import { submitScore, watchOutbox } from "./lib/outbox.js";
+import { useProfile } from "./lib/profile.js";
+import { useRace } from "./lib/race.js";
+import { useSettings } from "./lib/settings.js";
+import { runTelemetry, setTelemetryEnabled, TELEMETRY_AVAILABLE } from "./lib/telemetry.js";
+import AccessibilityPanel from "./components/AccessibilityPanel.jsx";
+import BadgeGallery from "./components/BadgeGallery.jsx";
+import ControlsPanel from "./components/ControlsPanel.jsx";
+import LevelSelect from "./components/LevelSelect.jsx";
+import ProfilePanel from "./components/ProfilePanel.jsx";
+import DomPackets from "./components/DomPackets.jsx";
+import RaceLobby from "./components/RaceLobby.jsx";
+import RaceResults from "./components/RaceResults.jsx";
+import ReplayViewer from "./components/ReplayViewer.jsx";
+import SoundPanel from "./components/SoundPanel.jsx";
+import { LEVELS } from "./levels/index.js";
+import { createCanvasRenderer } from "./render/canvasRenderer.js";
+import { loadBitmaps } from "./render/images.js";
+import { packetLook, shinyGradient } from "./render/palette.js";
+import { packImages, packSkin, useThemePack } from "./theme/pack.js";
 
 /* ============================== Brand Colors =============================== */
-const RS_RED = "#B60D1D";
-const RS_RED_LIGHT = "#E03544";
-const RS_RED_DARK  = "#8E0A15";
-const RED_SHINE = `linear-gradient(180deg, ${RS_RED_LIGHT} 0%, ${RS_RED} 58%, ${RS_RED_DARK} 100%)`;
-const RED_GLOSS = `conic-gradient(from 210deg at 30% 25%, rgba(255,255,255,0.28) 0 35%, transparent 42% 100%)`;
-
-/* Highlight palette for valid vs. Jalokim */
-const GOLD_BORDER = "rgba(250,204,21,0.95)";     // gold-400/500
-const GOLD_GLOW   = "rgba(250,204,21,0.40)";
-const GOLD_INNER  = "rgba(255,255,255,0.24)";
-const DULL_BORDER = "rgba(200,200,210,0.22)";    // cooler, thinner
-const DULL_GLOW   = "rgba(0,0,0,0.55)";
+// set from the theme pack's palette as CSS variables on the root element
+const BRAND       = "var(--brand)";
+const BRAND_LIGHT = "var(--brand-light)";
+const BRAND_DARK  = "var(--brand-dark)";
+const BRAND_SHINE = `linear-gradient(180deg, ${BRAND_LIGHT} 0%, ${BRAND} 58%, ${BRAND_DARK} 100%)`;
+const BRAND_GLOSS = `conic-gradient(from 210deg at 30% 25%, rgba(255,255,255,0.28) 0 35%, transparent 42% 100%)`;
 
 /* ============================== Config ==================================== */
 // Flow
 const COUNTDOWN_MS        = 3_000;
-
-// Gameplay (endless)
-const LANES               = 5;
-const PKT_SIZE_DESKTOP    = 66;
-const PKT_SIZE_MOBILE     = 58;
-
-const VALID_CHANCE        = 0.40;   // 40% logos, 60% corrupted
-const SCORE_PER_HIT       = 10;
-const SCORE_GREEN_MISS    = -5;
-
-// Difficulty ramp
-const BASE_SPEED_PX_S     = 260;
-const SPEED_RAMP_PER_MIN  = 0.55;
-const SPAWN_BASE_MS       = 520;
-const SPAWN_MIN_MS        = 120;
-const SPAWN_ACCEL_PER_MIN = 300;
-
-/* Backend URL */
-const HOST     = typeof window !== "undefined" ? window.location.hostname : "localhost";
-const BACKEND  = (import.meta.env.VITE_API || `http://${HOST}:8787`).replace(/\/+$/, "");
+const BADGE_TOAST_MS      = 3_500;
+const BOARD_BADGES        = 3;      // latest badges shown on a leaderboard row
+
+const INPUT_ICONS = { pointer: "🖱", keyboard: "⌨", gamepad: "🎮", mixed: "🖱⌨" };
+
+// Game Over copy per engine END_REASONS
+const END_MESSAGES = {
+  integrity_depleted: "Corrupted packets drained your integrity.",
+  too_many_misses:    "Too many valid packets slipped past.",
+  time_up:            "Time's up!",
+  level_complete:     "Level cleared!",
+};
+
+/* Score service */
+const BOARD_CACHE_KEY = "rsdd.board";   // + query string; last leaderboard fetched per board
+const SESSION_KEY     = "rsdd.session"; // sessionStorage; the score service rate-limits per session
+const FRESH_ROW_MS    = 4_000;          // how long a new leaderboard row stays highlighted
+const BOARD_PAGE      = 10;             // leaderboard rows per page
+const BOARD_WINDOWS   = [["all", "All time"], ["week", "This week"], ["day", "Today"]];
+
+// Game Over line for the score submission
+const SUBMIT_MESSAGES = {
+  sending:  "Submitting score…",
+  sent:     "Score submitted.",
+  queued:   "Offline: your score is saved and will be sent when the connection returns.",
+  failed:   "Couldn't submit your score.",
+};
+// …and the heading when the service turns it down, by the error's code
+const REJECT_TITLES = {
+  name_rejected: "Name not allowed on the leaderboard",
+  rate_limited:  "Too many submissions",
+};
 
 /* ============================== Helpers =================================== */
-const now   = () => performance.now();
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
-const isMob = () => window.innerWidth < 640;
-
-/* ======= Valid logo images (served from public/img) ======= */
-const VALID_LOGOS = [
-  "/img/logo1.png",
-  "/img/logo2.png",
-  "/img/logo3.png",
-  "/img/logo4.png",
-  "/img/stoney1.png",
-  "/img/stoney2.png",
-  "/img/stoney3.png",
-];
-
-/* ======= Corrupted packet types (blue, green, purple, JALOKIM image) ======= */
-const CORRUPT_THEMES = [
-  { kind: "grad", name: "blue",   light: "#60A5FA", base: "#3B82F6", dark: "#1D4ED8" },
-  { kind: "grad", name: "green",  light: "#34D399", base: "#22C55E", dark: "#15803D" },
-  { kind: "grad", name: "purple", light: "#C084FC", base: "#A855F7", dark: "#6D28D9" },
-  { kind: "image", name: "jalokim", src: "/img/jalokim.png" },
-];
-
-// Preload everything (valid logos + jalokim)
-const PRELOAD_ALL = [...VALID_LOGOS, "/img/jalokim.png"];
-
-function shinyGradient(theme) {
-  return `linear-gradient(180deg, ${theme.light} 0%, ${theme.base} 58%, ${theme.dark} 100%)`;
+const rowKey = (r) => `${r.name}-${r.ts}`;
+
+function sessionId() {
+  try {
+    let id = sessionStorage.getItem(SESSION_KEY);
+    if (!id) sessionStorage.setItem(SESSION_KEY, (id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`));
+    return id;
+  } catch {
+    return undefined;
+  }
 }
-function glossLayer() {
-  return `conic-gradient(from 210deg at 30% 25%, rgba(255,255,255,0.28) 0 35%, transparent 42% 100%)`;
+
+// GET /scores (or a stream push) → { scores, total, me }
+const boardFrom = (j) => ({
+  scores: Array.isArray(j?.scores) ? j.scores : [],
+  total: Number.isInteger(j?.total) ? j.total : 0,
+  me: j?.me ?? null,
+});
+
+function saveBoard(query, board) {
+  try { localStorage.setItem(`${BOARD_CACHE_KEY}.${query}`, JSON.stringify({ ...board, at: Date.now() })); } catch { /* ignore */ }
 }
+const isMob = () => window.innerWidth < 640;
+// ?replay=<entry id> (a shared replay link) opens the viewer on load
+const replayParam = () => new URLSearchParams(window.location.search).get("replay");
+const fmtClock = (ms) => {
+  const secs = Math.floor(ms / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+};
 
 /* ============================== App ======================================= */
 export default function App() {
-  const [view, setView] = useState("name");   // name | countdown | game | gameover | leaderboard
-  const [player, setPlayer] = useState("");
+  const [view, setView] = useState(() => (replayParam() ? "replay" : "name"));   // name | lobby | countdown | game | paused | gameover | results | leaderboard | replay
+  const gameConfig = useGameConfig(view);      // live tuning, re-checked between screens
+  const [settings, updateSettings] = useSettings();
+  useEffect(() => setTelemetryEnabled(settings.telemetry), [settings.telemetry]);
+  const mode = MODES[settings.mode] ?? MODES[DEFAULT_MODE];
+  const levelIndex = Math.min(settings.level, settings.levelsCleared, LEVELS.length - 1);
+
+  /* -------- Theme pack (packet art, brand colours, header copy) -------- */
+  const [pack, themeError] = useThemePack(settings.theme);
+  const skin = useMemo(() => packSkin(pack), [pack]);
+  useEffect(() => {
+    document.title = `${pack.title.brand} ${pack.title.rest}`;
+  }, [pack]);
+
+  /* -------- Audio -------- */
+  // browsers (iOS especially) only allow audio to start inside a user gesture
+  const [audio] = useState(createAudio);
+  const { masterVolume, sfxVolume, musicVolume, muted } = settings;
+  useEffect(() => {
+    audio.setVolumes({ masterVolume, sfxVolume, musicVolume, muted });
+  }, [audio, masterVolume, sfxVolume, musicVolume, muted]);
+
+  useEffect(() => {
+    const events = ["pointerdown", "keydown", "touchend"];
+    const unlock = () => {
+      audio.unlock();
+      if (audio.unlocked) events.forEach((t) => window.removeEventListener(t, unlock, true));
+    };
+    events.forEach((t) => window.addEventListener(t, unlock, true));
+    return () => events.forEach((t) => window.removeEventListener(t, unlock, true));
+  }, [audio]);
+  // the name is the profile's (src/lib/profile.js); changing it renames the profile
+  const me = useProfile();
+  const { profile, rename: renameProfile, addRun, earn } = me;
+  const player = profile.name;
+  // endGame can come from the loop built when the run started, so it reads the latest profile here
+  const profileRef = useRef(profile);
+  useEffect(() => { profileRef.current = profile; }, [profile]);
   const [score, setScore] = useState(0);
   const scoreRef = useRef(0);
+  const [integrity, setIntegrity] = useState(mode.rules.integrity);
+  const [damaged, setDamaged] = useState(false);   // inside the post-hit grace period
+  const [timeLeft, setTimeLeft] = useState(null);  // whole seconds, timed modes only
+  const [streak, setStreak] = useState(0);
+  const [wave, setWave] = useState(-1);             // Levels mode: index of the current wave
+  const [powers, setPowers] = useState([]);         // active power-ups: { id, secs } (shield: charges instead of secs)
+  const [runStats, setRunStats] = useState(null);
+  const [ghost, setGhost] = useState(null);         // personal best on this board: { score, curve }
+  const [curve, setCurve] = useState([]);           // this run's score curve so far (src/lib/ghost.js)
+  const curveRef = useRef([]);
+  const hudStateRef = useRef({});
+  const [endReason, setEndReason] = useState(null);
+  // badges earned for the first time, toasted over the board: { key, id }
+  const [badgeToasts, setBadgeToasts] = useState([]);
+
+  /* -------- Leaderboard (one per mode; daily boards are per UTC day) -------- */
+  // one row per player; the service also returns the current player's best and rank.
+  // the last good copy of each board is kept so a dead connection shows it, marked offline
+  const [leaderboard, setLeaderboard] = useState(() => boardFrom(null));
+  const [boardCachedAt, setBoardCachedAt] = useState(null);   // set when showing the offline copy
+  const [boardWindow, setBoardWindow] = useState("all");       // all | week | day (not for daily modes)
+  // the page resets whenever the board it belongs to changes
+  const pageOf = `${mode.id}:${boardWindow}`;
+  const [pageAt, setPageAt] = useState({ of: pageOf, page: 0 });
+  const boardPage = pageAt.of === pageOf ? pageAt.page : 0;
+  const setBoardPage = (page) => setPageAt({ of: pageOf, page });
+  const boardQuery = useMemo(() => {
+    const q = new URLSearchParams({ limit: String(BOARD_PAGE), offset: String(boardPage * BOARD_PAGE), mode: mode.id });
+    if (mode.daily) q.set("day", dayKey());
+    else if (boardWindow !== "all") q.set("window", boardWindow);
+    q.set("profile", profile.id);
+    return q.toString();
+  }, [mode, boardWindow, boardPage, profile.id]);
+
+  // rows that weren't on this board last time are highlighted for a few seconds
+  const [freshRows, setFreshRows] = useState(() => new Set());
+  const shownBoardRef = useRef({ query: null, keys: new Set() });
+  const freshTimerRef = useRef(0);
+  const showBoard = useCallback((query, board) => {
+    const keys = board.scores.map(rowKey);
+    const prev = shownBoardRef.current;
+    shownBoardRef.current = { query, keys: new Set(keys) };
+    setLeaderboard(board);
+    const fresh = prev.query === query ? keys.filter((k) => !prev.keys.has(k)) : [];
+    if (!fresh.length) return;
+    setFreshRows(new Set(fresh));
+    clearTimeout(freshTimerRef.current);
+    freshTimerRef.current = setTimeout(() => setFreshRows(new Set()), FRESH_ROW_MS);
+  }, []);
 
-  /* -------- Leaderboard -------- */
-  const [leaderboard, setLeaderboard] = useState([]);
   const fetchBoard = useCallback(async () => {
     try {
-      const r = await fetch(`${BACKEND}/scores?limit=10`, { cache: "no-store" });
-      const j = await r.json();
-      setLeaderboard(Array.isArray(j?.scores) ? j.scores : []);
+      const r = await fetch(`${BACKEND}/scores?${boardQuery}`, { cache: "no-store" });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const board = boardFrom(await r.json());
+      showBoard(boardQuery, board);
+      setBoardCachedAt(null);
+      saveBoard(boardQuery, board);
     } catch {
-      setLeaderboard([]);
+      let cached = null;
+      try { cached = JSON.parse(localStorage.getItem(`${BOARD_CACHE_KEY}.${boardQuery}`)); } catch { /* ignore */ }
+      showBoard(boardQuery, boardFrom(cached));
+      setBoardCachedAt(cached?.at ?? 0);
     }
-  }, []);
+  }, [boardQuery, showBoard]);
   useEffect(() => { fetchBoard(); }, [fetchBoard]);
 
+  // live updates: SSE pushes from the score service, polling if streaming isn't available
+  const [boardLive, setBoardLive] = useState(null);   // live | polling
+  useEffect(() => {
+    if (!BACKEND) return;
+    return subscribeBoard(`${BACKEND}/scores/stream?${boardQuery}`, {
+      onBoard: (j) => {
+        const board = boardFrom(j);
+        showBoard(boardQuery, board);
+        setBoardCachedAt(null);
+        saveBoard(boardQuery, board);
+      },
+      poll: fetchBoard,
+      onStatus: setBoardLive,
+    });
+  }, [boardQuery, showBoard, fetchBoard]);
+
+  // scores queued while offline; the outbox resends them and reports the count
+  const [queuedScores, setQueuedScores] = useState(0);
+  const [submitResult, setSubmitResult] = useState(null);   // { status, error?, code? } of this run's score
+  const queuedRef = useRef(0);
+  useEffect(() => watchOutbox((n) => {
+    if (n < queuedRef.current) fetchBoard();   // something got through
+    queuedRef.current = n;
+    setQueuedScores(n);
+  }), [fetchBoard]);
+
   /* -------- Fit hero + board + HUD on first screen -------- */
   const headerRef = useRef(null);
   const hudRef    = useRef(null);
@@ -114,45 +266,34 @@ export default function App() {
   }, [fitBoardToViewport]);
 
   /* -------- Preload images to eliminate flicker (incl. jalokim) -------- */
+  // decoded once per theme pack; the canvas renderer paints its sprites straight from these bitmaps
   const [imagesReady, setImagesReady] = useState(false);
+  const bitmapsRef = useRef(new Map());
   useEffect(() => {
     let alive = true;
-    const imgs = PRELOAD_ALL.map((src) => {
-      const im = new Image();
-      im.decoding = "async";
-      im.loading = "eager";
-      im.src = src;
-      return im;
+    setImagesReady(false);
+    loadBitmaps(packImages(pack)).then((bitmaps) => {
+      if (!alive) return;
+      bitmapsRef.current = bitmaps;
+      setImagesReady(true);
     });
-    Promise.all(
-      imgs.map(
-        (im) =>
-          new Promise((res) => {
-            if (im.complete) res();
-            else im.onload = im.onerror = () => res();
-          })
-      )
-    ).then(() => alive && setImagesReady(true));
     return () => { alive = false; };
-  }, []);
+  }, [pack]);
 
-  /* -------- Board sizing & lanes -------- */
+  /* -------- Board sizing -------- */
   const boardRef = useRef(null);
-  const [boardSize, setBoardSize] = useState({ w: 0, h: 0, lanesX: [] });
-  const pktSize = isMob() ? PKT_SIZE_MOBILE : PKT_SIZE_DESKTOP;
-
-  const computeLanes = useCallback((w) => {
-    const PAD = 14;
-    const usable = Math.max(1, w - PAD * 2 - pktSize);
-    return Array.from({ length: LANES }, (_, i) => PAD + i * (usable / (LANES - 1)));
-  }, [pktSize]);
+  const [boardSize, setBoardSize] = useState({ w: 0, h: 0 });
+  // larger packets (accessibility) still have to fit side by side in the lanes
+  const basePkt = isMob() ? PKT_SIZE_MOBILE : PKT_SIZE_DESKTOP;
+  const laneFit = boardSize.w > 0 ? Math.floor((boardSize.w - 28) / LANES) - 4 : Infinity;
+  const pktSize = Math.max(basePkt, Math.min(Math.round(basePkt * settings.packetScale), laneFit));
 
   const measureBoard = useCallback(() => {
     const el = boardRef.current;
     if (!el) return;
     const r = el.getBoundingClientRect();
-    setBoardSize({ w: r.width, h: r.height, lanesX: computeLanes(r.width) });
-  }, [computeLanes]);
+    setBoardSize({ w: r.width, h: r.height });
+  }, []);
 
   useEffect(() => {
     measureBoard();
@@ -163,207 +304,428 @@ export default function App() {
   }, [measureBoard, boardHeight]);
 
   /* -------- Packets + loop state -------- */
+  // The simulation lives in game/engine.js. The canvas renderer draws its state
+  // directly each frame; only the DOM renderer mirrors packets into React state.
   const [packets, setPackets] = useState([]);
-  const stateRef = useRef({ packets: [], startedAt: 0 });
-  const rafRef = useRef(0);
-  const runningRef = useRef(false);
-  const lastSpawnRef = useRef(0);
+  const engineRef = useRef(null);
+  const runRef = useRef({ mode, day: null, assist: null, levelIndex: null });   // what the run in progress is playing
+  const inputMethodsRef = useRef(new Set());      // pointer | keyboard | gamepad used this run
+  const [runMode, setRunMode] = useState(mode);  // same mode (with the level and its rules), for rendering the HUD
+  const loopRef = useRef(null);
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  const domRendererRef = useRef(settings.renderer === "dom");
+  useEffect(() => { domRendererRef.current = settings.renderer === "dom"; }, [settings.renderer]);
+
+  // accessibility look: DOM packets read it on render, canvas sprites are repainted
+  const { patterns, highContrast, reducedMotion } = settings;
+  const look = useMemo(
+    () => packetLook({ patterns, highContrast, reducedMotion }),
+    [patterns, highContrast, reducedMotion],
+  );
+  const lookRef = useRef(look);
 
-  const resetRound = useCallback(() => {
-    setScore(0); scoreRef.current = 0;
-    stateRef.current.packets = [];
-    setPackets([]);
-  }, []);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !imagesReady) return;
+    rendererRef.current = createCanvasRenderer(canvas, { bitmaps: bitmapsRef.current, look: lookRef.current, skin });
+    return () => { rendererRef.current = null; };
+  }, [imagesReady, settings.renderer, skin]);
 
-  const currentSpeed = useCallback(() => {
-    const minutes = Math.max(0, (now() - stateRef.current.startedAt) / 60_000);
-    const mult = 1 + SPEED_RAMP_PER_MIN * minutes;
-    return BASE_SPEED_PX_S * mult;
-  }, []);
+  useEffect(() => {
+    lookRef.current = look;
+    const r = rendererRef.current;
+    if (!r) return;
+    r.setLook(look);
+    r.draw(engineRef.current?.state.packets ?? []);
+  }, [look]);
 
-  const currentSpawnInterval = useCallback(() => {
-    const minutes = Math.max(0, (now() - stateRef.current.startedAt) / 60_000);
-    const interval = SPAWN_BASE_MS - SPAWN_ACCEL_PER_MIN * minutes;
-    return clamp(interval, SPAWN_MIN_MS, SPAWN_BASE_MS);
+  useEffect(() => {
+    const r = rendererRef.current;
+    if (!r || boardSize.w <= 0) return;
+    r.resize(boardSize.w, boardSize.h);
+    r.draw(engineRef.current?.state.packets ?? []);
+  }, [boardSize, imagesReady, settings.renderer]);
+
+  const drawPackets = useCallback((list) => {
+    if (domRendererRef.current) setPackets([...list]);
+    else rendererRef.current?.draw(list);
   }, []);
 
-  // ring buffer of recent lanes to reduce overlapping spawns
-  const recentLanesRef = useRef([]);
-  const pushRecentLane = (lane) => {
-    const arr = recentLanesRef.current;
-    arr.push(lane);
-    if (arr.length > 6) arr.shift();
-  };
-
-  const spawnPacket = useCallback(() => {
-    const { h, lanesX } = boardSize;
-    if (lanesX.length === 0 || h <= 0) return;
-
-    // prefer lanes not used recently
-    let lane = Math.floor(Math.random() * lanesX.length);
-    const recents = new Set(recentLanesRef.current.slice(-3));
-    for (let tries = 0; tries < 3; tries++) {
-      if (!recents.has(lane)) break;
-      lane = Math.floor(Math.random() * lanesX.length);
+  const resetRound = useCallback((rules = mode.rules) => {
+    const { integrity: full, timeLimitMs } = rules;
+    const secs = timeLimitMs > 0 ? Math.ceil(timeLimitMs / 1000) : null;
+    setScore(0); scoreRef.current = 0;
+    setIntegrity(full); setDamaged(false); setTimeLeft(secs); setStreak(0); setPowers([]); setWave(-1); setRunStats(null);
+    hudStateRef.current = { integrity: full, damaged: false, timeLeft: secs, streak: 0, powers: "", wave: -1, samples: 0 };
+    curveRef.current = []; setCurve([]);
+    engineRef.current = null;
+    inputMethodsRef.current = new Set();
+    drawPackets([]);
+  }, [mode, drawPackets]);
+
+  const syncFromEngine = useCallback(() => {
+    const { state } = engineRef.current;
+    if (state.score !== scoreRef.current) {
+      scoreRef.current = state.score;
+      setScore(state.score);
     }
-    const x = lanesX[lane];
-    const y = 10;
-    const vy = currentSpeed() / 60;
-    const valid = Math.random() < VALID_CHANCE;
-
-    // avoid spawning directly on another packet in the same lane
-    const minGap = pktSize * 1.1;
-    for (const other of stateRef.current.packets) {
-      if (Math.abs(other.x - x) < 1) {
-        if (other.y < y + minGap && y < other.y + minGap) return;
-      }
+    // only touch React state when a HUD value actually changes
+    const hud = hudStateRef.current;
+    const isDamaged = state.timeMs < state.invulnUntilMs;
+    if (state.integrity !== hud.integrity) setIntegrity((hud.integrity = state.integrity));
+    if (isDamaged !== hud.damaged) setDamaged((hud.damaged = isDamaged));
+    if (state.streak !== hud.streak) setStreak((hud.streak = state.streak));
+    if (state.wave !== hud.wave) setWave((hud.wave = state.wave));
+    const active = Object.entries(state.effects).map(([id, until]) => ({ id, secs: Math.ceil((until - state.timeMs) / 1000) }));
+    if (state.shield > 0) active.push({ id: "shield", secs: null, charges: state.shield });
+    const powersKey = active.map((a) => `${a.id}:${a.secs ?? a.charges}`).join("|");
+    if (powersKey !== hud.powers) {
+      hud.powers = powersKey;
+      setPowers(active);
     }
-
-    const theme = valid ? null : CORRUPT_THEMES[Math.floor(Math.random() * CORRUPT_THEMES.length)];
-
-    stateRef.current.packets.push({
-      id: Math.random().toString(36).slice(2),
-      x, y, size: pktSize, vy,
-      valid,
-      img: valid ? VALID_LOGOS[Math.floor(Math.random() * VALID_LOGOS.length)] : null,
-      theme, // for corrupted: gradient theme or jalokim image
+    if (hud.timeLeft != null) {
+      const secs = Math.max(0, Math.ceil((runRef.current.mode.rules.timeLimitMs - state.timeMs) / 1000));
+      if (secs !== hud.timeLeft) setTimeLeft((hud.timeLeft = secs));
+    }
+    if (curveRef.current.length !== hud.samples) {
+      hud.samples = curveRef.current.length;
+      setCurve(curveRef.current.slice());
+    }
+    drawPackets(state.packets);
+  }, [drawPackets]);
+
+  const race = useRace();
+  const { progress: raceProgress, over: raceOver, leave: raceLeave } = race;
+
+  const endGame = useCallback((reason) => {
+    loopRef.current?.stop();
+    const stats = engineRef.current?.stats() ?? null;
+    if (stats) {
+      runRef.current.badges.finish(engineRef.current.state, stats);
+      runRef.current.telemetry.over(reason, engineRef.current.state.timeMs);
+    }
+    audio.play(reason === "level_complete" ? "clear" : "gameover");
+    // races are ranked by the room, not the leaderboard
+    if (runRef.current.mode.race) {
+      raceOver(scoreRef.current, reason, { ...engineRef.current.run(), assist: runRef.current.assist });
+      setRunStats(stats);
+      setView("results");
+      return;
+    }
+    const { levelIndex: cleared, ghostBoard } = runRef.current;
+    if (reason === "level_complete" && cleared >= settings.levelsCleared) updateSettings({ levelsCleared: cleared + 1 });
+    saveGhost(ghostBoard, scoreRef.current, [...curveRef.current, scoreRef.current]);
+    const { mode: played, day: playedDay } = runRef.current;
+    addRun({
+      ts: Date.now(), mode: played.id, ...(played.level && { level: played.level.name }), ...(playedDay && { day: playedDay }),
+      score: scoreRef.current, reason, stats,
     });
-
-    pushRecentLane(lane);
-  }, [boardSize, pktSize, currentSpeed]);
-
-  const endGame = useCallback((reason = "clicked_red") => {
-    runningRef.current = false;
-    cancelAnimationFrame(rafRef.current);
+    setEndReason(reason);
+    setRunStats(stats);
+    setSubmitResult(null);
     setView("gameover");
 
     (async () => {
       try {
-        const name = player.trim().slice(0, 20);
-        const payload = { name, score: scoreRef.current, reason };
+        const { mode: runMode, day, assist, cfg } = runRef.current;
+        const { id, token, name: playerName } = profileRef.current;
+        const name = playerName.trim().slice(0, 20);
+        const run = { ...engineRef.current?.run(), ...(day && { day }), assist, cfg };
+        const methods = [...inputMethodsRef.current];
+        const input = methods.length > 1 ? "mixed" : (methods[0] ?? "pointer");
+        const payload = {
+          name, score: scoreRef.current, reason, mode: runMode.id, input, stats, run, session: sessionId(),
+          player: { id, token },
+        };
         const timeout = (ms) => new Promise((r) => setTimeout(r, ms));
 
-        if (name && BACKEND) {
-          await Promise.race([
-            fetch(`${BACKEND}/scores`, {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify(payload),
-            }),
-            timeout(1200),
-          ]);
+        if (name && BACKEND && runMode.ranked) {
+          setSubmitResult({ status: "sending" });
+          setSubmitResult(await submitScore(`${BACKEND}/scores`, payload));
         }
         await Promise.race([fetchBoard(), timeout(800)]);
       } catch { /* ignore */ }
     })();
-  }, [player, fetchBoard]);
+  }, [fetchBoard, audio, settings.levelsCleared, updateSettings, raceOver, addRun]);
+
+  /* -------- Main loop -------- */
+  // real frame delta → fixed engine steps, so speed is the same on every display
+  // raceSeed: the room's seed when the race server starts a race
+  const startGame = useCallback((raceSeed = null) => {
+    const day = mode.daily ? dayKey() : null;
+    // every racer has to get the same stream, so the reduced-motion ramp sits races out
+    const assist = { reducedMotion: settings.reducedMotion && !mode.race };
+    // levels play a script and races a shared stream; the rest take the operator's live tuning
+    const tunable = TUNABLE_MODES.includes(mode.id);
+    const cfg = tunable ? gameConfig.version : 0;
+    const tuning = tuningFor(mode, assist, tunable ? gameConfig.tuning : null);
+    const level = mode.levels ? LEVELS[levelIndex] : null;
+    const rules = level ? levelRules(level) : mode.rules;
+    const shown = level ? { ...mode, rules, level } : mode;
+    resetRound(rules);
+    const ghostBoard = day ? `daily:${day}` : level ? `levels:${level.id}` : mode.id;
+    // only a profile's first unlock of a badge is toasted
+    const badges = createAchievements({
+      tuning, rules, level,
+      onUnlock: (id) => {
+        if (profileRef.current.badges[id]) return;
+        earn(id);
+        audio.play("badge");
+        const key = `${id}-${Date.now()}`;
+        setBadgeToasts((t) => [...t, { key, id }]);
+        setTimeout(() => setBadgeToasts((t) => t.filter((b) => b.key !== key)), BADGE_TOAST_MS);
+      },
+    });
+    const telemetry = runTelemetry({ mode, tuning, level });
+    runRef.current = { mode: shown, day, assist, cfg, levelIndex: level ? levelIndex : null, ghostBoard, badges, telemetry };
+    setGhost(loadGhost(ghostBoard));
+    setRunMode(shown);
+    // board size is frozen per run so the server can replay it exactly
+    engineRef.current = createEngine({
+      seed: raceSeed ?? (day ? dailySeed(day) : randomSeed()),
+      width: Math.round(boardSize.w),
+      height: Math.round(boardSize.h),
+      pktSize,
+      rules,
+      tuning,
+      level,
+      onEvent: (e) => {
+        audio.play(e.type);
+        badges.event(e);
+        telemetry.event(e);
+      },
+    });
+    const engine = engineRef.current;
+    loopRef.current = createLoop({
+      step: () => {
+        engine.step();
+        if (engine.state.step % GHOST_SAMPLE_STEPS === 0) curveRef.current.push(engine.state.score);
+        return !engine.state.over;
+      },
+      onFrame: () => {
+        audio.setTempo(speedAt(engine.state.timeMs, tuning) / tuning.baseSpeed);
+        syncFromEngine();
+        if (mode.race) raceProgress(engine.state.score, engine.state.integrity);
+        if (engine.state.over) endGame(engine.state.reason);
+      },
+    });
+    setView("game");
+    syncFromEngine();
+    loopRef.current.start();
+  }, [resetRound, mode, levelIndex, settings.reducedMotion, gameConfig, boardSize, pktSize, syncFromEngine, endGame, audio, raceProgress, earn]);
 
-  /* -------- Main loop (endless) -------- */
-  const tick = useCallback(() => {
-    if (!runningRef.current) return;
-    const t = now();
+  // music only while the stream is actually moving
+  useEffect(() => {
+    if (view !== "game") return;
+    audio.startMusic();
+    return () => audio.stopMusic();
+  }, [view, audio]);
+
+  /* -------- Pause / resume -------- */
+  // Game time only advances inside engine.step, so a paused run's difficulty
+  // ramp stays exactly where it was; the loop is simply not scheduled.
+  const viewRef = useRef(view);
+  useEffect(() => { viewRef.current = view; }, [view]);
+  const countdownRef = useRef(0);
+  const [resuming, setResuming] = useState(false);
+  const resumingRef = useRef(false);
+
+  const beginCountdown = useCallback((then, isResume = false) => {
+    clearTimeout(countdownRef.current);
+    countdownRef.current = setTimeout(() => {
+      audio.play("go");
+      then();
+    }, COUNTDOWN_MS);
+    resumingRef.current = isResume;
+    setResuming(isResume);
+    setView("countdown");
+  }, [audio]);
+
+  // a race runs on the room's clock, so it can't be paused
+  const pauseGame = useCallback(() => {
+    if (runRef.current.mode.race) return;
+    const v = viewRef.current;
+    if (v === "countdown" && resumingRef.current) clearTimeout(countdownRef.current);
+    else if (v !== "game") return;
+    loopRef.current?.stop();
+    setView("paused");
+  }, []);
 
-    const needInterval = currentSpawnInterval();
-    if (t - lastSpawnRef.current >= needInterval) {
-      spawnPacket();
-      lastSpawnRef.current = t;
-    }
+  const resumeGame = useCallback(() => {
+    if (viewRef.current !== "paused") return;
+    beginCountdown(() => {
+      setView("game");
+      loopRef.current?.start();
+      if (document.hidden) pauseGame();
+    }, true);
+  }, [beginCountdown, pauseGame]);
+
+  const quitRun = useCallback(() => {
+    clearTimeout(countdownRef.current);
+    loopRef.current?.stop();
+    setView("name");
+  }, []);
 
-    const floorY = boardSize.h - 8; // top of red line
-    const arr = stateRef.current.packets;
+  const startAfterCountdown = useCallback(() => {
+    beginCountdown(() => {
+      startGame();
+      if (document.hidden) pauseGame();
+    });
+  }, [beginCountdown, startGame, pauseGame]);
+
+  /* -------- Replays -------- */
+  // the viewer returns to where it was opened from (the board, or the name screen for a shared link)
+  const [replay, setReplay] = useState(() => (replayParam() ? { id: replayParam(), back: "name" } : null));
+  const openReplay = (id) => {
+    setReplay({ id, back: "leaderboard" });
+    setView("replay");
+  };
+  const closeReplay = () => {
+    if (replayParam()) window.history.replaceState(null, "", window.location.pathname);
+    setView(replay?.back ?? "name");
+    setReplay(null);
+  };
 
-    for (let i = arr.length - 1; i >= 0; i--) {
-      const p = arr[i];
-      p.y = Math.min(p.y + p.vy, floorY - p.size); // never cross line
+  /* -------- Race -------- */
+  // the host started: everyone counts down together and plays the room's seed
+  const { started: raceStarted, room: raceRoom, results: raceResults } = race;
+  const startGameRef = useRef(startGame);
+  useEffect(() => { startGameRef.current = startGame; });
+  useEffect(() => {
+    if (!raceStarted) return;
+    beginCountdown(() => startGameRef.current(raceStarted.seed));
+  }, [raceStarted, beginCountdown]);
 
-      if (p.y + p.size >= floorY) {
-        if (p.valid) {
-          scoreRef.current += SCORE_GREEN_MISS;
-          setScore((s) => s + SCORE_GREEN_MISS);
-        }
-        arr.splice(i, 1);
-      }
+  // the host called a rematch: back to the lobby; the room's clock ran out on a
+  // run that was still going (a backgrounded tab): straight to the results
+  useEffect(() => {
+    if (view === "results" && raceRoom?.state === "lobby") setView("lobby");
+    if (view === "game" && runMode.race && raceResults) {
+      loopRef.current?.stop();
+      setView("results");
     }
-    setPackets([...arr]);
+  }, [view, raceRoom, raceResults, runMode]);
 
-    rafRef.current = requestAnimationFrame(tick);
-  }, [boardSize.h, spawnPacket, currentSpawnInterval]);
+  const leaveRace = useCallback(() => {
+    raceLeave();
+    setView("name");
+  }, [raceLeave]);
 
-  const startGame = useCallback(() => {
-    resetRound();
-    stateRef.current.startedAt = now();
-    lastSpawnRef.current = 0;
-    recentLanesRef.current = [];
-    runningRef.current = true;
-    setView("game");
-    for (let i = 0; i < 4; i++) spawnPacket();
-    rafRef.current = requestAnimationFrame(tick);
-  }, [resetRound, spawnPacket, tick]);
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== "Escape" && e.key.toLowerCase() !== "p") return;
+      if (e.target instanceof HTMLInputElement) return;
+      if (viewRef.current === "paused") resumeGame();
+      else pauseGame();
+    };
+    const onVisibility = () => { if (document.hidden) pauseGame(); };
+    window.addEventListener("keydown", onKey);
+    window.addEventListener("blur", pauseGame);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      window.removeEventListener("blur", pauseGame);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [pauseGame, resumeGame]);
 
   /* -------- Name flow -------- */
-  const [nameInput, setNameInput] = useState("");
+  const [nameInput, setNameInput] = useState(player);
   const onNameSubmit = (e) => {
     e.preventDefault();
     const n = nameInput.trim();
     if (!n) return;
-    setPlayer(n.slice(0, 20));
-    setView("countdown");
-    setTimeout(startGame, COUNTDOWN_MS);
+    renameProfile(n.slice(0, 20));
+    if (mode.race) setView("lobby");
+    else startAfterCountdown();
   };
 
   /* -------- Pointer hit test (mouse + touch) -------- */
   const onFieldPointerDown = (ev) => {
-    if (!runningRef.current) return;
+    if (!loopRef.current?.running) return;
+    const engine = engineRef.current;
     const rect = boardRef.current.getBoundingClientRect();
     const clientX = ev.clientX ?? ev.touches?.[0]?.clientX;
     const clientY = ev.clientY ?? ev.touches?.[0]?.clientY;
     const cx = clientX - rect.left;
     const cy = clientY - rect.top;
 
-    const arr = stateRef.current.packets;
-    for (let i = arr.length - 1; i >= 0; i--) {
-      const p = arr[i];
-      if (cx >= p.x && cx <= p.x + p.size && cy >= p.y && cy <= p.y + p.size) {
-        if (p.valid) {
-          scoreRef.current += SCORE_PER_HIT;
-          setScore((s) => s + SCORE_PER_HIT);
-          arr.splice(i, 1);
-          setPackets([...arr]);
-        } else {
-          endGame("clicked_red");
-        }
-        return;
-      }
-    }
+    inputMethodsRef.current.add("pointer");
+    if (engine.pointer(cx, cy)) syncFromEngine();
+    if (engine.state.over) endGame(engine.state.reason);
   };
 
+  /* -------- Lane controls (keyboard + gamepad) -------- */
+  const onLanePress = useCallback((lane, method) => {
+    if (!loopRef.current?.running) return;
+    const engine = engineRef.current;
+    inputMethodsRef.current.add(method);
+    if (engine.lane(lane)) syncFromEngine();
+    if (engine.state.over) endGame(engine.state.reason);
+  }, [syncFromEngine, endGame]);
+
+  useEffect(() => {
+    const keys = settings.laneKeys.map((k) => k.toLowerCase());
+    const onKey = (e) => {
+      if (e.repeat || e.target instanceof HTMLInputElement) return;
+      const lane = keys.indexOf(e.key.toLowerCase());
+      if (lane < 0) return;
+      e.preventDefault();
+      onLanePress(lane, "keyboard");
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [settings.laneKeys, onLanePress]);
+
+  const padActive = view === "game" || view === "paused";
+  useEffect(() => {
+    if (!padActive) return;
+    const pad = createGamepadPoller({
+      onLane: (lane) => onLanePress(lane, "gamepad"),
+      onPause: () => (viewRef.current === "paused" ? resumeGame() : pauseGame()),
+    });
+    pad.start();
+    return () => pad.stop();
+  }, [padActive, onLanePress, pauseGame, resumeGame]);
+
+  const [panel, setPanel] = useState(null);   // null | controls | access | sound | profile | badges (name screen sub-panels)
+  const laneCenters = boardSize.w > 0 ? computeLanes(boardSize.w, pktSize).map((x) => x + pktSize / 2) : [];
+
   /* ============================== UI ====================================== */
   return (
-    <div className="min-h-screen w-full flex flex-col items-center">
+    <div
+      className="min-h-screen w-full flex flex-col items-center"
+      style={{
+        "--brand": pack.palette.brand,
+        "--brand-light": pack.palette.brandLight,
+        "--brand-dark": pack.palette.brandDark,
+      }}
+    >
       {/* Header */}
       <div ref={headerRef} className="w-full max-w-5xl mx-auto px-4 pt-6 text-center">
         <h1 className="text-3xl sm:text-4xl md:text-5xl font-extrabold tracking-tight">
-          <span style={{ color: RS_RED }}>RedStone:</span>{" "}
-          <span className="text-white">Data Defender</span>
+          <span style={{ color: BRAND }}>{pack.title.brand}</span>{" "}
+          <span className="text-white">{pack.title.rest}</span>
         </h1>
 
         <p className="mt-2 text-sm sm:text-base text-zinc-300 max-w-2xl mx-auto">
-          Click valid packets <span className="font-semibold text-white/90">(logos)</span>, avoid corrupted ones;
+          {pack.legend.valid} <span className="font-semibold text-white/90">{pack.legend.validNote}</span>, {pack.legend.corrupt};
           <br />
-          {/* legend chips: blue, green, purple, jalokim */}
-          {CORRUPT_THEMES.map((t) =>
+          {/* legend chips, one per corrupted look in the pack (blue, green, purple, jalokim by default) */}
+          {pack.corrupt.map((t, i) =>
             t.kind === "grad" ? (
               <span
-                key={t.name}
+                key={i}
                 className="inline-block align-[-2px] mx-1 rounded-sm"
-                title={`corrupted (${t.name})`}
+                title={t.label}
                 style={{ width: 14, height: 14, background: shinyGradient(t) }}
               />
             ) : (
               <span
-                key={t.name}
+                key={i}
                 className="inline-block align-[-2px] mx-1 rounded-sm"
-                title="corrupted (Jalokim)"
+                title={t.label}
                 style={{
                   width: 14,
                   height: 14,
@@ -373,8 +735,14 @@ export default function App() {
               />
             )
           )}{" "}.
-          <br />Verify fast. Keep the stream clean.
+          <br />{pack.tagline}
         </p>
+        {themeError && (
+          <div role="alert" className="mt-3 mx-auto max-w-2xl rounded-md border border-red-400/40 bg-red-500/10 px-3 py-2 text-left">
+            <div className="text-sm font-semibold text-red-200">Theme pack not loaded, showing the default look</div>
+            <div className="text-xs text-red-300 whitespace-pre-line">{themeError}</div>
+          </div>
+        )}
       </div>
 
       {/* Play area */}
@@ -388,85 +756,122 @@ export default function App() {
             height: `${boardHeight}px`,
             overflow: "hidden",
             background:
-              "radial-gradient(120% 120% at 50% 0%, rgba(182,13,29,0.08) 0%, rgba(255,255,255,0.04) 60%, rgba(0,0,0,0.15) 100%)",
+              "radial-gradient(120% 120% at 50% 0%, color-mix(in srgb, var(--brand) 8%, transparent) 0%, rgba(255,255,255,0.04) 60%, rgba(0,0,0,0.15) 100%)",
           }}
         >
-          {/* Soft inner frame */}
-          <div className="absolute inset-0 rounded-2xl pointer-events-none ring-1 ring-white/10" />
+          {/* Soft inner frame (flashes red during the post-hit grace period) */}
+          <div
+            className={`absolute inset-0 rounded-2xl pointer-events-none ${
+              damaged
+                ? `ring-2 ring-red-500/80 ${settings.reducedMotion ? "" : "animate-pulse"}`
+                : "ring-1 ring-white/10"
+            }`}
+          />
 
           {/* Ground (top edge is the collision line) */}
           <div
             className="absolute left-3 right-3 bottom-3 h-2 rounded-full"
-            style={{ backgroundColor: RS_RED }}
+            style={{ backgroundColor: BRAND }}
           />
 
-          {/* Packets */}
-          {imagesReady &&
-            packets.map((p) =>
-              p.valid ? (
-                // VALID — brighter & shinier
-                <div
-                  key={p.id}
-                  className="absolute rounded-xl border"
-                  style={{
-                    width: p.size,
-                    height: p.size,
-                    transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
-                    willChange: "transform",
-                    borderColor: GOLD_BORDER,
-                    borderWidth: 2,
-                    // soft outer gold glow + drop shadow for pop
-                    boxShadow: `0 0 0 2px ${GOLD_GLOW}, 0 10px 24px rgba(0,0,0,0.35)`,
-                    // image + subtle inner gloss
-                    background: `url(${p.img}) center/contain no-repeat,
-                                 radial-gradient(90% 90% at 15% 12%, ${GOLD_INNER}, transparent 40%),
-                                 radial-gradient(120% 120% at 10% 10%, rgba(255,255,255,0.18), transparent 45%)`,
-                    // tiny upscale to further distinguish from corrupted packets
-                    transformOrigin: "center",
-                  }}
-                />
-              ) : p.theme?.kind === "image" ? (
-                // CORRUPTED — Jalokim (duller)
+          {/* Packets: one <canvas>, or the original per-packet divs behind the renderer setting */}
+          {settings.renderer === "dom" ? (
+            imagesReady && <DomPackets packets={packets} look={look} skin={skin} />
+          ) : (
+            <canvas
+              ref={canvasRef}
+              className="absolute inset-0 pointer-events-none"
+              style={{ width: "100%", height: "100%" }}
+            />
+          )}
+
+          {/* Lane key hints, just above the floor line */}
+          {(view === "game" || view === "paused") &&
+            laneCenters.map((x, lane) => (
+              <span
+                key={lane}
+                className="absolute bottom-6 -translate-x-1/2 font-mono text-[10px] text-white/30 pointer-events-none"
+                style={{ left: x }}
+              >
+                {settings.laneKeys[lane].toUpperCase()}
+              </span>
+            ))}
+
+          {/* Personal-best ghost */}
+          {ghost && (view === "game" || view === "paused") && <GhostCurve ghost={ghost} curve={curve} score={score} />}
+
+          {/* New badges */}
+          {badgeToasts.length > 0 && (
+            <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10 flex flex-col items-center gap-1.5 pointer-events-none" role="status">
+              {badgeToasts.map(({ key, id }) => (
                 <div
-                  key={p.id}
-                  className="absolute rounded-xl border"
-                  style={{
-                    width: p.size,
-                    height: p.size,
-                    transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
-                    willChange: "transform",
-                    borderColor: DULL_BORDER,
-                    borderWidth: 1,
-                    boxShadow: `0 10px 22px ${DULL_GLOW}`,
-                    background: `url(${p.theme.src}) center/contain no-repeat`,
-                    backgroundColor: "rgba(15,15,18,0.78)",   // darker plate
-                    // make it slightly less vivid than valid logos
-                    filter: "saturate(0.9) brightness(0.92) contrast(0.98)",
-                  }}
+                  key={key}
+                  className="flex items-center gap-2 rounded-lg bg-zinc-900/95 border border-yellow-400/50 px-3 py-1.5 shadow-[0_6px_20px_rgba(0,0,0,0.45)]"
+                >
+                  <span className="text-lg leading-none" aria-hidden="true">{ACHIEVEMENTS[id].icon}</span>
+                  <span className="text-xs">
+                    <span className="block text-yellow-300 font-semibold">Badge unlocked: {ACHIEVEMENTS[id].label}</span>
+                    <span className="block text-zinc-400">{ACHIEVEMENTS[id].blurb}</span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Name modal */}
+          {view === "name" && panel === "controls" && (
+            <Modal>
+              <div className="w-full max-w-md">
+                <ControlsPanel
+                  laneKeys={settings.laneKeys}
+                  onChange={(laneKeys) => updateSettings({ laneKeys })}
+                  onClose={() => setPanel(null)}
                 />
-              ) : (
-                // CORRUPTED — colored glossy squares (blue/green/purple)
-                <div
-                  key={p.id}
-                  className="absolute rounded-xl border shadow-[0_12px_24px_rgba(0,0,0,0.45)]"
-                  style={{
-                    width: p.size,
-                    height: p.size,
-                    transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
-                    willChange: "transform",
-                    borderColor: "rgba(255,255,255,0.32)",
-                    background: `${shinyGradient(p.theme)} , ${glossLayer()}`,
-                    backgroundBlendMode: "screen, normal",
+              </div>
+            </Modal>
+          )}
+          {view === "name" && panel === "access" && (
+            <Modal>
+              <div className="w-full max-w-md">
+                <AccessibilityPanel settings={settings} onChange={updateSettings} onClose={() => setPanel(null)} />
+              </div>
+            </Modal>
+          )}
+          {view === "name" && panel === "sound" && (
+            <Modal>
+              <div className="w-full max-w-md">
+                <SoundPanel settings={settings} onChange={updateSettings} onClose={() => setPanel(null)} />
+              </div>
+            </Modal>
+          )}
+          {view === "name" && panel === "profile" && (
+            <Modal>
+              <div className="w-full max-w-md">
+                <ProfilePanel
+                  me={{
+                    ...me,
+                    reset: () => {
+                      me.reset();
+                      setNameInput("");
+                    },
                   }}
+                  maxHeight={boardHeight - 72}
+                  onClose={() => setPanel(null)}
                 />
-              )
-            )}
-
-          {/* Name modal */}
-          {view === "name" && (
+              </div>
+            </Modal>
+          )}
+          {view === "name" && panel === "badges" && (
             <Modal>
               <div className="w-full max-w-md">
-                <h2 className="text-lg font-semibold mb-3 text-center">Enter player name</h2>
+                <BadgeGallery badges={profile.badges} maxHeight={boardHeight - 170} onClose={() => setPanel(null)} />
+              </div>
+            </Modal>
+          )}
+          {view === "name" && !panel && (
+            <Modal>
+              <div className="w-full max-w-md">
+                <h2 className="text-lg font-semibold mb-3 text-center">{player ? `Welcome back, ${player}` : "Enter player name"}</h2>
                 <form onSubmit={onNameSubmit} className="space-y-3">
                   <input
                     className="w-full px-3 py-2 rounded-md bg-zinc-800 border border-white/10 outline-none focus:ring-2"
@@ -477,46 +882,196 @@ export default function App() {
                     maxLength={20}
                     autoFocus
                   />
+                  {player && nameInput.trim() && nameInput.trim() !== player && (
+                    <p className="-mt-1 text-[11px] text-zinc-400">
+                      Renames {player}; your history and leaderboard rows stay with you.
+                    </p>
+                  )}
+                  <ModePicker value={mode.id} onChange={(id) => updateSettings({ mode: id })} />
+                  {mode.levels && (
+                    <LevelSelect
+                      value={levelIndex}
+                      cleared={settings.levelsCleared}
+                      onChange={(level) => updateSettings({ level })}
+                    />
+                  )}
                   <button
                     type="submit"
                     className="w-full py-2 rounded-md text-white font-semibold"
-                    style={{ backgroundColor: RS_RED }}
+                    style={{ backgroundColor: BRAND }}
+                  >
+                    {mode.race ? "Find a race" : "Start"}
+                  </button>
+                  <button
+                    type="button"
+                    className="w-full text-xs text-zinc-400 hover:text-white"
+                    onClick={() => setPanel("controls")}
+                  >
+                    Keyboard & gamepad controls: {settings.laneKeys.map((k) => k.toUpperCase()).join(" ")}
+                  </button>
+                  <button
+                    type="button"
+                    className="w-full text-xs text-zinc-400 hover:text-white"
+                    onClick={() => setPanel("access")}
                   >
-                    Start
+                    Accessibility: patterns, contrast, packet size, motion
                   </button>
+                  <button
+                    type="button"
+                    className="w-full text-xs text-zinc-400 hover:text-white"
+                    onClick={() => setPanel("sound")}
+                  >
+                    Sound: {muted ? "muted" : `${Math.round(masterVolume * 100)}%`}
+                  </button>
+                  <button
+                    type="button"
+                    className="w-full text-xs text-zinc-400 hover:text-white"
+                    onClick={() => setPanel("profile")}
+                  >
+                    Profile & history: {me.history.length} {me.history.length === 1 ? "run" : "runs"}
+                  </button>
+                  <button
+                    type="button"
+                    className="w-full text-xs text-zinc-400 hover:text-white"
+                    onClick={() => setPanel("badges")}
+                  >
+                    Badges: {ACHIEVEMENT_IDS.filter((id) => profile.badges[id]).length} of {ACHIEVEMENT_IDS.length}
+                  </button>
+                  {TELEMETRY_AVAILABLE && (
+                    <button
+                      type="button"
+                      className="w-full text-xs text-zinc-400 hover:text-white"
+                      onClick={() => updateSettings({ telemetry: !settings.telemetry })}
+                      aria-pressed={settings.telemetry}
+                      title="Which lanes, speeds and packets runs fail on; no names or player ids"
+                    >
+                      Anonymous play stats: {settings.telemetry ? "on" : "off"}
+                    </button>
+                  )}
                 </form>
               </div>
             </Modal>
           )}
 
+          {/* Replay viewer */}
+          {view === "replay" && replay && imagesReady && (
+            <ReplayViewer id={replay.id} bitmaps={bitmapsRef.current} look={look} skin={skin} brand={BRAND} onClose={closeReplay} />
+          )}
+
+          {/* Race lobby */}
+          {view === "lobby" && (
+            <Modal>
+              <div className="w-full max-w-sm">
+                <RaceLobby race={race} name={player} brand={BRAND} onBack={leaveRace} />
+              </div>
+            </Modal>
+          )}
+
+          {/* Race results */}
+          {view === "results" && (
+            <Modal>
+              <div className="w-full max-w-sm">
+                {runStats && <RunStats stats={runStats} />}
+                <RaceResults race={race} brand={BRAND} onLeave={leaveRace} />
+              </div>
+            </Modal>
+          )}
+
           {/* Countdown */}
           {view === "countdown" && (
             <div className="absolute inset-0 grid place-items-center bg-black/60 rounded-2xl">
               <div className="text-center">
                 <div className="text-white font-extrabold" style={{ fontSize: isMob() ? "64px" : "86px" }}>
-                  <Countdown />
+                  <Countdown onTick={() => audio.play("beep")} />
+                </div>
+                <div className="mt-1 text-zinc-200 text-base sm:text-lg font-semibold">
+                  {resuming ? "Resuming…" : "Get ready…"}
                 </div>
-                <div className="mt-1 text-zinc-200 text-base sm:text-lg font-semibold">Get ready…</div>
               </div>
             </div>
           )}
 
+          {/* Paused */}
+          {view === "paused" && (
+            <Modal>
+              <div className="w-full max-w-sm">
+                <h2 className="text-xl font-bold mb-1 text-center">Paused</h2>
+                <p className="text-sm text-zinc-300 mb-4 text-center">
+                  Score: <b>{score}</b> · press <kbd className="font-mono">Esc</kbd> or <kbd className="font-mono">P</kbd> to resume
+                </p>
+                <div className="flex gap-3 justify-center">
+                  <button
+                    className="px-4 py-2 rounded-md text-white font-semibold"
+                    style={{ backgroundColor: BRAND }}
+                    onClick={resumeGame}
+                    autoFocus
+                  >
+                    Resume
+                  </button>
+                  <button
+                    className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+                    onClick={quitRun}
+                  >
+                    Quit run
+                  </button>
+                </div>
+              </div>
+            </Modal>
+          )}
+
           {/* Game over */}
           {view === "gameover" && (
             <Modal>
               <div className="w-full max-w-sm">
-                <h2 className="text-xl font-bold mb-1 text-center">Game Over!</h2>
+                <h2 className="text-xl font-bold mb-1 text-center">
+                  {endReason === "level_complete" ? `${runMode.level.name} cleared!` : "Game Over!"}
+                </h2>
                 <p className="text-sm text-zinc-300 mb-4 text-center">
-                  You clicked a corrupted packet. Your score: <b>{score}</b>
+                  {END_MESSAGES[endReason] ?? "Run over."} Your score: <b>{score}</b>
                 </p>
+                {runStats && <RunStats stats={runStats} />}
+                {submitResult?.status === "rejected" ? (
+                  <div role="alert" className="mb-3 rounded-md border border-red-400/40 bg-red-500/10 px-3 py-2 text-center">
+                    <div className="text-sm font-semibold text-red-200">
+                      {REJECT_TITLES[submitResult.code] ?? "Score not accepted"}
+                    </div>
+                    <div className="text-xs text-red-300">{submitResult.error}</div>
+                    {submitResult.code === "name_rejected" && (
+                      <button
+                        className="mt-2 px-3 py-1 rounded-md bg-zinc-800 border border-white/10 text-zinc-200 text-xs"
+                        onClick={() => {
+                          setNameInput("");
+                          setView("name");
+                        }}
+                      >
+                        Change name
+                      </button>
+                    )}
+                  </div>
+                ) : submitResult && (
+                  <p className={`text-xs text-center mb-3 ${submitResult.status === "failed" ? "text-red-300" : "text-zinc-400"}`}>
+                    {SUBMIT_MESSAGES[submitResult.status]}
+                  </p>
+                )}
                 <div className="flex gap-3 justify-center">
                   <button
                     className="px-4 py-2 rounded-md text-white font-semibold"
-                    style={{ backgroundColor: RS_RED }}
-                    onClick={() => { setView("countdown"); setTimeout(startGame, COUNTDOWN_MS); }}
+                    style={{ backgroundColor: BRAND }}
+                    onClick={startAfterCountdown}
                   >
                     Play again
                   </button>
+                  {endReason === "level_complete" && levelIndex + 1 < LEVELS.length && (
+                    <button
+                      className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+                      onClick={() => {
+                        updateSettings({ level: levelIndex + 1 });
+                        setView("name");
+                      }}
+                    >
+                      Next level
+                    </button>
+                  )}
                   <button
                     className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
                     onClick={() => setView("leaderboard")}
@@ -541,18 +1096,23 @@ export default function App() {
               {(() => {
                 const PAD_V     = 10;
                 const HEADER_H  = 34;
+                const TABS_H    = mode.daily ? 0 : 26;
+                const ME_H      = player ? 30 : 0;
                 const BTN_H     = 38;
                 const GAP_ROW   = 6;
                 const GAP_TOP   = 6;
                 const GAP_BTN   = 10;
 
                 const staticUsed =
-                  PAD_V * 2 + HEADER_H + GAP_TOP + GAP_BTN + BTN_H + GAP_ROW * (10 - 1);
+                  PAD_V * 2 + HEADER_H + TABS_H + ME_H + GAP_TOP + GAP_BTN + BTN_H + GAP_ROW * (BOARD_PAGE - 1);
                 const availForRows = Math.max(120, (boardHeight ?? 560) - staticUsed);
-                const rowHeight = Math.max(24, Math.min(40, Math.floor(availForRows / 10)));
+                const rowHeight = Math.max(24, Math.min(40, Math.floor(availForRows / BOARD_PAGE)));
 
-                const top10 = leaderboard && leaderboard.length ? leaderboard.slice(0, 10) : [];
-                while (top10.length < 10) top10.push({ name: "—", score: 0 });
+                const { total, me } = leaderboard;
+                const first = boardPage * BOARD_PAGE;
+                const rows = leaderboard.scores.slice(0, BOARD_PAGE);
+                while (rows.length < BOARD_PAGE) rows.push({ name: "—", score: 0 });
+                const meOnPage = me && rows.some((r) => rowKey(r) === rowKey(me));
 
                 return (
                   <div
@@ -565,7 +1125,27 @@ export default function App() {
                   >
                     {/* Header */}
                     <div className="flex items-center justify-between" style={{ height: HEADER_H, marginBottom: GAP_TOP }}>
-                      <h2 className="text-white font-bold text-base sm:text-lg">Leaderboard</h2>
+                      <h2 className="text-white font-bold text-base sm:text-lg">
+                        Leaderboard <span className="text-zinc-400 font-medium">· {mode.label}{mode.daily ? ` ${dayKey()}` : ""}</span>
+                        {boardCachedAt != null && (
+                          <span
+                            className="ml-2 align-middle text-[11px] font-medium rounded px-1.5 py-0.5 bg-amber-500/15 border border-amber-400/40 text-amber-200"
+                            title={boardCachedAt ? `saved ${new Date(boardCachedAt).toLocaleString()}` : "nothing saved yet"}
+                          >
+                            cached leaderboard (offline)
+                          </span>
+                        )}
+                        {boardCachedAt == null && boardLive === "live" && (
+                          <span className="ml-2 align-middle text-[11px] font-medium text-emerald-300" title="updates as scores come in">
+                            ● live
+                          </span>
+                        )}
+                        {queuedScores > 0 && (
+                          <span className="ml-2 align-middle text-[11px] text-zinc-400" title="waiting for the connection">
+                            ⏳ {queuedScores} queued
+                          </span>
+                        )}
+                      </h2>
                       <button
                         className="text-zinc-400 hover:text-white text-sm"
                         onClick={() => setView("name")}
@@ -574,17 +1154,44 @@ export default function App() {
                       </button>
                     </div>
 
+                    {/* Time window (daily boards are already one day) */}
+                    {!mode.daily && (
+                      <div className="flex gap-1" style={{ height: TABS_H - 4, marginBottom: 4 }}>
+                        {BOARD_WINDOWS.map(([id, label]) => (
+                          <button
+                            key={id}
+                            type="button"
+                            className={`px-2 rounded text-xs border ${
+                              boardWindow === id ? "border-yellow-400 text-yellow-300" : "border-white/10 text-zinc-400 hover:text-white"
+                            }`}
+                            onClick={() => setBoardWindow(id)}
+                            aria-pressed={boardWindow === id}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Rows */}
                     <ol style={{ display: "grid", rowGap: GAP_ROW }}>
-                      {top10.map((r, i) => (
+                      {rows.map((r, i) => (
                         <li
                           key={`${r.name}-${r.ts ?? r.at ?? i}`}
-                          className="flex items-center justify-between bg-zinc-800/70 rounded-md px-2"
+                          onClick={r.replay ? () => openReplay(r.id) : undefined}
+                          title={r.replay ? "Watch replay" : undefined}
+                          className={`flex items-center justify-between rounded-md px-2 transition-colors ${r.replay ? "cursor-pointer hover:brightness-125" : ""} ${
+                            freshRows.has(rowKey(r))
+                              ? `bg-yellow-500/20 ring-1 ring-yellow-400/70 ${settings.reducedMotion ? "" : "animate-pulse"}`
+                              : meOnPage && rowKey(r) === rowKey(me)
+                                ? "bg-sky-500/15 ring-1 ring-sky-400/50"
+                                : "bg-zinc-800/70"
+                          }`}
                           style={{ height: rowHeight }}
                         >
                           <div className="flex items-center gap-2 min-w-0">
-                            <span className="w-6 text-zinc-400 font-mono text-[11px] sm:text-xs">
-                              {String(i + 1).padStart(2, "0")}.
+                            <span className="min-w-6 text-zinc-400 font-mono text-[11px] sm:text-xs">
+                              {String(r.rank ?? first + i + 1).padStart(2, "0")}.
                             </span>
                             <span
                               className="font-medium text-white truncate"
@@ -593,23 +1200,98 @@ export default function App() {
                             >
                               {r.name}
                             </span>
+                            {r.badges?.length > 0 && (
+                              <span
+                                className="text-[11px] whitespace-nowrap"
+                                title={r.badges.map((id) => ACHIEVEMENTS[id]?.label).filter(Boolean).join(" · ")}
+                              >
+                                {r.badges.slice(-BOARD_BADGES).map((id) => ACHIEVEMENTS[id]?.icon).join("")}
+                              </span>
+                            )}
+                            {r.input && (
+                              <span className="text-[11px]" title={`played with ${r.input}`}>{INPUT_ICONS[r.input]}</span>
+                            )}
+                            {r.assist?.reducedMotion && (
+                              <span className="text-[10px] text-zinc-400" title="reduced motion (slower ramp)">RM</span>
+                            )}
+                            {r.stats && rowHeight > 26 && (
+                              <span className="hidden sm:inline text-[11px] text-zinc-400 tabular-nums whitespace-nowrap">
+                                {Math.round(r.stats.accuracy * 100)}% · ×{r.stats.bestStreak} · {fmtClock(r.stats.survivalMs)}
+                              </span>
+                            )}
                           </div>
-                          <span className="font-semibold text-white/90 tabular-nums text-sm">
-                            {r.score}
+                          <span className="flex items-center gap-2">
+                            {r.replay && (
+                              <button
+                                type="button"
+                                className="text-[11px] text-zinc-400 hover:text-white"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  openReplay(r.id);
+                                }}
+                                aria-label={`Watch ${r.name}'s run`}
+                              >
+                                ▶
+                              </button>
+                            )}
+                            <span className="font-semibold text-white/90 tabular-nums text-sm">
+                              {r.score}
+                            </span>
                           </span>
                         </li>
                       ))}
                     </ol>
 
-                    {/* Play again */}
-                    <div className="flex justify-center" style={{ marginTop: GAP_BTN, height: BTN_H }}>
+                    {/* Your best and rank (highlighted in the list too when it is on this page) */}
+                    {player && (
+                      <div
+                        className="mt-1.5 flex items-center justify-between rounded-md px-2 bg-sky-500/10 border border-sky-400/30 text-xs"
+                        style={{ height: ME_H - 6 }}
+                      >
+                        {me ? (
+                          <>
+                            <span className="min-w-0 truncate">
+                              <span className="text-zinc-400">Your best · </span>
+                              <b className="text-white">#{me.rank}</b>
+                              <span className="text-zinc-400"> of {total}</span>
+                            </span>
+                            <span className="font-semibold text-white/90 tabular-nums text-sm">{me.score}</span>
+                          </>
+                        ) : (
+                          <span className="text-zinc-400 truncate">No score for {player} on this board yet.</span>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Paging + play again */}
+                    <div className="flex items-center justify-between" style={{ marginTop: GAP_BTN, height: BTN_H }}>
+                      <div className="flex items-center gap-2 text-xs text-zinc-400 tabular-nums">
+                        <button
+                          type="button"
+                          className="px-2 py-1 rounded border border-white/10 text-zinc-200 disabled:opacity-30"
+                          onClick={() => setBoardPage(boardPage - 1)}
+                          disabled={boardPage === 0}
+                          aria-label="Previous page"
+                        >
+                          ‹
+                        </button>
+                        <span>
+                          {total ? `${first + 1}–${Math.min(total, first + BOARD_PAGE)} of ${total}` : "no scores yet"}
+                        </span>
+                        <button
+                          type="button"
+                          className="px-2 py-1 rounded border border-white/10 text-zinc-200 disabled:opacity-30"
+                          onClick={() => setBoardPage(boardPage + 1)}
+                          disabled={first + BOARD_PAGE >= total}
+                          aria-label="Next page"
+                        >
+                          ›
+                        </button>
+                      </div>
                       <button
                         className="px-5 rounded-md text-white font-semibold text-sm"
-                        style={{ backgroundColor: RS_RED, height: BTN_H - 6 }}
-                        onClick={() => {
-                          setView("countdown");
-                          setTimeout(startGame, COUNTDOWN_MS);
-                        }}
+                        style={{ backgroundColor: BRAND, height: BTN_H - 6 }}
+                        onClick={startAfterCountdown}
                       >
                         Play again
                       </button>
@@ -623,8 +1305,75 @@ export default function App() {
 
         {/* HUD */}
         <div ref={hudRef} className="mt-2 flex items-center justify-between">
-          <div className="text-sm">Score: <b>{score}</b></div>
-          <div className="text-sm text-zinc-300">Player: <span className="font-medium">{player || "—"}</span></div>
+          <div className="flex items-center gap-3">
+            <div className="text-sm">Score: <b>{score}</b></div>
+            <IntegrityMeter value={integrity} max={runMode.rules.integrity} />
+            {runMode.level && wave >= 0 && (
+              <div className="text-xs text-zinc-300 truncate" title={runMode.level.name}>
+                {runMode.level.waves[wave].boss && <b className="mr-1 text-red-400">BOSS</b>}
+                {runMode.level.waves[wave].name ?? `Wave ${wave + 1}`}
+              </div>
+            )}
+            {timeLeft != null && (
+              <div className="text-sm tabular-nums text-zinc-300" title="Time left">
+                ⏱ {fmtClock(timeLeft * 1000)}
+              </div>
+            )}
+            {streak > 0 && (
+              <div className="text-xs tabular-nums text-zinc-300" title="Streak · multiplier">
+                {streak} streak{multiplierFor(streak) > 1 && <b className="ml-1 text-yellow-300">×{multiplierFor(streak)}</b>}
+              </div>
+            )}
+            {powers.map((pw) => (
+              <div
+                key={pw.id}
+                className="text-xs tabular-nums rounded px-1.5 py-0.5 bg-cyan-500/15 border border-cyan-400/40 text-cyan-200"
+                title={POWERUPS[pw.id].label}
+              >
+                {POWERUPS[pw.id].icon} {pw.secs != null ? `${pw.secs}s` : `×${pw.charges}`}
+              </div>
+            ))}
+            {runMode.race && raceRoom?.state === "racing" &&
+              raceRoom.players.filter((p) => p.id !== raceRoom.you).map((p) => (
+                <div
+                  key={p.id}
+                  className={`text-xs tabular-nums rounded px-1.5 py-0.5 border ${
+                    p.alive ? "bg-white/5 border-white/15 text-zinc-200" : "border-red-400/40 text-red-300/80"
+                  }`}
+                  title={p.alive ? `${p.name}: ${p.score}` : `${p.name} is out (${p.reason ?? "done"})`}
+                >
+                  {!p.alive && <b className="mr-1" aria-label="out">✕</b>}
+                  <span className="inline-block max-w-20 truncate align-bottom">{p.name}</span> {p.score}
+                </div>
+              ))}
+            {(view === "game" || view === "paused") && !runMode.race && (
+              <button
+                className="text-xs px-2 py-0.5 rounded bg-zinc-800 border border-white/10 text-zinc-300 hover:text-white"
+                onClick={view === "paused" ? resumeGame : pauseGame}
+                title="Pause (Esc / P)"
+              >
+                {view === "paused" ? "Resume" : "Pause"}
+              </button>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              className="text-sm text-zinc-400 hover:text-white"
+              title={muted ? "Unmute" : "Mute"}
+              aria-pressed={muted}
+              onClick={() => updateSettings({ muted: !muted })}
+            >
+              {muted ? "🔇" : "🔊"}
+            </button>
+            <button
+              className="text-xs text-zinc-400 hover:text-white"
+              title="Switch packet renderer"
+              onClick={() => updateSettings({ renderer: settings.renderer === "dom" ? "canvas" : "dom" })}
+            >
+              {settings.renderer === "dom" ? "DOM" : "Canvas"}
+            </button>
+            <div className="text-sm text-zinc-300">Player: <span className="font-medium">{player || "—"}</span></div>
+          </div>
         </div>
       </div>
 
@@ -638,13 +1387,20 @@ export default function App() {
           <div className="mt-3 grid md:grid-cols-2 gap-4 text-sm text-zinc-300/95">
             <ul className="space-y-2 leading-relaxed">
               <li>
-                <span className="font-semibold text-white">Goal:</span> Defend data integrity like a RedStone gateway node.
+                <span className="font-semibold text-white">Goal:</span> Defend data integrity like a{" "}
+                {pack.title.brand.replace(/:\s*$/, "")} gateway node.
               </li>
               <li>
-                <span className="font-semibold text-white">Packets:</span> Logos are valid (click to verify). Corrupted packets appear in <b>blue, green, purple</b>, or as the <b>Jalokim</b> icon; avoid them.
+                <span className="font-semibold text-white">Packets:</span> {pack.legend.valid} {pack.legend.validNote} to
+                verify them; {pack.legend.corrupt}: <b>{pack.corrupt.map((t) => t.label).join(", ")}</b>.
               </li>
               <li>
-                <span className="font-semibold text-white">Scoring:</span> +10 per verified logo; missing a logo is −5. Clicking a corrupted packet ends the run.
+                <span className="font-semibold text-white">Scoring:</span> +10 per verified logo, multiplied by your streak (×2 after 5 in a row, up to ×4); missing a logo is −5 and resets the streak. Each corrupted packet you click costs integrity; at zero the run ends.
+              </li>
+              <li>
+                <span className="font-semibold text-white">Power-ups:</span> Rare round cyan packets.{" "}
+                {Object.values(POWERUPS).map((pw) => `${pw.icon} ${pw.label}`).join(" · ")}. Click (or lane-press) to collect;
+                timed ones show in the HUD with the seconds left.
               </li>
             </ul>
 
@@ -653,7 +1409,27 @@ export default function App() {
                 <span className="font-semibold text-white">Pacing:</span> The stream speeds up continuously.
               </li>
               <li>
-                <span className="font-semibold text-white">Leaderboard:</span> Global top 10 updates after each run.
+                <span className="font-semibold text-white">Controls:</span> Click or tap packets, or press <b>1–5</b> (rebindable) or gamepad <b>LB X A B RB</b> to verify the lowest packet in a lane.
+              </li>
+              <li>
+                <span className="font-semibold text-white">Pause:</span> Press <b>Esc</b> or <b>P</b>. Switching tabs pauses the run automatically (races can't be paused).
+              </li>
+              <li>
+                <span className="font-semibold text-white">Race:</span> Create a room and share its four-letter code; 2–4
+                players get the same stream, see each other's scores live and are ranked once every run is over, or 20 s
+                after the 2-minute clock runs out for anyone still going.
+              </li>
+              <li>
+                <span className="font-semibold text-white">Leaderboard:</span> One row per player (their best), all time, this
+                week or today, updated live. Your own best and rank show under the list.
+              </li>
+              <li>
+                <span className="font-semibold text-white">Badges:</span> Streaks, clean minutes without a missed logo,
+                dodged Jalokims and more unlock badges for your profile; leaderboard runs put them next to your name.
+              </li>
+              <li>
+                <span className="font-semibold text-white">Accessibility:</span> Patterns and icons tell packet types
+                apart without colour; high contrast, bigger packets and reduced motion live in the same panel.
               </li>
               <li>
                 <span className="font-semibold text-white">Tip:</span> Focus on the logos, ignore corrupted packets even if they reach the floor.
@@ -677,12 +1453,109 @@ function Modal({ children }) {
   );
 }
 
-function Countdown() {
+function RunStats({ stats }) {
+  const rows = [
+    ["Hits", stats.hits],
+    ["Misses", stats.misses],
+    ["Best streak", stats.bestStreak],
+    ["Accuracy", `${Math.round(stats.accuracy * 100)}%`],
+    ["Avg reaction", stats.hits ? `${stats.avgReactionMs} ms` : "—"],
+    ["Survived", fmtClock(stats.survivalMs)],
+  ];
+  return (
+    <dl className="grid grid-cols-3 gap-2 mb-4 text-center">
+      {rows.map(([label, value]) => (
+        <div key={label} className="rounded-md bg-zinc-800/70 px-2 py-1.5">
+          <dt className="text-[11px] text-zinc-400">{label}</dt>
+          <dd className="font-semibold text-white tabular-nums">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+function ModePicker({ value, onChange }) {
+  return (
+    <div>
+      <div
+        className="grid gap-1 rounded-md bg-zinc-800 p-1"
+        style={{ gridTemplateColumns: "repeat(3, minmax(0, 1fr))" }}
+        role="radiogroup"
+        aria-label="Game mode"
+      >
+        {Object.values(MODES).map((m) => (
+          <button
+            key={m.id}
+            type="button"
+            role="radio"
+            aria-checked={m.id === value}
+            className={`py-1 rounded text-xs sm:text-sm font-semibold ${
+              m.id === value ? "text-white" : "text-zinc-400 hover:text-white"
+            }`}
+            style={m.id === value ? { backgroundColor: BRAND } : undefined}
+            onClick={() => onChange(m.id)}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-zinc-400 text-center">{MODES[value].blurb}</p>
+    </div>
+  );
+}
+
+// your personal best's score over time (dashed) against this run's, with the gap at this moment
+function GhostCurve({ ghost, curve, score }) {
+  const W = 120;
+  const H = 34;
+  const len = Math.max(ghost.curve.length, curve.length, 2);
+  const top = Math.max(ghost.score, score, 1);
+  const points = (list) => list.map((v, i) => `${((i / (len - 1)) * W).toFixed(1)},${(H - (v / top) * H).toFixed(1)}`).join(" ");
+  const then = curve.length ? ghost.curve[Math.min(curve.length, ghost.curve.length) - 1] : 0;
+  const diff = score - then;
+  return (
+    <div className="absolute top-2 right-2 rounded-md bg-black/30 px-2 py-1 pointer-events-none opacity-80" aria-hidden="true">
+      <svg width={W} height={H} className="block">
+        <polyline points={points(ghost.curve)} fill="none" stroke="white" strokeOpacity="0.4" strokeWidth="2" strokeDasharray="3 2" />
+        <polyline points={points(curve)} fill="none" stroke={BRAND} strokeWidth="2" />
+      </svg>
+      <div className="text-[10px] text-zinc-300 tabular-nums">
+        👻 PB {ghost.score} · <b className={diff >= 0 ? "text-emerald-300" : "text-red-300"}>{diff >= 0 ? "+" : ""}{diff}</b>
+      </div>
+    </div>
+  );
+}
+
+function IntegrityMeter({ value, max }) {
+  if (max <= 0) return null;
+  return (
+    <div className="flex items-center gap-1" title={`Integrity ${value}/${max}`} aria-label={`Integrity ${value} of ${max}`}>
+      {Array.from({ length: max }, (_, i) => (
+        <span
+          key={i}
+          className="inline-block rounded-sm"
+          style={{
+            width: 10,
+            height: 12,
+            backgroundColor: i < value ? BRAND : "transparent",
+            boxShadow: `0 0 0 1px ${i < value ? BRAND_LIGHT : "rgba(255,255,255,0.25)"} inset`,
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+function Countdown({ onTick }) {
   const [v, setV] = useState(3);
   useEffect(() => {
     setV(3);
     const id = setInterval(() => setV((n) => (n > 1 ? n - 1 : 1)), 1000);
     return () => clearInterval(id);
   }, []);
+  // one beep per number; the parent's latest handler, without restarting the timer
+  const tickRef = useRef(onTick);
+  useEffect(() => { tickRef.current = onTick; });
+  useEffect(() => { tickRef.current?.(v); }, [v]);
   return <span>{v}</span>;
 }
\ No newline at end of file
@@ -0,0 +1,562 @@
+// src/admin/AdminApp.jsx — operator dashboard at /admin: scores, board resets, exports, live tuning and play stats
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { LANES } from "../game/config.js";
+import { END_REASONS } from "../game/engine.js";
+import { dayKey, MODE_IDS, MODES, TUNABLE_MODES, TUNING_LIMITS } from "../game/modes.js";
+import { createAdminApi } from "./api.js";
+
+const PASSWORD_KEY = "rsdd.admin";   // sessionStorage, so closing the tab signs out
+const PAGE         = 50;
+const RANKED_MODES = MODE_IDS.filter((id) => MODES[id].ranked);
+
+const TABS = [
+  ["scores", "Scores"],
+  ["boards", "Boards"],
+  ["tuning", "Gameplay"],
+  ["stats", "Play stats"],
+];
+
+const TUNING_LABELS = {
+  validChance:      ["Valid packet chance", "share of spawns that are logos (0–1)"],
+  powerupChance:    ["Power-up chance", "share of spawns that are power-ups (0–0.5)"],
+  baseSpeed:        ["Starting speed", "fall speed at the start, px/s"],
+  speedRampPerMin:  ["Speed ramp", "extra × starting speed per minute"],
+  spawnBaseMs:      ["Spawn interval", "ms between packets at the start"],
+  spawnMinMs:       ["Fastest spawn interval", "ms, the floor the ramp stops at"],
+  spawnAccelPerMin: ["Spawn ramp", "ms taken off the interval per minute"],
+};
+
+const btn = "px-3 py-1.5 rounded-md border border-white/10 bg-zinc-800 text-sm text-zinc-200 hover:bg-zinc-700 disabled:opacity-40";
+const field = "rounded-md border border-white/10 bg-zinc-900 px-2 py-1.5 text-sm text-white";
+
+/* ============================== Shell ===================================== */
+export default function AdminApp() {
+  const [password, setPassword] = useState(() => sessionStorage.getItem(PASSWORD_KEY) ?? "");
+  const api = useMemo(() => (password ? createAdminApi(password) : null), [password]);
+  const [tab, setTab] = useState("scores");
+  const [notice, setNotice] = useState(null);   // { kind: ok | error, text }
+
+  useEffect(() => {
+    document.title = "Admin · Data Defender";
+  }, []);
+
+  const signOut = useCallback(() => {
+    sessionStorage.removeItem(PASSWORD_KEY);
+    setPassword("");
+  }, []);
+
+  // run an API action; a 401 means the password changed on the server, so sign out
+  const run = useCallback(async (fn, okText) => {
+    try {
+      const result = await fn();
+      if (okText) setNotice({ kind: "ok", text: typeof okText === "function" ? okText(result) : okText });
+      return result;
+    } catch (e) {
+      if (e.status === 401) signOut();
+      setNotice({ kind: "error", text: e.message });
+      return null;
+    }
+  }, [signOut]);
+
+  if (!api) {
+    return (
+      <Login
+        onLogin={(pw) => {
+          sessionStorage.setItem(PASSWORD_KEY, pw);
+          setPassword(pw);
+          setNotice(null);
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-full bg-zinc-950 text-zinc-100">
+      <div className="max-w-[1100px] mx-auto p-4 sm:p-6 space-y-4">
+        <header className="flex items-center justify-between gap-3">
+          <h1 className="text-xl font-bold text-white">Data Defender <span className="text-zinc-400 font-medium">· admin</span></h1>
+          <div className="flex items-center gap-2">
+            <a className={btn} href="/">Open game</a>
+            <button type="button" className={btn} onClick={signOut}>Sign out</button>
+          </div>
+        </header>
+
+        <nav className="flex gap-1 border-b border-white/10">
+          {TABS.map(([id, label]) => (
+            <button
+              key={id}
+              type="button"
+              className={`px-3 py-2 text-sm border-b-2 -mb-px ${
+                tab === id ? "border-yellow-400 text-yellow-300" : "border-transparent text-zinc-400 hover:text-white"
+              }`}
+              onClick={() => { setTab(id); setNotice(null); }}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+
+        {notice && (
+          <div
+            role={notice.kind === "error" ? "alert" : "status"}
+            className={`rounded-md px-3 py-2 text-sm border ${
+              notice.kind === "error"
+                ? "border-red-400/40 bg-red-500/10 text-red-200"
+                : "border-emerald-400/40 bg-emerald-500/10 text-emerald-200"
+            }`}
+          >
+            {notice.text}
+          </div>
+        )}
+
+        {tab === "scores" && <ScoresTab api={api} run={run} />}
+        {tab === "boards" && <BoardsTab api={api} run={run} />}
+        {tab === "tuning" && <TuningTab api={api} run={run} />}
+        {tab === "stats" && <StatsTab api={api} run={run} />}
+      </div>
+    </div>
+  );
+}
+
+function Login({ onLogin }) {
+  const [pw, setPw] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!pw) return;
+    setBusy(true);
+    try {
+      await createAdminApi(pw).get("/admin/scores?limit=1");
+      onLogin(pw);
+    } catch (err) {
+      setError(err.status === 401 ? "Wrong password." : err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="min-h-full grid place-items-center bg-zinc-950 p-4">
+      <form onSubmit={submit} className="w-full max-w-sm rounded-xl bg-zinc-900 border border-white/10 p-5 space-y-3">
+        <h1 className="text-lg font-semibold text-white text-center">Admin sign-in</h1>
+        <input
+          type="password"
+          className={`${field} w-full`}
+          placeholder="Admin password"
+          value={pw}
+          onChange={(e) => setPw(e.target.value)}
+          autoFocus
+          autoComplete="current-password"
+        />
+        {error && <p className="text-xs text-red-300">{error}</p>}
+        <button
+          type="submit"
+          className="w-full py-2 rounded-md bg-yellow-400 text-black font-semibold disabled:opacity-50"
+          disabled={busy || !pw}
+        >
+          {busy ? "Checking…" : "Sign in"}
+        </button>
+        <p className="text-xs text-zinc-500 text-center">The password is the score service's ADMIN_TOKEN.</p>
+      </form>
+    </div>
+  );
+}
+
+/* ============================== Scores ===================================== */
+function ScoresTab({ api, run }) {
+  const [mode, setMode] = useState("");
+  const [status, setStatus] = useState("visible");
+  const [q, setQ] = useState("");
+  const [page, setPage] = useState(0);
+  const [data, setData] = useState({ total: 0, scores: [] });
+  const [selected, setSelected] = useState(() => new Set());
+
+  const filters = useMemo(() => {
+    const p = new URLSearchParams({ status });
+    if (mode) p.set("mode", mode);
+    if (q.trim()) p.set("q", q.trim());
+    return p;
+  }, [mode, status, q]);
+
+  const load = useCallback(async () => {
+    const p = new URLSearchParams(filters);
+    p.set("limit", String(PAGE));
+    p.set("offset", String(page * PAGE));
+    const j = await run(() => api.get(`/admin/scores?${p}`));
+    if (j) {
+      setData(j);
+      setSelected(new Set());
+    }
+  }, [api, run, filters, page]);
+  useEffect(() => { load(); }, [load]);
+
+  const filter = (set) => (v) => { set(v); setPage(0); };
+  const ids = [...selected];
+  const act = async (path, body, verb) => {
+    const j = await run(() => api.post(path, body), (r) => `${r.changed} ${r.changed === 1 ? "entry" : "entries"} ${verb}.`);
+    if (j) load();
+  };
+  const toggle = (id) => setSelected((s) => {
+    const next = new Set(s);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+  const allOnPage = data.scores.length > 0 && data.scores.every((s) => selected.has(s.id));
+
+  return (
+    <section className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={field} value={mode} onChange={(e) => filter(setMode)(e.target.value)} aria-label="Mode">
+          <option value="">All modes</option>
+          {RANKED_MODES.map((id) => <option key={id} value={id}>{MODES[id].label}</option>)}
+        </select>
+        <select className={field} value={status} onChange={(e) => filter(setStatus)(e.target.value)} aria-label="Status">
+          <option value="visible">On the boards</option>
+          <option value="hidden">Hidden</option>
+          <option value="archived">Archived</option>
+          <option value="all">Everything</option>
+        </select>
+        <input
+          className={`${field} flex-1 min-w-40`}
+          placeholder="Search names"
+          value={q}
+          onChange={(e) => filter(setQ)(e.target.value)}
+        />
+        <button type="button" className={btn} onClick={() => run(() => api.download(`/admin/export?format=csv&${filters}`))}>
+          Export CSV
+        </button>
+        <button type="button" className={btn} onClick={() => run(() => api.download(`/admin/export?format=json&${filters}`))}>
+          Export JSON
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-zinc-400">{selected.size} selected</span>
+        <button type="button" className={btn} disabled={!ids.length} onClick={() => act("/admin/hide", { ids, hidden: true }, "hidden")}>
+          Hide
+        </button>
+        <button type="button" className={btn} disabled={!ids.length} onClick={() => act("/admin/hide", { ids, hidden: false }, "restored")}>
+          Unhide
+        </button>
+        <button
+          type="button"
+          className={`${btn} text-red-300`}
+          disabled={!ids.length}
+          onClick={() => window.confirm(`Delete ${ids.length} entries for good?`) && act("/admin/delete", { ids }, "deleted")}
+        >
+          Delete
+        </button>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-white/10">
+        <table className="w-full text-sm">
+          <thead className="bg-zinc-900 text-zinc-400 text-xs text-left">
+            <tr>
+              <th className="p-2 w-8">
+                <input
+                  type="checkbox"
+                  className="accent-yellow-400"
+                  checked={allOnPage}
+                  onChange={() => setSelected(allOnPage ? new Set() : new Set(data.scores.map((s) => s.id)))}
+                  aria-label="Select page"
+                />
+              </th>
+              <th className="p-2">Name</th>
+              <th className="p-2 text-right">Score</th>
+              <th className="p-2">Mode</th>
+              <th className="p-2">Submitted</th>
+              <th className="p-2">Input</th>
+              <th className="p-2">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.scores.map((s) => (
+              <tr key={s.id} className={`border-t border-white/5 ${selected.has(s.id) ? "bg-yellow-500/10" : ""}`}>
+                <td className="p-2">
+                  <input type="checkbox" className="accent-yellow-400" checked={selected.has(s.id)} onChange={() => toggle(s.id)} />
+                </td>
+                <td className="p-2 text-white max-w-56 truncate" title={s.name}>{s.name}</td>
+                <td className="p-2 text-right tabular-nums">{s.score}</td>
+                <td className="p-2 text-zinc-300">{MODES[s.mode ?? "endless"]?.label ?? s.mode}{s.day ? ` ${s.day}` : ""}</td>
+                <td className="p-2 text-zinc-400 whitespace-nowrap">{new Date(s.ts).toLocaleString()}</td>
+                <td className="p-2 text-zinc-400">{s.input ?? "—"}</td>
+                <td className="p-2 text-xs">
+                  {s.hidden && <span className="mr-1 rounded px-1.5 py-0.5 bg-red-500/15 text-red-200">hidden</span>}
+                  {s.archived && <span className="rounded px-1.5 py-0.5 bg-zinc-700 text-zinc-200">archived: {s.archived}</span>}
+                  {!s.hidden && !s.archived && <span className="text-zinc-500">on board</span>}
+                </td>
+              </tr>
+            ))}
+            {!data.scores.length && (
+              <tr><td colSpan={7} className="p-4 text-center text-zinc-500">No entries.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-end gap-2 text-sm text-zinc-400 tabular-nums">
+        <span>{data.total ? `${page * PAGE + 1}–${Math.min(data.total, (page + 1) * PAGE)} of ${data.total}` : ""}</span>
+        <button type="button" className={btn} disabled={page === 0} onClick={() => setPage(page - 1)}>‹ Prev</button>
+        <button type="button" className={btn} disabled={(page + 1) * PAGE >= data.total} onClick={() => setPage(page + 1)}>Next ›</button>
+      </div>
+    </section>
+  );
+}
+
+/* ============================== Boards ===================================== */
+function BoardsTab({ api, run }) {
+  const [counts, setCounts] = useState({});
+  const [label, setLabel] = useState(`event-${dayKey()}`);
+
+  const load = useCallback(async () => {
+    const next = {};
+    for (const id of RANKED_MODES) {
+      const j = await run(() => api.get(`/admin/scores?mode=${id}&limit=1`));
+      if (!j) return;
+      next[id] = j.total;
+    }
+    setCounts(next);
+  }, [api, run]);
+  useEffect(() => { load(); }, [load]);
+
+  const reset = async (mode, archive) => {
+    const what = mode ? `the ${MODES[mode].label} board` : "every board";
+    const question = archive
+      ? `Archive ${what} as "${archive}"? The board starts empty; archived entries stay in exports.`
+      : `Delete every entry on ${what}? This can't be undone.`;
+    if (!window.confirm(question)) return;
+    const j = await run(
+      () => api.post("/admin/reset", { mode, archive: archive || false }),
+      (r) => `${r.changed} ${r.changed === 1 ? "entry" : "entries"} ${archive ? "archived" : "deleted"}.`,
+    );
+    if (j) load();
+  };
+
+  return (
+    <section className="space-y-3">
+      <label className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-zinc-300">Archive label</span>
+        <input className={field} value={label} onChange={(e) => setLabel(e.target.value)} maxLength={40} />
+        <span className="text-xs text-zinc-500">Archived entries leave the boards but stay stored and exportable.</span>
+      </label>
+      <div className="grid gap-2 sm:grid-cols-2">
+        {[...RANKED_MODES, null].map((id) => (
+          <div key={id ?? "all"} className="rounded-lg border border-white/10 bg-zinc-900 p-3 space-y-2">
+            <div className="flex items-baseline justify-between">
+              <h2 className="font-semibold text-white">{id ? MODES[id].label : "All boards"}</h2>
+              <span className="text-xs text-zinc-400 tabular-nums">
+                {id ? `${counts[id] ?? "…"} entries` : `${Object.values(counts).reduce((a, b) => a + b, 0)} entries`}
+              </span>
+            </div>
+            <div className="flex gap-2">
+              <button type="button" className={btn} disabled={!label.trim()} onClick={() => reset(id, label.trim())}>
+                Archive & reset
+              </button>
+              <button type="button" className={`${btn} text-red-300`} onClick={() => reset(id, null)}>
+                Delete all
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+/* ============================== Gameplay =================================== */
+function TuningTab({ api, run }) {
+  const [mode, setMode] = useState(TUNABLE_MODES[0]);
+  const [live, setLive] = useState(null);      // { version, tuning } on the server
+  const [draft, setDraft] = useState({});      // { [modeId]: { key: string } } as typed
+
+  const adopt = useCallback((config) => {
+    setLive(config);
+    setDraft(Object.fromEntries(Object.entries(config.tuning).map(([id, patch]) => [
+      id, Object.fromEntries(Object.entries(patch).map(([k, v]) => [k, String(v)])),
+    ])));
+  }, []);
+  useEffect(() => {
+    run(() => api.get("/config")).then((j) => j && adopt(j));
+  }, [api, run, adopt]);
+
+  const setValue = (key, value) => setDraft((d) => ({ ...d, [mode]: { ...d[mode], [key]: value } }));
+  const save = async () => {
+    const tuning = {};
+    for (const [id, patch] of Object.entries(draft)) {
+      const clean = Object.fromEntries(Object.entries(patch).filter(([, v]) => v !== "").map(([k, v]) => [k, Number(v)]));
+      if (Object.keys(clean).length) tuning[id] = clean;
+    }
+    const j = await run(() => api.post("/admin/config", { tuning }), (r) => `Saved as version ${r.version}. New runs use it.`);
+    if (j) adopt(j);
+  };
+
+  const defaults = MODES[mode].tuning;
+  return (
+    <section className="space-y-3">
+      <p className="text-sm text-zinc-400">
+        Overrides apply to runs started after saving; blank fields use the mode's built-in value.
+        Submitted runs are verified with the settings they were played under.
+        {live && <span className="ml-1 text-zinc-500">Live version: {live.version}.</span>}
+      </p>
+      <div className="flex gap-1">
+        {TUNABLE_MODES.map((id) => (
+          <button
+            key={id}
+            type="button"
+            className={`px-3 py-1.5 rounded-md text-sm border ${
+              mode === id ? "border-yellow-400 text-yellow-300" : "border-white/10 text-zinc-400 hover:text-white"
+            }`}
+            onClick={() => setMode(id)}
+          >
+            {MODES[id].label}
+            {live?.tuning[id] && <span className="ml-1 text-yellow-400">•</span>}
+          </button>
+        ))}
+      </div>
+      <div className="grid gap-2 sm:grid-cols-2">
+        {Object.entries(TUNING_LIMITS).map(([key, lim]) => (
+          <label key={key} className="rounded-lg border border-white/10 bg-zinc-900 p-3 block">
+            <span className="block text-sm text-white">{TUNING_LABELS[key][0]}</span>
+            <span className="block text-xs text-zinc-500 mb-2">{TUNING_LABELS[key][1]}</span>
+            <input
+              type="number"
+              className={`${field} w-full`}
+              min={lim.min}
+              max={lim.max}
+              step={lim.step}
+              placeholder={`${defaults[key]} (default)`}
+              value={draft[mode]?.[key] ?? ""}
+              onChange={(e) => setValue(key, e.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" className="px-4 py-2 rounded-md bg-yellow-400 text-black font-semibold" onClick={save}>
+          Save all modes
+        </button>
+        <button type="button" className={btn} onClick={() => setDraft((d) => ({ ...d, [mode]: {} }))}>
+          Clear {MODES[mode].label} overrides
+        </button>
+      </div>
+    </section>
+  );
+}
+
+/* ============================== Play stats ================================= */
+// GET /admin/telemetry: where runs fail, from the app's anonymous events (server/telemetry.js)
+const pct = (n, of) => (of ? `${Math.round((n / of) * 100)}%` : "—");
+const fmtBucket = (ms) => `${Math.floor(ms / 60_000)}:${String((ms / 1000) % 60).padStart(2, "0")}`;
+
+function StatsTab({ api, run }) {
+  const [report, setReport] = useState(null);
+  const load = useCallback(async () => {
+    const j = await run(() => api.get("/admin/telemetry"));
+    if (j) setReport(j);
+  }, [api, run]);
+  useEffect(() => { load(); }, [load]);
+
+  const reset = async () => {
+    if (!window.confirm("Clear every play stat collected so far?")) return;
+    if (await run(() => api.post("/admin/telemetry/reset"), "Play stats cleared.")) load();
+  };
+
+  if (!report) return <p className="text-sm text-zinc-500">Loading…</p>;
+  const { themes, lanes, speeds } = report;
+  const bands = [...new Set([...Object.keys(speeds.hit), ...Object.keys(speeds.miss), ...Object.keys(speeds.corrupt)])]
+    .map(Number)
+    .sort((a, b) => a - b);
+  const modes = MODE_IDS.filter((id) => report.runs[id] || report.ends[id]);
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-zinc-400">
+        <span>
+          {report.events.toLocaleString()} events since {new Date(report.since).toLocaleString()}. Players can turn this off on
+          the name screen.
+        </span>
+        <span className="flex-1" />
+        <button type="button" className={btn} onClick={load}>Refresh</button>
+        <button type="button" className={`${btn} text-red-300`} onClick={reset}>Clear</button>
+      </div>
+
+      <div className="grid gap-3 lg:grid-cols-2">
+        <Heatmap title="Missed logos by lane and game time" rows={report.heat.miss} bucketMs={report.heatBucketMs} />
+        <Heatmap title="Corrupted clicks by lane and game time" rows={report.heat.corrupt} bucketMs={report.heatBucketMs} />
+      </div>
+
+      <div className="grid gap-3 lg:grid-cols-3">
+        <StatTable
+          title="Lanes"
+          head={["Lane", "Hits", "Misses", "Corrupted"]}
+          rows={Array.from({ length: LANES }, (_, i) => [i + 1, lanes.hit[i], lanes.miss[i], lanes.corrupt[i]])}
+        />
+        <StatTable
+          title="Corrupted themes"
+          head={["Theme", "Spawned", "Clicked", "Fell for"]}
+          rows={Object.entries(themes).map(([name, t]) => [name, t.spawned, t.clicked, pct(t.clicked, t.spawned)])}
+        />
+        <StatTable
+          title="Fall speed (px/s)"
+          head={["Speed", "Hits", "Misses", "Corrupted"]}
+          rows={bands.map((b) => [`${b}+`, speeds.hit[b] ?? 0, speeds.miss[b] ?? 0, speeds.corrupt[b] ?? 0])}
+        />
+      </div>
+
+      <StatTable
+        title="Runs and how they ended"
+        head={["Mode", "Started", ...END_REASONS.map((r) => r.replace(/_/g, " "))]}
+        rows={modes.map((id) => [MODES[id].label, report.runs[id] ?? 0, ...END_REASONS.map((r) => report.ends[id]?.[r] ?? 0)])}
+      />
+    </section>
+  );
+}
+
+function Heatmap({ title, rows, bucketMs }) {
+  const max = Math.max(1, ...rows.flat());
+  return (
+    <div className="rounded-lg border border-white/10 bg-zinc-900 p-3">
+      <h2 className="text-sm font-semibold text-white mb-2">{title}</h2>
+      <div className="grid gap-px text-[10px] text-zinc-500" style={{ gridTemplateColumns: `2.5rem repeat(${rows[0].length}, 1fr)` }}>
+        {rows.map((cells, lane) => [
+          <span key={`l${lane}`} className="pr-1 text-right leading-5">Lane {lane + 1}</span>,
+          ...cells.map((n, i) => (
+            <span
+              key={`${lane}-${i}`}
+              className="h-5"
+              style={{ background: n ? `rgba(248, 113, 113, ${0.12 + (0.88 * n) / max})` : "rgba(255,255,255,0.03)" }}
+              title={`lane ${lane + 1}, ${fmtBucket(i * bucketMs)}${i === cells.length - 1 ? " on" : ""}: ${n}`}
+            />
+          )),
+        ])}
+        <span />
+        {rows[0].map((_, i) => (
+          <span key={i} className="text-center">{i % 4 === 0 ? fmtBucket(i * bucketMs) : ""}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function StatTable({ title, head, rows }) {
+  return (
+    <div className="rounded-lg border border-white/10 bg-zinc-900 p-3 overflow-x-auto">
+      <h2 className="text-sm font-semibold text-white mb-2">{title}</h2>
+      <table className="w-full text-xs">
+        <thead className="text-zinc-500 text-left">
+          <tr>{head.map((h, i) => <th key={h} className={`pb-1 font-medium ${i ? "text-right" : ""}`}>{h}</th>)}</tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r[0]} className="border-t border-white/5">
+              {r.map((v, i) => <td key={i} className={`py-1 tabular-nums ${i ? "text-right text-zinc-300" : "text-white"}`}>{v}</td>)}
+            </tr>
+          ))}
+          {!rows.length && <tr><td colSpan={head.length} className="py-2 text-center text-zinc-500">Nothing yet.</td></tr>}
+        </tbody>
+      </table>
+    </div>
+  );
+}
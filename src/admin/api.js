@@ -0,0 +1,52 @@
+// src/admin/api.js — calls to the score service's /admin routes (server/admin.js)
+import { BACKEND } from "../lib/backend.js";
+
+export class AdminError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "AdminError";
+    this.status = status;
+  }
+}
+
+/** API bound to one admin password (sent as the bearer token). */
+export function createAdminApi(password) {
+  async function call(method, path, body) {
+    let res;
+    try {
+      res = await fetch(`${BACKEND}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${password}`,
+          ...(body && { "Content-Type": "application/json" }),
+        },
+        body: body && JSON.stringify(body),
+        cache: "no-store",
+      });
+    } catch {
+      throw new AdminError("score service unreachable", 0);
+    }
+    if (!res.ok) {
+      const j = await res.json().catch(() => null);
+      // without ADMIN_TOKEN every admin route is a bare "not found"; other 404s say what is off
+      const off = res.status === 404 && (!j?.error || j.error === "not found");
+      throw new AdminError(off ? "admin API is off (set ADMIN_TOKEN on the score service)" : j?.error ?? `HTTP ${res.status}`, res.status);
+    }
+    return res;
+  }
+
+  return {
+    get: async (path) => (await call("GET", path)).json(),
+    post: async (path, body) => (await call("POST", path, body)).json(),
+
+    /** Fetch an export and hand it to the browser as a file download. */
+    async download(path) {
+      const res = await call("GET", path);
+      const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") ?? "")?.[1] ?? "export";
+      const url = URL.createObjectURL(await res.blob());
+      const a = Object.assign(document.createElement("a"), { href: url, download: name });
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+  };
+}
@@ -0,0 +1,163 @@
+// src/audio/audio.js — Web Audio sound effects and a music loop that follows the stream speed
+//
+// Everything is synthesised (no sound files to load). The AudioContext is only
+// created in unlock(), which must run inside a user gesture on mobile browsers.
+
+/* ============================== Sound effects ============================== */
+// one entry per tone: wave, start/end frequency (Hz), length (s), peak gain, delay (s)
+const SFX = {
+  hit:      [{ wave: "triangle", from: 660, to: 990, dur: 0.09, gain: 0.35 }],
+  miss:     [{ wave: "sawtooth", from: 240, to: 110, dur: 0.20, gain: 0.18 }],
+  corrupt:  [
+    { wave: "square", from: 150, to: 70, dur: 0.24, gain: 0.20 },
+    { wave: "square", from: 158, to: 74, dur: 0.24, gain: 0.14 },
+  ],
+  shielded: [{ wave: "sine", from: 520, to: 480, dur: 0.07, gain: 0.18 }],
+  power:    [
+    { wave: "sine", from: 660, to: 660, dur: 0.08, gain: 0.25 },
+    { wave: "sine", from: 880, to: 880, dur: 0.08, gain: 0.25, delay: 0.07 },
+    { wave: "sine", from: 1320, to: 1320, dur: 0.14, gain: 0.25, delay: 0.14 },
+  ],
+  badge:    [
+    { wave: "triangle", from: 784, to: 784, dur: 0.10, gain: 0.25 },
+    { wave: "triangle", from: 1175, to: 1175, dur: 0.22, gain: 0.25, delay: 0.09 },
+  ],
+  beep:     [{ wave: "sine", from: 440, to: 440, dur: 0.12, gain: 0.30 }],
+  go:       [{ wave: "sine", from: 880, to: 880, dur: 0.25, gain: 0.30 }],
+  clear:    [
+    { wave: "triangle", from: 523, to: 523, dur: 0.14, gain: 0.30 },
+    { wave: "triangle", from: 659, to: 659, dur: 0.14, gain: 0.30, delay: 0.14 },
+    { wave: "triangle", from: 784, to: 784, dur: 0.14, gain: 0.30, delay: 0.28 },
+    { wave: "triangle", from: 1047, to: 1047, dur: 0.40, gain: 0.30, delay: 0.42 },
+  ],
+  gameover: [
+    { wave: "triangle", from: 523, to: 523, dur: 0.18, gain: 0.30 },
+    { wave: "triangle", from: 392, to: 392, dur: 0.18, gain: 0.30, delay: 0.18 },
+    { wave: "triangle", from: 262, to: 196, dur: 0.45, gain: 0.30, delay: 0.36 },
+  ],
+};
+
+/* ============================== Music ====================================== */
+const MUSIC_BPM      = 112;     // at the starting fall speed
+const MUSIC_MAX_RATE = 1.8;     // tempo never goes past this × MUSIC_BPM
+const LOOKAHEAD_S    = 0.12;    // how far ahead notes are scheduled
+const SCHEDULE_MS    = 25;      // how often the scheduler runs
+
+// 16 sixteenth-note steps; bass in A minor (null = rest), kick on the beat, hat off it
+const BASS = [110, null, 110, null, 131, null, 110, null, 98, null, 98, null, 147, null, 131, null];
+const KICK = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+const HAT  = [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 1];
+
+export function createAudio() {
+  let ctx = null;
+  let master, sfxBus, musicBus, noise;
+  let volumes = { masterVolume: 0.8, sfxVolume: 0.8, musicVolume: 0.5, muted: false };
+
+  let musicTimer = 0;
+  let musicStep = 0;
+  let nextNoteAt = 0;
+  let rate = 1;
+
+  function applyVolumes() {
+    if (!ctx) return;
+    const t = ctx.currentTime;
+    master.gain.setTargetAtTime(volumes.muted ? 0 : volumes.masterVolume, t, 0.02);
+    sfxBus.gain.setTargetAtTime(volumes.sfxVolume, t, 0.02);
+    musicBus.gain.setTargetAtTime(volumes.musicVolume, t, 0.02);
+  }
+
+  function tone({ wave, from, to, dur, gain, delay = 0 }, bus, at = ctx.currentTime) {
+    const t = at + delay;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = wave;
+    osc.frequency.setValueAtTime(from, t);
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t + dur);
+    env.gain.setValueAtTime(0, t);
+    env.gain.linearRampToValueAtTime(gain, t + 0.005);
+    env.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+    osc.connect(env).connect(bus);
+    osc.start(t);
+    osc.stop(t + dur + 0.02);
+  }
+
+  function hat(at) {
+    const src = ctx.createBufferSource();
+    const hp = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+    src.buffer = noise;
+    hp.type = "highpass";
+    hp.frequency.value = 7000;
+    env.gain.setValueAtTime(0.12, at);
+    env.gain.exponentialRampToValueAtTime(0.0001, at + 0.04);
+    src.connect(hp).connect(env).connect(musicBus);
+    src.start(at);
+    src.stop(at + 0.05);
+  }
+
+  function scheduleMusic() {
+    const sixteenth = 60 / (MUSIC_BPM * rate) / 4;
+    while (nextNoteAt < ctx.currentTime + LOOKAHEAD_S) {
+      const i = musicStep % BASS.length;
+      if (BASS[i]) tone({ wave: "triangle", from: BASS[i], to: BASS[i], dur: sixteenth * 1.6, gain: 0.22 }, musicBus, nextNoteAt);
+      if (KICK[i]) tone({ wave: "sine", from: 120, to: 45, dur: 0.14, gain: 0.45 }, musicBus, nextNoteAt);
+      if (HAT[i]) hat(nextNoteAt);
+      nextNoteAt += sixteenth;
+      musicStep++;
+    }
+  }
+
+  return {
+    /** Create / resume the AudioContext. Call from a pointer or key handler. */
+    unlock() {
+      if (!ctx) {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return;
+        ctx = new Ctx();
+        master = ctx.createGain();
+        sfxBus = ctx.createGain();
+        musicBus = ctx.createGain();
+        sfxBus.connect(master);
+        musicBus.connect(master);
+        master.connect(ctx.destination);
+
+        noise = ctx.createBuffer(1, Math.round(ctx.sampleRate * 0.05), ctx.sampleRate);
+        const data = noise.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        applyVolumes();
+      }
+      if (ctx.state === "suspended") ctx.resume();
+    },
+
+    get unlocked() {
+      return ctx?.state === "running";
+    },
+
+    setVolumes(next) {
+      volumes = { ...volumes, ...next };
+      applyVolumes();
+    },
+
+    /** Play a named effect (hit, miss, corrupt, shielded, power, beep, go, clear, gameover); unknown names are ignored. */
+    play(name) {
+      if (!ctx || ctx.state !== "running" || !SFX[name]) return;
+      for (const t of SFX[name]) tone(t, sfxBus);
+    },
+
+    startMusic() {
+      if (!ctx || musicTimer) return;
+      nextNoteAt = ctx.currentTime + 0.05;
+      musicTimer = setInterval(scheduleMusic, SCHEDULE_MS);
+    },
+
+    stopMusic() {
+      clearInterval(musicTimer);
+      musicTimer = 0;
+    },
+
+    /** Music tempo as a multiple of MUSIC_BPM (1 = the starting fall speed). */
+    setTempo(multiple) {
+      rate = Math.max(0.5, Math.min(MUSIC_MAX_RATE, multiple));
+    },
+  };
+}
@@ -0,0 +1,70 @@
+// src/components/AccessibilityPanel.jsx — colour-blind, contrast, size and motion options
+import { PACKET_SCALES } from "../lib/settings.js";
+
+function Toggle({ label, hint, checked, onChange }) {
+  return (
+    <label className="flex items-start gap-3 rounded-md border border-white/10 bg-zinc-800 px-3 py-2 cursor-pointer">
+      <input
+        type="checkbox"
+        className="mt-1 accent-yellow-400"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+      />
+      <span>
+        <span className="block text-sm text-white">{label}</span>
+        <span className="block text-xs text-zinc-400">{hint}</span>
+      </span>
+    </label>
+  );
+}
+
+export default function AccessibilityPanel({ settings, onChange, onClose }) {
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold text-center">Accessibility</h2>
+      <Toggle
+        label="Patterns & icons"
+        hint="Corrupted packets get stripes, dots or a grid plus a ✕ ▲ ● ⚠ badge; logos get a ✓."
+        checked={settings.patterns}
+        onChange={(patterns) => onChange({ patterns })}
+      />
+      <Toggle
+        label="High contrast"
+        hint="Thick yellow borders on logos, black on corrupted packets, no gloss."
+        checked={settings.highContrast}
+        onChange={(highContrast) => onChange({ highContrast })}
+      />
+      <Toggle
+        label="Reduced motion"
+        hint="Slower difficulty ramp, no glow or flashing. Runs are marked as assisted."
+        checked={settings.reducedMotion}
+        onChange={(reducedMotion) => onChange({ reducedMotion })}
+      />
+      <div className="rounded-md border border-white/10 bg-zinc-800 px-3 py-2">
+        <div className="text-sm text-white">Packet size</div>
+        <div className="mt-2 grid grid-cols-3 gap-2">
+          {PACKET_SCALES.map((k) => (
+            <button
+              key={k}
+              type="button"
+              className={`rounded border py-1 text-sm ${
+                settings.packetScale === k ? "border-yellow-400 text-yellow-300" : "border-white/10 text-zinc-300"
+              }`}
+              onClick={() => onChange({ packetScale: k })}
+              aria-pressed={settings.packetScale === k}
+            >
+              {Math.round(k * 100)}%
+            </button>
+          ))}
+        </div>
+      </div>
+      <button
+        type="button"
+        className="w-full py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+        onClick={onClose}
+      >
+        Done
+      </button>
+    </div>
+  );
+}
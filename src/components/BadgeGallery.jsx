@@ -0,0 +1,47 @@
+// src/components/BadgeGallery.jsx — every achievement, earned ones lit with the date
+import { ACHIEVEMENT_IDS, ACHIEVEMENTS } from "../game/achievements.js";
+
+const fmtDate = (ts) => new Date(ts).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+
+export default function BadgeGallery({ badges, maxHeight, onClose }) {
+  const count = ACHIEVEMENT_IDS.filter((id) => badges[id]).length;
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold text-center">
+        Badges <span className="text-zinc-400 font-medium">· {count} of {ACHIEVEMENT_IDS.length}</span>
+      </h2>
+      <ul className="grid grid-cols-2 gap-2 overflow-y-auto pr-1" style={{ maxHeight }}>
+        {ACHIEVEMENT_IDS.map((id) => {
+          const a = ACHIEVEMENTS[id];
+          const at = badges[id];
+          return (
+            <li
+              key={id}
+              className={`flex gap-2 rounded-md px-2 py-1.5 border ${at ? "bg-zinc-800/70 border-yellow-400/40" : "bg-zinc-900/60 border-white/5"}`}
+            >
+              <span className={`text-xl leading-none mt-0.5 ${at ? "" : "grayscale opacity-30"}`} aria-hidden="true">{a.icon}</span>
+              <div className="min-w-0">
+                <div className={`text-sm font-semibold ${at ? "text-white" : "text-zinc-400"}`}>
+                  {a.label}
+                  <span className="sr-only">{at ? " (earned)" : " (locked)"}</span>
+                </div>
+                <div className="text-[11px] text-zinc-400 leading-snug">{a.blurb}</div>
+                {at && <div className="text-[10px] text-yellow-300/80 mt-0.5">{fmtDate(at)}</div>}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="text-[11px] text-zinc-500 text-center">
+        Badges from leaderboard runs show next to your name on the board once the score service has replayed them.
+      </p>
+      <button
+        type="button"
+        className="w-full py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+        onClick={onClose}
+      >
+        Done
+      </button>
+    </div>
+  );
+}
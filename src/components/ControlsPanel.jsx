@@ -0,0 +1,67 @@
+// src/components/ControlsPanel.jsx — lane key bindings + gamepad reference
+import { useEffect, useState } from "react";
+import { GAMEPAD_LANE_BUTTONS } from "../input/gamepad.js";
+
+const PAD_LABELS = { 0: "A", 1: "B", 2: "X", 3: "Y", 4: "LB", 5: "RB" };
+const RESERVED = ["Escape", "p", "P"];   // pause keys
+
+const keyLabel = (k) => (k === " " ? "Space" : k.length === 1 ? k.toUpperCase() : k);
+
+export default function ControlsPanel({ laneKeys, onChange, onClose }) {
+  const [listening, setListening] = useState(null);   // lane waiting for a key
+
+  useEffect(() => {
+    if (listening == null) return;
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === "Escape") return setListening(null);
+      if (RESERVED.includes(e.key)) return;
+      // a key can only drive one lane: swap with whichever lane had it
+      const next = [...laneKeys];
+      const clash = next.findIndex((k) => k.toLowerCase() === e.key.toLowerCase());
+      if (clash >= 0) next[clash] = next[listening];
+      next[listening] = e.key;
+      onChange(next);
+      setListening(null);
+    };
+    window.addEventListener("keydown", onKey, { capture: true });
+    return () => window.removeEventListener("keydown", onKey, { capture: true });
+  }, [listening, laneKeys, onChange]);
+
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold text-center">Controls</h2>
+      <p className="text-xs text-zinc-400 text-center">
+        Lane keys verify the lowest packet in that lane. If it's corrupted, it costs integrity just like clicking it.
+      </p>
+      <div className="grid grid-cols-5 gap-2">
+        {laneKeys.map((k, lane) => (
+          <button
+            key={lane}
+            type="button"
+            className={`rounded-md border py-2 text-center ${
+              listening === lane ? "border-yellow-400 text-yellow-300" : "border-white/10 bg-zinc-800 text-white"
+            }`}
+            onClick={() => setListening(lane)}
+            aria-label={`Lane ${lane + 1} key: ${keyLabel(k)}`}
+          >
+            <div className="text-[10px] text-zinc-400">Lane {lane + 1}</div>
+            <div className="font-mono font-semibold">{listening === lane ? "…" : keyLabel(k)}</div>
+            <div className="text-[10px] text-zinc-500">🎮 {PAD_LABELS[GAMEPAD_LANE_BUTTONS[lane]]}</div>
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-zinc-500 text-center">
+        Click a lane, then press a key. Esc / P / Start pause.
+      </p>
+      <button
+        type="button"
+        className="w-full py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+        onClick={onClose}
+      >
+        Done
+      </button>
+    </div>
+  );
+}
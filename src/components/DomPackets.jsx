@@ -0,0 +1,134 @@
+// src/components/DomPackets.jsx — the original one-div-per-packet renderer
+import {
+  DULL_BORDER, DULL_FILTER, DULL_GLOW, DULL_PLATE, GOLD_BORDER, GOLD_GLOW, GOLD_INNER, GRAD_BORDER,
+  HC_CORRUPT_BORDER, HC_MARK_BG, HC_MARK_FG, HC_VALID_BORDER, POWER_BORDER, POWER_GLOW, POWER_THEME,
+  THEME_MARKS, VALID_MARK, glossLayer, patternLayer, shinyGradient,
+} from "../render/palette.js";
+import { POWERUPS } from "../game/config.js";
+
+export default function DomPackets({ packets, look, skin }) {
+  const { glow, highContrast, patterns } = look;
+
+  return packets.map((p) => {
+    if (p.power) return <PowerPacket key={p.id} p={p} look={look} />;
+
+    // the theme pack's art for what the engine picked
+    const img = skin.valid.get(p.img) ?? p.img;
+    const theme = p.theme && (skin.corrupt.get(p.theme.name) ?? p.theme);
+    const mark = p.valid ? VALID_MARK : THEME_MARKS[theme.name]?.icon;
+    const badge = patterns && mark && <Mark icon={mark} size={p.size} />;
+
+    return p.valid ? (
+      // VALID — brighter & shinier
+      <div
+        key={p.id}
+        className="absolute rounded-xl border"
+        style={{
+          width: p.size,
+          height: p.size,
+          transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
+          willChange: "transform",
+          borderColor: highContrast ? HC_VALID_BORDER : GOLD_BORDER,
+          borderWidth: highContrast ? 4 : 2,
+          // soft outer gold glow + drop shadow for pop
+          boxShadow: glow ? `0 0 0 2px ${GOLD_GLOW}, 0 10px 24px rgba(0,0,0,0.35)` : "none",
+          // image + subtle inner gloss
+          background: `url(${img}) center/contain no-repeat,
+                       radial-gradient(90% 90% at 15% 12%, ${GOLD_INNER}, transparent 40%),
+                       radial-gradient(120% 120% at 10% 10%, rgba(255,255,255,0.18), transparent 45%)`,
+          // tiny upscale to further distinguish from corrupted packets
+          transformOrigin: "center",
+        }}
+      >
+        {badge}
+      </div>
+    ) : theme.kind === "image" ? (
+      // CORRUPTED — Jalokim (duller)
+      <div
+        key={p.id}
+        className="absolute rounded-xl border"
+        style={{
+          width: p.size,
+          height: p.size,
+          transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
+          willChange: "transform",
+          borderColor: highContrast ? HC_CORRUPT_BORDER : DULL_BORDER,
+          borderWidth: highContrast ? 4 : 1,
+          boxShadow: glow ? `0 10px 22px ${DULL_GLOW}` : "none",
+          background: `url(${theme.src}) center/contain no-repeat`,
+          backgroundColor: DULL_PLATE,
+          // make it slightly less vivid than valid logos
+          filter: DULL_FILTER,
+        }}
+      >
+        {badge}
+      </div>
+    ) : (
+      // CORRUPTED — colored glossy squares (blue/green/purple)
+      <div
+        key={p.id}
+        className={`absolute rounded-xl border ${glow ? "shadow-[0_12px_24px_rgba(0,0,0,0.45)]" : ""}`}
+        style={{
+          width: p.size,
+          height: p.size,
+          transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
+          willChange: "transform",
+          borderColor: highContrast ? HC_CORRUPT_BORDER : GRAD_BORDER,
+          borderWidth: highContrast ? 4 : 1,
+          background: [
+            patterns && patternLayer(THEME_MARKS[theme.name]?.pattern),
+            shinyGradient(theme),
+            !highContrast && glossLayer(),
+          ].filter(Boolean).join(", "),
+          backgroundBlendMode: patterns ? "normal, screen, normal" : "screen, normal",
+        }}
+      >
+        {badge}
+      </div>
+    );
+  });
+}
+
+// POWER-UP — round cyan plate, icon in the middle
+function PowerPacket({ p, look }) {
+  return (
+    <div
+      className="absolute rounded-full border grid place-items-center"
+      style={{
+        width: p.size,
+        height: p.size,
+        transform: `translate3d(${p.x}px, ${p.y}px, 0)`,
+        willChange: "transform",
+        borderColor: look.highContrast ? HC_VALID_BORDER : POWER_BORDER,
+        borderWidth: look.highContrast ? 4 : 2,
+        boxShadow: look.glow ? `0 0 0 3px ${POWER_GLOW}, 0 10px 24px rgba(0,0,0,0.35)` : "none",
+        background: look.highContrast ? shinyGradient(POWER_THEME) : `${glossLayer()}, ${shinyGradient(POWER_THEME)}`,
+        fontSize: Math.round(p.size * 0.46),
+      }}
+      title={POWERUPS[p.power].label}
+    >
+      <span className="font-bold leading-none text-white drop-shadow">{POWERUPS[p.power].icon}</span>
+    </div>
+  );
+}
+
+function Mark({ icon, size }) {
+  const d = Math.round(size * 0.36);
+  return (
+    <span
+      className="absolute grid place-items-center rounded-full font-bold leading-none"
+      style={{
+        right: 2,
+        bottom: 2,
+        width: d,
+        height: d,
+        fontSize: Math.round(d * 0.62),
+        background: HC_MARK_BG,
+        color: HC_MARK_FG,
+      }}
+      aria-hidden
+    >
+      {icon}
+    </span>
+  );
+}
@@ -0,0 +1,31 @@
+// src/components/LevelSelect.jsx — bundled levels, unlocked in order
+import { LEVELS } from "../levels/index.js";
+
+export default function LevelSelect({ value, cleared, onChange }) {
+  return (
+    <ol className="space-y-1" aria-label="Level">
+      {LEVELS.map((lv, i) => {
+        const locked = i > cleared;
+        const selected = i === value;
+        return (
+          <li key={lv.id}>
+            <button
+              type="button"
+              disabled={locked}
+              aria-pressed={selected}
+              className={`w-full flex items-center gap-2 rounded-md border px-2 py-1 text-left text-sm ${
+                selected ? "border-yellow-400 text-white" : "border-white/10 text-zinc-300"
+              } ${locked ? "opacity-40 cursor-not-allowed" : "hover:text-white"}`}
+              onClick={() => onChange(i)}
+              title={locked ? "Clear the previous level to unlock" : lv.description}
+            >
+              <span className="w-5 text-xs tabular-nums text-zinc-400">{i + 1}.</span>
+              <span className="flex-1 truncate">{lv.name}</span>
+              <span className="text-xs">{locked ? "🔒" : i < cleared ? "✓" : ""}</span>
+            </button>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
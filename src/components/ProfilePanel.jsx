@@ -0,0 +1,196 @@
+// src/components/ProfilePanel.jsx — your profile: rename, best per mode, score over time, recent runs, other devices
+import { useState } from "react";
+import { MODES } from "../game/modes.js";
+import { transferCode } from "../lib/profile.js";
+
+const RECENT     = 8;    // runs in the recent list
+const CHART_RUNS = 50;   // runs plotted per mode
+
+const fmtDate = (ts) => new Date(ts).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+export default function ProfilePanel({ me, maxHeight, onClose }) {
+  const { profile, history, rename, reset, adopt } = me;
+  const [name, setName] = useState(profile.name);
+  const played = Object.values(MODES).filter((m) => history.some((r) => r.mode === m.id));
+  const [chartMode, setChartMode] = useState(null);
+  const shownMode = played.find((m) => m.id === chartMode) ?? played[0];
+  const [showCode, setShowCode] = useState(false);
+  const [code, setCode] = useState("");
+  const [codeError, setCodeError] = useState(false);
+  const [confirmReset, setConfirmReset] = useState(false);
+
+  const trimmed = name.trim().slice(0, 20);
+  const best = (id) => history.reduce((b, r) => (r.mode === id && (!b || r.score > b.score) ? r : b), null);
+
+  return (
+    <div className="space-y-3 overflow-y-auto pr-1" style={{ maxHeight }}>
+      <h2 className="text-lg font-semibold text-center">Profile</h2>
+
+      {/* Name */}
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (trimmed) rename(trimmed);
+        }}
+      >
+        <input
+          className="flex-1 min-w-0 px-3 py-2 rounded-md bg-zinc-800 border border-white/10 outline-none"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={20}
+          aria-label="Player name"
+          placeholder="Player name"
+        />
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200 disabled:opacity-40"
+          disabled={!trimmed || trimmed === profile.name}
+        >
+          Rename
+        </button>
+      </form>
+      <p className="text-[11px] text-zinc-400">
+        Player ID <span className="font-mono">{profile.id.slice(0, 8)}</span> · since {fmtDate(profile.since)}. Renaming keeps
+        your history and your leaderboard rows.
+      </p>
+
+      {/* Best per mode */}
+      {played.length ? (
+        <dl className="grid grid-cols-3 gap-2 text-center">
+          {played.map((m) => {
+            const b = best(m.id);
+            return (
+              <div key={m.id} className="rounded-md bg-zinc-800/70 px-2 py-1.5">
+                <dt className="text-[11px] text-zinc-400">{m.label}</dt>
+                <dd className="font-semibold text-white tabular-nums">{b.score}</dd>
+                <dd className="text-[10px] text-zinc-500">{history.filter((r) => r.mode === m.id).length} runs</dd>
+              </div>
+            );
+          })}
+        </dl>
+      ) : (
+        <p className="text-sm text-zinc-400 text-center">No runs on this device yet.</p>
+      )}
+
+      {/* Score over time */}
+      {shownMode && (
+        <div className="rounded-md border border-white/10 bg-zinc-800/40 p-2">
+          <div className="flex flex-wrap gap-1 mb-1" role="radiogroup" aria-label="Chart mode">
+            {played.map((m) => (
+              <button
+                key={m.id}
+                type="button"
+                role="radio"
+                aria-checked={m.id === shownMode.id}
+                className={`px-2 rounded text-[11px] border ${
+                  m.id === shownMode.id ? "border-yellow-400 text-yellow-300" : "border-white/10 text-zinc-400 hover:text-white"
+                }`}
+                onClick={() => setChartMode(m.id)}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <ScoreChart runs={history.filter((r) => r.mode === shownMode.id).slice(-CHART_RUNS)} />
+        </div>
+      )}
+
+      {/* Recent runs */}
+      {history.length > 0 && (
+        <ol className="space-y-1 text-xs">
+          {history.slice(-RECENT).reverse().map((r) => (
+            <li key={r.ts} className="flex items-center gap-2 rounded-md bg-zinc-800/70 px-2 py-1">
+              <span className="w-12 text-zinc-400">{fmtDate(r.ts)}</span>
+              <span className="flex-1 min-w-0 truncate text-zinc-200">
+                {MODES[r.mode]?.label ?? r.mode}{r.level ? ` · ${r.level}` : ""}
+              </span>
+              <span className="font-semibold text-white tabular-nums">{r.score}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* Other devices */}
+      <div className="rounded-md border border-white/10 px-3 py-2 space-y-2">
+        <div className="text-sm text-white">Play as this profile on another device</div>
+        {showCode ? (
+          <div className="font-mono text-[11px] break-all select-all text-zinc-200">{transferCode(profile)}</div>
+        ) : (
+          <button type="button" className="text-xs text-zinc-400 hover:text-white" onClick={() => setShowCode(true)}>
+            Show transfer code (keep it to yourself)
+          </button>
+        )}
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            const ok = adopt(code);
+            setCodeError(!ok);
+            if (ok) setCode("");
+          }}
+        >
+          <input
+            className="flex-1 min-w-0 px-2 py-1 rounded-md bg-zinc-800 border border-white/10 outline-none font-mono text-[11px]"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Paste a code from another device"
+            aria-label="Transfer code"
+          />
+          <button type="submit" className="px-2 py-1 rounded-md bg-zinc-800 border border-white/10 text-zinc-200 text-xs" disabled={!code.trim()}>
+            Use
+          </button>
+        </form>
+        {codeError && <p role="alert" className="text-xs text-red-300">That isn't a transfer code.</p>}
+      </div>
+
+      {/* Shared device: start over as someone else */}
+      <button
+        type="button"
+        className={`w-full py-1.5 rounded-md border text-xs ${confirmReset ? "border-red-400/60 text-red-200" : "border-white/10 text-zinc-400 hover:text-white"}`}
+        onClick={() => {
+          if (!confirmReset) return setConfirmReset(true);
+          reset();
+          setName("");
+          setConfirmReset(false);
+        }}
+      >
+        {confirmReset ? "Sure? This device forgets this profile and its history" : "New player on this device"}
+      </button>
+
+      <button
+        type="button"
+        className="w-full py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+        onClick={onClose}
+      >
+        Done
+      </button>
+    </div>
+  );
+}
+
+// one dot per run, oldest on the left; dashed line at the best
+function ScoreChart({ runs }) {
+  const W = 300;
+  const H = 80;
+  const top = Math.max(1, ...runs.map((r) => r.score));
+  const low = Math.min(0, ...runs.map((r) => r.score));
+  const x = (i) => (runs.length > 1 ? (i / (runs.length - 1)) * (W - 8) + 4 : W / 2);
+  const y = (v) => H - 4 - ((v - low) / (top - low)) * (H - 8);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" role="img" aria-label={`Score over the last ${runs.length} runs, best ${top}`}>
+      <line x1={0} x2={W} y1={y(top)} y2={y(top)} stroke="white" strokeOpacity="0.25" strokeDasharray="4 3" />
+      <polyline
+        points={runs.map((r, i) => `${x(i).toFixed(1)},${y(r.score).toFixed(1)}`).join(" ")}
+        fill="none"
+        stroke="var(--brand)"
+        strokeWidth="2"
+      />
+      {runs.map((r, i) => (
+        <circle key={r.ts} cx={x(i)} cy={y(r.score)} r={2.5} fill="var(--brand-light)">
+          <title>{`${new Date(r.ts).toLocaleString()}: ${r.score}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,112 @@
+// src/components/RaceLobby.jsx — open or join a race room, wait for players, host starts
+import { useState } from "react";
+import { MODES } from "../game/modes.js";
+
+const { minPlayers, maxPlayers } = MODES.race.race;
+
+export default function RaceLobby({ race, name, brand, onBack }) {
+  const [code, setCode] = useState("");
+  const { room, status, error } = race;
+  const connecting = status === "connecting";
+
+  if (!room) {
+    return (
+      <div className="space-y-3">
+        <h2 className="text-lg font-semibold text-center">Race</h2>
+        <p className="text-xs text-zinc-400 text-center">
+          {minPlayers}–{maxPlayers} players, the same packet stream, {MODES.race.rules.timeLimitMs / 60_000} minutes. Highest verified score wins.
+        </p>
+        <button
+          type="button"
+          className="w-full py-2 rounded-md text-white font-semibold disabled:opacity-50"
+          style={{ backgroundColor: brand }}
+          disabled={connecting}
+          onClick={() => race.create(name)}
+        >
+          Create a room
+        </button>
+        <form
+          className="flex gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (code.length === 4) race.join(code, name);
+          }}
+        >
+          <input
+            className="flex-1 min-w-0 px-3 py-2 rounded-md bg-zinc-800 border border-white/10 outline-none font-mono tracking-[0.3em] uppercase"
+            placeholder="CODE"
+            aria-label="Room code"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/[^a-z]/gi, "").toUpperCase().slice(0, 4))}
+            maxLength={4}
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200 disabled:opacity-50"
+            disabled={connecting || code.length !== 4}
+          >
+            Join
+          </button>
+        </form>
+        {connecting && <p className="text-xs text-zinc-400 text-center">Connecting…</p>}
+        {error && <p role="alert" className="text-xs text-red-300 text-center">{error.message}</p>}
+        <button type="button" className="w-full text-xs text-zinc-400 hover:text-white" onClick={onBack}>
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  const isHost = room.host === room.you;
+  const enough = room.players.length >= minPlayers;
+  return (
+    <div className="space-y-3">
+      <div className="text-center">
+        <div className="text-xs text-zinc-400">Room code</div>
+        <div className="font-mono text-3xl font-extrabold tracking-[0.3em] text-white">{room.code}</div>
+        <div className="text-xs text-zinc-400">Share it with up to {maxPlayers - 1} friends.</div>
+      </div>
+      <ul className="space-y-1" aria-label="Players">
+        {room.players.map((p) => (
+          <li key={p.id} className="flex items-center gap-2 rounded-md bg-zinc-800/70 px-2 py-1 text-sm">
+            <span className="flex-1 truncate">
+              {p.name}
+              {p.id === room.you && <span className="text-zinc-400"> (you)</span>}
+            </span>
+            {p.id === room.host && <span className="text-xs text-yellow-300">host</span>}
+          </li>
+        ))}
+        {Array.from({ length: maxPlayers - room.players.length }, (_, i) => (
+          <li key={`open-${i}`} className="rounded-md border border-dashed border-white/10 px-2 py-1 text-sm text-zinc-500">
+            open seat
+          </li>
+        ))}
+      </ul>
+      {error && <p role="alert" className="text-xs text-red-300 text-center">{error.message}</p>}
+      <div className="flex gap-3 justify-center">
+        {isHost ? (
+          <button
+            type="button"
+            className="px-4 py-2 rounded-md text-white font-semibold disabled:opacity-50"
+            style={{ backgroundColor: brand }}
+            disabled={!enough}
+            onClick={race.start}
+            title={enough ? undefined : `Needs at least ${minPlayers} players`}
+          >
+            Start race
+          </button>
+        ) : (
+          <span className="self-center text-xs text-zinc-400">Waiting for the host to start…</span>
+        )}
+        <button
+          type="button"
+          className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+          onClick={onBack}
+        >
+          Leave
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+// src/components/RaceResults.jsx — after your run: live standings until everyone is done, then the room's ranking
+
+// why a player sits below the finished runs (server/race.js result statuses)
+const STATUS_NOTES = {
+  unfinished: "still playing at the bell",
+  rejected:   "run didn't verify",
+  left:       "left the race",
+};
+
+export default function RaceResults({ race, brand, onLeave }) {
+  const { room, results, error } = race;
+  const you = room?.you;
+  const isHost = room && room.host === you;
+
+  if (!results) {
+    const waiting = room?.players.filter((p) => p.alive).length ?? 0;
+    return (
+      <div className="space-y-3">
+        <h2 className="text-xl font-bold text-center">Run over</h2>
+        {room ? (
+          <>
+            <p className="text-sm text-zinc-300 text-center">
+              Waiting for {waiting} {waiting === 1 ? "player" : "players"} to finish…
+            </p>
+            <Standings rows={[...room.players].sort((a, b) => b.score - a.score)} you={you} />
+          </>
+        ) : (
+          <p role="alert" className="text-sm text-red-300 text-center">{error?.message ?? "Not in a race."}</p>
+        )}
+        <div className="flex justify-center">
+          <button
+            type="button"
+            className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+            onClick={onLeave}
+          >
+            Leave
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const winner = results[0];
+  return (
+    <div className="space-y-3">
+      <h2 className="text-xl font-bold text-center">
+        {winner?.id === you ? "You win!" : `${winner?.name ?? "Nobody"} wins`}
+      </h2>
+      <Standings rows={results} you={you} ranked />
+      {error && <p role="alert" className="text-xs text-red-300 text-center">{error.message}</p>}
+      <div className="flex gap-3 justify-center">
+        {isHost ? (
+          <button
+            type="button"
+            className="px-4 py-2 rounded-md text-white font-semibold"
+            style={{ backgroundColor: brand }}
+            onClick={race.rematch}
+            autoFocus
+          >
+            Rematch
+          </button>
+        ) : room && (
+          <span className="self-center text-xs text-zinc-400">The host can call a rematch.</span>
+        )}
+        <button
+          type="button"
+          className="px-4 py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+          onClick={onLeave}
+        >
+          Leave
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Standings({ rows, you, ranked = false }) {
+  return (
+    <ol className="space-y-1 min-w-64">
+      {rows.map((r, i) => (
+        <li
+          key={r.id}
+          className={`flex items-center gap-2 rounded-md px-2 py-1 text-sm ${
+            r.id === you ? "bg-sky-500/15 border border-sky-400/40" : "bg-zinc-800/70"
+          }`}
+        >
+          <span className="w-5 text-xs tabular-nums text-zinc-400">{ranked ? r.place : i + 1}.</span>
+          <span className="flex-1 min-w-0 truncate">
+            {r.name}
+            {(STATUS_NOTES[r.status] || (!ranked && r.alive)) && (
+              <span className="ml-1 text-xs text-zinc-400">· {STATUS_NOTES[r.status] ?? "playing"}</span>
+            )}
+          </span>
+          <span className="font-semibold tabular-nums">{r.score}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
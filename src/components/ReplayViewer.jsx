@@ -0,0 +1,199 @@
+// src/components/ReplayViewer.jsx — watch a leaderboard run (GET /replay): play / pause, scrub, speed, share
+import { useEffect, useMemo, useRef, useState } from "react";
+import { STEP_MS } from "../game/config.js";
+import { computeLanes } from "../game/engine.js";
+import { createLoop } from "../game/loop.js";
+import { MODES } from "../game/modes.js";
+import { createReplay } from "../game/replay.js";
+import { BACKEND } from "../lib/backend.js";
+import { createCanvasRenderer } from "../render/canvasRenderer.js";
+
+const SPEEDS    = [0.5, 1, 2, 4];
+const TAP_STEPS = Math.round(400 / STEP_MS);   // how long a recorded click or lane press stays marked
+
+const fmtClock = (ms) => {
+  const secs = Math.floor(ms / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+};
+
+// link that opens the app straight into this replay (see replayParam in App.jsx)
+const replayLink = (id) => `${window.location.origin}${window.location.pathname}?replay=${encodeURIComponent(id)}`;
+
+export default function ReplayViewer({ id, bitmaps, look, skin, brand, onClose }) {
+  const [data, setData] = useState(null);      // GET /replay answer
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    let alive = true;
+    fetch(`${BACKEND}/replay?id=${encodeURIComponent(id)}`, { cache: "no-store" })
+      .then(async (r) => {
+        const j = await r.json().catch(() => null);
+        if (!r.ok) throw new Error(r.status === 404 ? "This run has no replay." : j?.error ?? `HTTP ${r.status}`);
+        return j;
+      })
+      .then((j) => alive && setData(j))
+      .catch((err) => alive && setError(err.message === "Failed to fetch" ? "Score service unreachable." : err.message));
+    return () => { alive = false; };
+  }, [id]);
+
+  const replay = useMemo(
+    () => data && MODES[data.mode] && createReplay({ mode: MODES[data.mode], run: data.run, overrides: data.overrides }),
+    [data],
+  );
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [copied, setCopied] = useState(false);
+
+  // the run's own board size, scaled to fit by CSS
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  useEffect(() => {
+    if (!replay || !canvasRef.current) return;
+    const r = createCanvasRenderer(canvasRef.current, { bitmaps, look, skin });
+    r.resize(data.run.w, data.run.h);
+    r.draw(replay.state.packets);
+    rendererRef.current = r;
+    return () => { rendererRef.current = null; };
+  }, [replay, data, bitmaps, look, skin]);
+
+  // same fixed-step loop as live play, on a clock running at `speed`
+  useEffect(() => {
+    if (!replay || !playing) return;
+    const loop = createLoop({
+      step: replay.advance,
+      onFrame: () => {
+        rendererRef.current?.draw(replay.state.packets);
+        setStep(replay.state.step);
+        if (!loop.running) setPlaying(false);
+      },
+      clock: () => performance.now() * speed,
+    });
+    loop.start();
+    return () => loop.stop();
+  }, [replay, playing, speed]);
+
+  const seek = (to) => {
+    replay.seek(to);
+    rendererRef.current?.draw(replay.state.packets);
+    setStep(replay.state.step);
+  };
+  const togglePlay = () => {
+    if (!playing && (replay.state.over || replay.state.step >= data.run.steps)) seek(0);
+    setPlaying(!playing);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(replayLink(id));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch { /* clipboard blocked; the URL bar still works */ }
+  };
+
+  if (!replay) {
+    return (
+      <Frame onClose={onClose}>
+        <p className={`m-auto text-sm ${error ? "text-red-300" : "text-zinc-400"}`} role={error ? "alert" : undefined}>
+          {error ?? (data ? "This run was played in a mode this version doesn't have." : "Loading replay…")}
+        </p>
+      </Frame>
+    );
+  }
+
+  const { run } = data;
+  const { state } = replay;
+  const lanes = computeLanes(run.w, run.pkt);
+  const taps = run.inputs.filter(([s]) => s <= step && s > step - TAP_STEPS);
+
+  return (
+    <Frame
+      onClose={onClose}
+      title={
+        <>
+          {data.name} <span className="text-zinc-400 font-medium">· {MODES[data.mode].label}{data.day ? ` ${data.day}` : ""} · {data.score}</span>
+        </>
+      }
+    >
+      {/* Board at the run's aspect ratio, with the player's clicks and lane presses marked */}
+      <div className="flex-1 min-h-0 grid place-items-center">
+        <div className="relative max-w-full max-h-full rounded-lg border border-white/10 overflow-hidden" style={{ aspectRatio: `${run.w} / ${run.h}`, height: "100%" }}>
+          <canvas ref={canvasRef} className="absolute inset-0" style={{ width: "100%", height: "100%" }} />
+          <svg className="absolute inset-0 pointer-events-none" viewBox={`0 0 ${run.w} ${run.h}`} preserveAspectRatio="none" style={{ width: "100%", height: "100%" }}>
+            {taps.map(([s, a, b], i) => {
+              const fade = 1 - (step - s) / TAP_STEPS;
+              return b == null ? (
+                <rect key={i} x={lanes[a]} y={run.h - 28} width={run.pkt} height={8} rx={4} fill="white" opacity={0.6 * fade} />
+              ) : (
+                <circle key={i} cx={a} cy={b} r={10 + (1 - fade) * 16} fill="none" stroke="white" strokeWidth={3} opacity={fade} />
+              );
+            })}
+          </svg>
+        </div>
+      </div>
+
+      <div className="mt-2 flex items-center justify-between text-xs text-zinc-300 tabular-nums">
+        <span>Score <b className="text-white">{state.score}</b></span>
+        <span>Integrity {state.integrity}/{MODES[data.mode].rules.integrity}</span>
+        <span>{fmtClock(state.timeMs)} / {fmtClock(run.steps * STEP_MS)}</span>
+      </div>
+
+      {/* Controls */}
+      <div className="mt-2 flex items-center gap-2">
+        <button
+          type="button"
+          className="w-9 h-8 rounded-md text-white font-semibold"
+          style={{ backgroundColor: brand }}
+          onClick={togglePlay}
+          aria-label={playing ? "Pause" : "Play"}
+          autoFocus
+        >
+          {playing ? "❚❚" : "▶"}
+        </button>
+        <input
+          type="range"
+          className="flex-1 min-w-0"
+          min={0}
+          max={run.steps}
+          value={step}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Position"
+        />
+        <div className="flex gap-0.5" role="radiogroup" aria-label="Speed">
+          {SPEEDS.map((s) => (
+            <button
+              key={s}
+              type="button"
+              role="radio"
+              aria-checked={s === speed}
+              className={`px-1.5 py-1 rounded text-[11px] border ${s === speed ? "border-yellow-400 text-yellow-300" : "border-white/10 text-zinc-400 hover:text-white"}`}
+              onClick={() => setSpeed(s)}
+            >
+              {s}×
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          className="px-2 py-1 rounded-md bg-zinc-800 border border-white/10 text-zinc-200 text-[11px] whitespace-nowrap"
+          onClick={copyLink}
+        >
+          {copied ? "Copied" : "Copy link"}
+        </button>
+      </div>
+    </Frame>
+  );
+}
+
+function Frame({ title, onClose, children }) {
+  return (
+    <div className="absolute inset-0 rounded-2xl bg-zinc-950/95 flex flex-col p-3">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-white font-bold text-sm sm:text-base truncate">Replay{title && <> · {title}</>}</h2>
+        <button className="text-zinc-400 hover:text-white text-sm" onClick={onClose} aria-label="Close replay">
+          ✕
+        </button>
+      </div>
+      {children}
+    </div>
+  );
+}
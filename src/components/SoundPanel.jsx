@@ -0,0 +1,45 @@
+// src/components/SoundPanel.jsx — master / effects / music volume and mute
+const SLIDERS = [
+  ["masterVolume", "Master"],
+  ["sfxVolume", "Effects"],
+  ["musicVolume", "Music"],
+];
+
+export default function SoundPanel({ settings, onChange, onClose }) {
+  return (
+    <div className="space-y-3">
+      <h2 className="text-lg font-semibold text-center">Sound</h2>
+      {SLIDERS.map(([key, label]) => (
+        <label key={key} className="flex items-center gap-3 rounded-md border border-white/10 bg-zinc-800 px-3 py-2">
+          <span className="w-16 text-sm text-white">{label}</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            className="flex-1 accent-yellow-400"
+            value={Math.round(settings[key] * 100)}
+            onChange={(e) => onChange({ [key]: Number(e.target.value) / 100 })}
+            disabled={settings.muted}
+          />
+          <span className="w-10 text-right text-xs tabular-nums text-zinc-400">{Math.round(settings[key] * 100)}%</span>
+        </label>
+      ))}
+      <label className="flex items-center gap-3 rounded-md border border-white/10 bg-zinc-800 px-3 py-2 cursor-pointer">
+        <input
+          type="checkbox"
+          className="accent-yellow-400"
+          checked={settings.muted}
+          onChange={(e) => onChange({ muted: e.target.checked })}
+        />
+        <span className="text-sm text-white">Mute everything</span>
+      </label>
+      <button
+        type="button"
+        className="w-full py-2 rounded-md bg-zinc-800 border border-white/10 text-zinc-200"
+        onClick={onClose}
+      >
+        Done
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+// src/game/achievements.js — badges earned in a run, read off the engine's events
+//
+// Shared by App.jsx (toasts while playing) and the score service, which feeds
+// the same tracker while it replays a submitted run, so the badges it keeps for
+// a profile come from verified runs only. Everything here is decided by the
+// event stream, so a run earns the same badges wherever it is replayed.
+import { spawnIntervalAt } from "./engine.js";
+import { POWERUPS } from "./config.js";
+
+const MINUTE_MS = 60_000;
+
+/* ============================== Badges ===================================== */
+// Listed roughly easiest first; the leaderboard shows a player's last few.
+export const ACHIEVEMENTS = {
+  first_hit:   { icon: "✅", label: "First packet",  blurb: "Verify your first logo." },
+  clean_min:   { icon: "✨", label: "Clean minute",  blurb: "Play a full minute without letting a logo through." },
+  streak_25:   { icon: "🔥", label: "On fire",       blurb: "Verify 25 logos in a row." },
+  dodger:      { icon: "🙈", label: "Dodger",        blurb: "Let 10 JALOKIM packets fall past while on a streak, in one run." },
+  full_kit:    { icon: "🧰", label: "Full kit",      blurb: "Collect every kind of power-up in one run." },
+  hits_100:    { icon: "💯", label: "Centurion",     blurb: "Verify 100 logos in one run." },
+  pressure:    { icon: "🌪", label: "Full pressure", blurb: "Still be verifying logos once the stream reaches its top spawn rate." },
+  surgical:    { icon: "🎯", label: "Surgical",      blurb: "Finish a run of 50+ logos with 95% accuracy." },
+  flawless:    { icon: "🏅", label: "Flawless",      blurb: "Clear a level without losing any integrity." },
+  spotless:    { icon: "💎", label: "Spotless",      blurb: "Three clean minutes in one run." },
+  streak_100:  { icon: "⚡", label: "Unbroken",      blurb: "Verify 100 logos in a row." },
+  redline:     { icon: "🚨", label: "Redline",       blurb: "A clean minute played entirely at the top spawn rate." },
+};
+export const ACHIEVEMENT_IDS = Object.keys(ACHIEVEMENTS);
+
+const DODGES_NEEDED   = 10;
+const SURGICAL_HITS   = 50;
+const SURGICAL_ACC    = 0.95;
+
+/**
+ * Tracker for one run. Feed it every engine event (event(e)), then call
+ * finish(state, stats) when the run ends. `onUnlock(id)` fires the first time
+ * a badge is earned in this run; `earned` lists them all.
+ *
+ * A clean minute is 60 s of game time with no missed logo (each one costs
+ * SCORE_GREEN_MISS); minutes are counted back to back from the last miss.
+ * The top spawn rate is the ramp reaching `tuning.spawnMinMs`; levels play a
+ * script instead of the ramp, so they never get there.
+ */
+export function createAchievements({ tuning, rules, level = null, onUnlock }) {
+  const earned = new Set();
+  let hits = 0;
+  let dodges = 0;
+  const powers = new Set();
+  let cleanSince = 0;         // game time the current run of clean minutes started
+  let cleanMinutes = 0;
+  let topSince = null;        // game time the stream first spawned at its top rate
+
+  const unlock = (id) => {
+    if (earned.has(id)) return;
+    earned.add(id);
+    onUnlock?.(id);
+  };
+
+  // time-based badges, checked on every event (spawns keep them coming)
+  function tick(timeMs) {
+    if (topSince == null && !level && spawnIntervalAt(timeMs, tuning) <= tuning.spawnMinMs) topSince = timeMs;
+    while (timeMs - cleanSince >= MINUTE_MS) {
+      cleanMinutes++;
+      unlock("clean_min");
+      if (cleanMinutes >= 3) unlock("spotless");
+      if (topSince != null && cleanSince >= topSince) unlock("redline");
+      cleanSince += MINUTE_MS;
+    }
+  }
+
+  function event({ type, packet, timeMs, streak }) {
+    tick(timeMs);
+    switch (type) {
+      case "hit":
+        hits++;
+        unlock("first_hit");
+        if (streak >= 25) unlock("streak_25");
+        if (streak >= 100) unlock("streak_100");
+        if (hits >= 100) unlock("hits_100");
+        if (topSince != null) unlock("pressure");
+        break;
+      case "miss":
+        cleanSince = timeMs;
+        break;
+      case "dodge":
+        if (packet.theme?.name === "jalokim" && streak > 0 && ++dodges >= DODGES_NEEDED) unlock("dodger");
+        break;
+      case "power":
+        powers.add(packet.power);
+        if (powers.size === Object.keys(POWERUPS).length) unlock("full_kit");
+        break;
+    }
+  }
+
+  function finish(state, stats) {
+    tick(state.timeMs);
+    if (stats.hits >= SURGICAL_HITS && stats.accuracy >= SURGICAL_ACC) unlock("surgical");
+    if (state.reason === "level_complete" && rules.integrity > 0 && state.integrity === rules.integrity) unlock("flawless");
+    return [...earned];
+  }
+
+  return {
+    event,
+    finish,
+    get earned() { return [...earned]; },
+  };
+}
@@ -0,0 +1,89 @@
+// src/game/achievements.test.js — badges read off the event stream, live and on replay (node --test)
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createAchievements } from "./achievements.js";
+import { POWERUPS } from "./config.js";
+import { createEngine } from "./engine.js";
+import { MODES } from "./modes.js";
+import { createReplay } from "./replay.js";
+
+const { rules, tuning } = MODES.endless;
+
+// a tracker that also records every onUnlock call
+function tracker(opts = {}) {
+  const unlocked = [];
+  return Object.assign(createAchievements({ rules, tuning, onUnlock: (id) => unlocked.push(id), ...opts }), { unlocked });
+}
+
+const jalokim = { theme: { name: "jalokim" } };
+
+/* ============================== Tracker ==================================== */
+describe("createAchievements", () => {
+  test("unlocks each badge once, from the events that earn it", () => {
+    const t = tracker();
+    t.event({ type: "hit", timeMs: 100, streak: 1 });
+    t.event({ type: "hit", timeMs: 200, streak: 2 });
+    assert.deepEqual(t.unlocked, ["first_hit"]);
+
+    t.event({ type: "hit", timeMs: 300, streak: 25 });
+    assert.deepEqual(t.unlocked, ["first_hit", "streak_25"]);
+
+    // dodges only count while on a streak, and only JALOKIM ones
+    t.event({ type: "dodge", packet: jalokim, timeMs: 400, streak: 0 });
+    t.event({ type: "dodge", packet: { theme: { name: "red" } }, timeMs: 400, streak: 3 });
+    for (let i = 0; i < 9; i++) t.event({ type: "dodge", packet: jalokim, timeMs: 500, streak: 3 });
+    assert.equal(t.unlocked.includes("dodger"), false);
+    t.event({ type: "dodge", packet: jalokim, timeMs: 600, streak: 3 });
+    assert.equal(t.unlocked.at(-1), "dodger");
+
+    for (const power of Object.keys(POWERUPS)) t.event({ type: "power", packet: { power }, timeMs: 700, streak: 3 });
+    t.event({ type: "power", packet: { power: "shield" }, timeMs: 800, streak: 3 });
+    assert.equal(t.unlocked.at(-1), "full_kit");
+    assert.deepEqual(t.earned, t.unlocked);
+  });
+
+  test("a clean minute counts from the last missed logo", () => {
+    const t = tracker({ level: { id: "l" } });   // a level never ramps up to the top spawn rate (redline)
+    t.event({ type: "miss", timeMs: 30_000, streak: 0 });
+    t.event({ type: "spawn", timeMs: 89_999, streak: 0 });
+    assert.deepEqual(t.earned, []);
+    t.event({ type: "spawn", timeMs: 90_000, streak: 0 });
+    assert.deepEqual(t.earned, ["clean_min"]);
+    assert.deepEqual(t.finish({ timeMs: 210_000, reason: "integrity_depleted" }, { hits: 0, accuracy: 0 }), ["clean_min", "spotless"]);
+  });
+
+  test("finish judges accuracy and flawless levels", () => {
+    const surgical = tracker();
+    assert.deepEqual(surgical.finish({ timeMs: 0, reason: "integrity_depleted" }, { hits: 50, accuracy: 0.95 }), ["surgical"]);
+    assert.deepEqual(tracker().finish({ timeMs: 0, reason: "integrity_depleted" }, { hits: 49, accuracy: 1 }), []);
+
+    const level = { id: "l" };
+    const won = { timeMs: 0, reason: "level_complete", integrity: rules.integrity };
+    assert.deepEqual(tracker({ level }).finish(won, { hits: 0, accuracy: 0 }), ["flawless"]);
+    assert.deepEqual(tracker({ level }).finish({ ...won, integrity: rules.integrity - 1 }, { hits: 0, accuracy: 0 }), []);
+  });
+});
+
+/* ============================== Replays ==================================== */
+describe("achievements on replay", () => {
+  test("replaying a run earns the badges it earned live", () => {
+    const mode = MODES.sprint;
+    const live = createAchievements({ rules: mode.rules, tuning: mode.tuning });
+    const engine = createEngine({ seed: 24680, width: 480, height: 720, pktSize: 48, rules: mode.rules, tuning: mode.tuning, onEvent: live.event });
+    const { state } = engine;
+    // a careful player: verifies every logo once it's a third of the way down, never clicks a corrupted one
+    while (!state.over) {
+      engine.step();
+      const p = state.packets.find((q) => (q.valid || q.power) && q.y > 240);
+      if (p) engine.pointer(p.x + p.size / 2, p.y + p.size / 2);
+    }
+    const earned = live.finish(state, engine.stats());
+    assert.ok(earned.includes("first_hit") && earned.length > 1, earned.join());
+
+    const replayed = createAchievements({ rules: mode.rules, tuning: mode.tuning });
+    const replay = createReplay({ mode, run: { ...engine.run(), assist: { reducedMotion: false } }, onEvent: replayed.event });
+    replay.seek(Infinity);
+    assert.equal(replay.state.score, state.score);
+    assert.deepEqual(replayed.finish(replay.state, replay.engine.stats()), earned);
+  });
+});
@@ -0,0 +1,77 @@
+// src/game/config.js — gameplay constants shared by the client and the score service
+
+// Gameplay (endless)
+export const LANES               = 5;
+export const PKT_SIZE_DESKTOP    = 66;
+export const PKT_SIZE_MOBILE     = 58;
+
+export const VALID_CHANCE        = 0.40;   // 40% logos, 60% corrupted
+export const SCORE_PER_HIT       = 10;
+export const SCORE_GREEN_MISS    = -5;
+
+// Combo: every COMBO_STEP consecutive verified logos adds 1× to the multiplier
+export const COMBO_STEP          = 5;
+export const COMBO_MAX           = 4;
+
+// Integrity (lives). 0 disables a limit.
+export const DEFAULT_RULES = {
+  integrity:     3,      // hits the stream can take before the run ends
+  corruptDamage: 1,      // per corrupted packet clicked
+  missDamage:    0,      // per valid packet reaching the floor (0 = only costs points)
+  maxMisses:     0,      // run ends after this many missed logos
+  timeLimitMs:   0,      // run ends after this much game time
+  invulnMs:      900,    // grace period after taking damage
+};
+
+// Difficulty ramp
+export const BASE_SPEED_PX_S     = 260;
+export const SPEED_RAMP_PER_MIN  = 0.55;
+export const SPAWN_BASE_MS       = 520;
+export const SPAWN_MIN_MS        = 120;
+export const SPAWN_ACCEL_PER_MIN = 300;
+
+// Power-ups: a rare third packet class, collected by clicking it like a logo.
+// Weights are relative to each other; durationMs 0 means the effect is instant.
+export const POWERUP_CHANCE = 0.05;    // share of spawns that are a power-up
+export const POWERUPS = {
+  slowmo: { label: "Oracle slow-down", icon: "⏳", weight: 3, durationMs: 6_000, speedScale: 0.5 },
+  purge:  { label: "Purge",            icon: "🧹", weight: 2, durationMs: 0 },   // clears corrupted packets on screen
+  shield: { label: "Shield",           icon: "🛡", weight: 3, durationMs: 0, charges: 1 },   // absorbs corrupted clicks
+  double: { label: "Double points",    icon: "×2", weight: 2, durationMs: 8_000, scoreScale: 2 },
+};
+
+// Stream tuning; a game mode (modes.js) can override any of these
+export const DEFAULT_TUNING = {
+  validChance:      VALID_CHANCE,
+  powerupChance:    POWERUP_CHANCE,
+  baseSpeed:        BASE_SPEED_PX_S,
+  speedRampPerMin:  SPEED_RAMP_PER_MIN,
+  spawnBaseMs:      SPAWN_BASE_MS,
+  spawnMinMs:       SPAWN_MIN_MS,
+  spawnAccelPerMin: SPAWN_ACCEL_PER_MIN,
+};
+
+// Simulation
+export const STEP_MS             = 1000 / 120;  // fixed simulation step; the loop runs as many as real time needs
+export const MAX_FRAME_MS        = 100;         // longer frame gaps (tab switch, hitch) are clamped to this
+export const OPENING_PACKETS     = 4;
+export const FLOOR_OFFSET        = 8;           // red line sits this far above the board bottom
+
+/* ======= Valid logo images (served from public/img) ======= */
+export const VALID_LOGOS = [
+  "/img/logo1.png",
+  "/img/logo2.png",
+  "/img/logo3.png",
+  "/img/logo4.png",
+  "/img/stoney1.png",
+  "/img/stoney2.png",
+  "/img/stoney3.png",
+];
+
+/* ======= Corrupted packet types (blue, green, purple, JALOKIM image) ======= */
+export const CORRUPT_THEMES = [
+  { kind: "grad", name: "blue",   light: "#60A5FA", base: "#3B82F6", dark: "#1D4ED8" },
+  { kind: "grad", name: "green",  light: "#34D399", base: "#22C55E", dark: "#15803D" },
+  { kind: "grad", name: "purple", light: "#C084FC", base: "#A855F7", dark: "#6D28D9" },
+  { kind: "image", name: "jalokim", src: "/img/jalokim.png" },
+];
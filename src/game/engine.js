@@ -0,0 +1,332 @@
+// src/game/engine.js — React-free game simulation shared by App.jsx and server/verify.js
+import { compileLevel } from "./levels.js";
+import { createRng } from "./rng.js";
+import {
+  COMBO_MAX, COMBO_STEP, CORRUPT_THEMES, DEFAULT_RULES, DEFAULT_TUNING, FLOOR_OFFSET, LANES, OPENING_PACKETS,
+  POWERUPS, SCORE_GREEN_MISS, SCORE_PER_HIT, STEP_MS, VALID_LOGOS,
+} from "./config.js";
+
+export const RUN_VERSION = 7;
+
+// Why a run ended; sent to the score service and shown in the Game Over modal.
+export const END_REASONS = ["integrity_depleted", "too_many_misses", "time_up", "level_complete"];
+
+const SPAWN_Y        = 10;
+const LANE_PAD       = 14;
+const RECENT_LANES   = 6;     // ring buffer size
+const RECENT_AVOID   = 3;     // how many of those a new spawn tries to avoid
+const LANE_RETRIES   = 3;
+const SAME_LANE_GAP  = 1.1;   // × packet size
+
+const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+
+/* ============================== Pure helpers =============================== */
+export function computeLanes(w, pktSize) {
+  const usable = Math.max(1, w - LANE_PAD * 2 - pktSize);
+  return Array.from({ length: LANES }, (_, i) => LANE_PAD + i * (usable / (LANES - 1)));
+}
+
+/** Fall speed in px/s after `ms` of play. */
+export function speedAt(ms, tuning = DEFAULT_TUNING) {
+  const minutes = Math.max(0, ms / 60_000);
+  return tuning.baseSpeed * (1 + tuning.speedRampPerMin * minutes);
+}
+
+/** Time between spawns after `ms` of play. */
+export function spawnIntervalAt(ms, tuning = DEFAULT_TUNING) {
+  const minutes = Math.max(0, ms / 60_000);
+  return clamp(tuning.spawnBaseMs - tuning.spawnAccelPerMin * minutes, tuning.spawnMinMs, tuning.spawnBaseMs);
+}
+
+/** Score multiplier while on a streak of `streak` consecutive hits. */
+export function multiplierFor(streak) {
+  return Math.min(COMBO_MAX, 1 + Math.floor(streak / COMBO_STEP));
+}
+
+/** Weighted pick of a power-up id from `table` (id → { weight }). */
+export function pickPowerup(rng, table = POWERUPS) {
+  const ids = Object.keys(table);
+  const total = ids.reduce((sum, id) => sum + table[id].weight, 0);
+  let roll = rng() * total;
+  for (const id of ids) {
+    roll -= table[id].weight;
+    if (roll < 0) return id;
+  }
+  return ids[ids.length - 1];
+}
+
+/** Lane index for the next spawn, re-rolling a few times to avoid recently used lanes. */
+export function pickLane(rng, laneCount, recentLanes) {
+  let lane = Math.floor(rng() * laneCount);
+  const recents = new Set(recentLanes.slice(-RECENT_AVOID));
+  for (let tries = 0; tries < LANE_RETRIES; tries++) {
+    if (!recents.has(lane)) break;
+    lane = Math.floor(rng() * laneCount);
+  }
+  return lane;
+}
+
+/** True when a packet at (x, y) would overlap another one in the same lane. */
+export function laneBlocked(packets, x, y, pktSize) {
+  const minGap = pktSize * SAME_LANE_GAP;
+  return packets.some((o) => Math.abs(o.x - x) < 1 && o.y < y + minGap && y < o.y + minGap);
+}
+
+/** Index of the lowest (closest to the floor) packet in `lane`, or -1. */
+export function lowestInLane(packets, lane) {
+  let best = -1;
+  for (let i = 0; i < packets.length; i++) {
+    if (packets[i].lane === lane && (best < 0 || packets[i].y > packets[best].y)) best = i;
+  }
+  return best;
+}
+
+/** Index of the top-most packet under (x, y), or -1. */
+export function hitTest(packets, x, y) {
+  for (let i = packets.length - 1; i >= 0; i--) {
+    const p = packets[i];
+    if (x >= p.x && x <= p.x + p.size && y >= p.y && y <= p.y + p.size) return i;
+  }
+  return -1;
+}
+
+/* ============================== Engine ===================================== */
+// Everything that decides the score lives here and only here. Time only moves
+// through step(dt) and randomness only comes from the injected rng, so given
+// the same seed, board size and input log every run replays to the same result.
+//
+// With a `level` (levels.js) the packet stream is its spawn script instead of
+// the random spawner, and packets fall at the level's fixed speeds.
+//
+// onEvent receives { type, packet, timeMs, streak }, type being "spawn" | "hit" | "miss" |
+// "corrupt" | "shielded" | "power", or "dodge" for a corrupted packet left to reach the floor.
+export function createEngine({
+  width, height, pktSize, seed, rng = createRng(seed),
+  rules = DEFAULT_RULES, tuning = DEFAULT_TUNING, level = null, onEvent,
+}) {
+  const lanesX = computeLanes(width, pktSize);
+  const floorY = height - FLOOR_OFFSET; // top of red line
+  const script = level ? compileLevel(level) : null;
+  let nextScripted = 0;
+
+  const state = {
+    step: 0,
+    timeMs: 0,
+    score: 0,
+    packets: [],
+    integrity: rules.integrity,
+    hits: 0,
+    misses: 0,
+    corruptClicks: 0,
+    streak: 0,
+    bestStreak: 0,
+    reactionMsTotal: 0,
+    invulnUntilMs: 0,
+    effects: {},          // timed power-up id → game time it runs out
+    shield: 0,            // corrupted clicks the shield power-up will still absorb
+    wave: -1,             // index into level.waves of the latest scripted spawn
+    over: false,
+    reason: null,
+  };
+  let lastSpawnMs = -Infinity;
+  let nextId = 1;
+  const recentLanes = [];
+  const inputs = [];      // [step, x, y] per pointer-down, [step, lane] per lane press
+
+  const emit = (type, packet) => onEvent?.({ type, packet, timeMs: state.timeMs, streak: state.streak });
+  const pick = (arr) => arr[Math.floor(rng() * arr.length)];
+
+  function spawnPacket() {
+    const lane = pickLane(rng, lanesX.length, recentLanes);
+    const x = lanesX[lane];
+    const power = rng() < tuning.powerupChance ? pickPowerup(rng) : null;
+    const valid = !power && rng() < tuning.validChance;
+    if (laneBlocked(state.packets, x, SPAWN_Y, pktSize)) return;
+
+    addPacket({ lane, valid, power, theme: valid || power ? null : pick(CORRUPT_THEMES) });
+  }
+
+  // one level script event; type is validated by levels.js
+  function spawnScripted(ev) {
+    const lane = ev.lane === "random" ? pickLane(rng, lanesX.length, recentLanes) : ev.lane;
+    const [kind, id] = ev.type.split(":");
+    const power = kind === "power" ? (id ?? pickPowerup(rng)) : null;
+    const valid = kind === "valid";
+    const theme = valid || power ? null
+      : kind === "corrupt" ? pick(CORRUPT_THEMES)
+      : CORRUPT_THEMES.find((t) => t.name === kind);
+    state.wave = ev.wave;
+    addPacket({ lane, valid, power, theme, speed: ev.speed });
+  }
+
+  function addPacket({ lane, valid, power, theme, speed = null }) {
+    const packet = {
+      id: nextId++,
+      lane, x: lanesX[lane], y: SPAWN_Y, size: pktSize,
+      valid,
+      power, // power-up id, or null
+      img: valid ? pick(VALID_LOGOS) : null,
+      theme, // for corrupted: gradient theme or jalokim image
+      speed, // px/s; null follows the stream speed
+      bornMs: state.timeMs,
+    };
+    state.packets.push(packet);
+    emit("spawn", packet);
+
+    recentLanes.push(lane);
+    if (recentLanes.length > RECENT_LANES) recentLanes.shift();
+  }
+
+  function end(reason) {
+    state.over = true;
+    state.reason = reason;
+  }
+
+  const invulnerable = () => state.timeMs < state.invulnUntilMs;
+
+  // product of `key` (speedScale, scoreScale) over the timed effects still running
+  function effectScale(key) {
+    let k = 1;
+    for (const id of Object.keys(state.effects)) k *= POWERUPS[id][key] ?? 1;
+    return k;
+  }
+
+  function activate(id) {
+    const def = POWERUPS[id];
+    if (def.durationMs > 0) state.effects[id] = state.timeMs + def.durationMs;
+    if (def.charges) state.shield += def.charges;
+    if (id === "purge") state.packets = state.packets.filter((p) => p.valid || p.power);
+  }
+
+  // returns false when the damage was absorbed by the post-hit grace period
+  function damage(amount) {
+    if (amount <= 0) return true;
+    if (invulnerable()) return false;
+    state.integrity = Math.max(0, state.integrity - amount);
+    state.invulnUntilMs = state.timeMs + rules.invulnMs;
+    if (rules.integrity > 0 && state.integrity === 0) end("integrity_depleted");
+    return true;
+  }
+
+  /** Advance game time by `dt` ms: spawn, fall, and charge misses at the floor. */
+  function step(dt = STEP_MS) {
+    if (state.over) return;
+    state.step++;
+    state.timeMs += dt;
+
+    for (const [id, untilMs] of Object.entries(state.effects)) {
+      if (state.timeMs >= untilMs) delete state.effects[id];
+    }
+
+    if (script) {
+      while (nextScripted < script.length && script[nextScripted].timeMs <= state.timeMs) {
+        spawnScripted(script[nextScripted++]);
+      }
+    } else if (state.timeMs - lastSpawnMs >= spawnIntervalAt(state.timeMs, tuning)) {
+      spawnPacket();
+      lastSpawnMs = state.timeMs;
+    }
+
+    // every packet falls at the current ramp speed, not the one it spawned with
+    // (levels have no ramp: their own speed, or the packet's scripted one)
+    const streamSpeed = level ? (level.speed ?? tuning.baseSpeed) : speedAt(state.timeMs, tuning);
+    const slow = effectScale("speedScale") * dt / 1000;
+    const arr = state.packets;
+    for (let i = arr.length - 1; i >= 0; i--) {
+      const p = arr[i];
+      p.y = Math.min(p.y + (p.speed ?? streamSpeed) * slow, floorY - p.size); // never cross line
+
+      if (p.y + p.size >= floorY) {
+        arr.splice(i, 1);
+        if (p.valid) {
+          state.score += SCORE_GREEN_MISS;
+          state.misses++;
+          state.streak = 0;
+          emit("miss", p);
+          damage(rules.missDamage);
+          if (rules.maxMisses > 0 && state.misses >= rules.maxMisses && !state.over) end("too_many_misses");
+          if (state.over) return;
+        } else if (!p.power) {
+          emit("dodge", p);
+        }
+      }
+    }
+
+    if (rules.timeLimitMs > 0 && state.timeMs >= rules.timeLimitMs) end("time_up");
+    else if (script && nextScripted === script.length && arr.length === 0) end("level_complete");
+  }
+
+  /** Pointer-down in board coordinates. Returns "hit", "corrupt", "shielded", "power" or null. */
+  function pointer(x, y) {
+    if (state.over) return null;
+    const cx = Math.round(x);
+    const cy = Math.round(y);
+    inputs.push([state.step, cx, cy]);
+    return resolve(hitTest(state.packets, cx, cy));
+  }
+
+  /**
+   * Lane press (keyboard / gamepad): acts on the lowest packet in the lane,
+   * verifying it if valid and taking the corrupted-click penalty if not.
+   */
+  function lane(index) {
+    if (state.over || !Number.isInteger(index) || index < 0 || index >= lanesX.length) return null;
+    inputs.push([state.step, index]);
+    return resolve(lowestInLane(state.packets, index));
+  }
+
+  // shared outcome of a click or lane press on packet i
+  function resolve(i) {
+    if (i < 0) return null;
+    const p = state.packets[i];
+    state.packets.splice(i, 1);
+    if (p.power) {
+      activate(p.power);
+      emit("power", p);
+      return "power";
+    }
+    if (!p.valid) {
+      state.corruptClicks++;
+      // the shield power-up takes the click whole: no damage, streak kept
+      if (state.shield > 0) {
+        state.shield--;
+        emit("shielded", p);
+        return "shielded";
+      }
+      state.streak = 0;
+      const hurt = damage(rules.corruptDamage);
+      emit(hurt ? "corrupt" : "shielded", p);
+      return hurt ? "corrupt" : "shielded";
+    }
+    state.score += Math.round(SCORE_PER_HIT * multiplierFor(state.streak) * effectScale("scoreScale"));
+    state.hits++;
+    state.streak++;
+    state.bestStreak = Math.max(state.bestStreak, state.streak);
+    state.reactionMsTotal += state.timeMs - p.bornMs;
+    emit("hit", p);
+    return "hit";
+  }
+
+  /** End-of-run numbers for the Game Over panel and the leaderboard. */
+  function stats() {
+    const attempts = state.hits + state.misses + state.corruptClicks;
+    return {
+      hits: state.hits,
+      misses: state.misses,
+      corruptClicks: state.corruptClicks,
+      bestStreak: state.bestStreak,
+      accuracy: attempts ? Math.round((state.hits / attempts) * 1000) / 1000 : 0,
+      avgReactionMs: state.hits ? Math.round(state.reactionMsTotal / state.hits) : 0,
+      survivalMs: Math.round(state.timeMs),
+    };
+  }
+
+  /** Everything the score service needs to replay this run. */
+  function run() {
+    return { v: RUN_VERSION, seed, w: width, h: height, pkt: pktSize, steps: state.step, inputs: inputs.slice() };
+  }
+
+  if (!script) for (let i = 0; i < OPENING_PACKETS; i++) spawnPacket();
+
+  return { state, step, pointer, lane, run, stats };
+}
@@ -0,0 +1,224 @@
+// src/game/engine.test.js — lane picking, collisions, scoring and replays (node --test)
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DEFAULT_RULES, DEFAULT_TUNING, POWERUPS, SCORE_GREEN_MISS, SCORE_PER_HIT, STEP_MS } from "./config.js";
+import { createEngine, hitTest, laneBlocked, multiplierFor, pickLane, speedAt } from "./engine.js";
+import { MODES } from "./modes.js";
+
+const BOARD = { width: 480, height: 720, pktSize: 48 };
+
+// rng stub returning `rolls` in order (then the last one forever); `calls` counts draws
+function stubRng(...rolls) {
+  const rng = () => rolls[Math.min(rng.calls++, rolls.length - 1)];
+  rng.calls = 0;
+  return rng;
+}
+
+const packet = (x, y, size = 48) => ({ x, y, size });
+const centre = (p) => [p.x + p.size / 2, p.y + p.size / 2];
+
+/* ============================== Pure helpers =============================== */
+describe("pickLane", () => {
+  test("re-rolls away from the last 3 lanes", () => {
+    const rng = stubRng(0.0, 1 / 6, 0.5);   // lanes 0, 1, then 3
+    assert.equal(pickLane(rng, 6, [5, 0, 1, 2]), 3);
+    assert.equal(rng.calls, 3);
+  });
+
+  test("only avoids the last 3, however many are recorded", () => {
+    const rng = stubRng(5 / 6);
+    assert.equal(pickLane(rng, 6, [5, 0, 1, 2]), 5);
+    assert.equal(rng.calls, 1);
+  });
+
+  test("settles for a recent lane after 3 re-rolls", () => {
+    const rng = stubRng(0);
+    assert.equal(pickLane(rng, 6, [0]), 0);
+    assert.equal(rng.calls, 4);
+  });
+});
+
+describe("laneBlocked", () => {
+  const others = [packet(100, 10)];
+  const gap = 48 * 1.1;
+
+  test("blocks a spawn closer than 1.1× the packet size in the same lane", () => {
+    assert.equal(laneBlocked(others, 100, 10 + gap - 0.1, 48), true);
+    assert.equal(laneBlocked(others, 100, 10 - gap + 0.1, 48), true);
+    assert.equal(laneBlocked(others, 100.5, 10, 48), true);
+  });
+
+  test("allows one at the gap or in another lane", () => {
+    assert.equal(laneBlocked(others, 100, 10 + gap, 48), false);
+    assert.equal(laneBlocked(others, 100, 10 - gap, 48), false);
+    assert.equal(laneBlocked(others, 101, 10, 48), false);
+    assert.equal(laneBlocked([], 100, 10, 48), false);
+  });
+});
+
+describe("hitTest", () => {
+  const packets = [packet(0, 0), packet(24, 24), packet(200, 200)];
+
+  test("finds the top-most packet under the point, edges included", () => {
+    assert.equal(hitTest(packets, 10, 10), 0);
+    assert.equal(hitTest(packets, 30, 30), 1);    // overlap: the later packet is drawn on top
+    assert.equal(hitTest(packets, 48, 48), 1);
+    assert.equal(hitTest(packets, 200, 248), 2);
+  });
+
+  test("misses between packets", () => {
+    assert.equal(hitTest(packets, 100, 100), -1);
+    assert.equal(hitTest(packets, 249, 200), -1);
+    assert.equal(hitTest([], 0, 0), -1);
+  });
+});
+
+/* ============================== Scoring ==================================== */
+describe("createEngine scoring", () => {
+  // no power-ups, so no score multipliers other than the streak's
+  const engineWith = (tuning, seed = 42) => createEngine({ ...BOARD, seed, tuning: { ...DEFAULT_TUNING, powerupChance: 0, ...tuning } });
+
+  // click the lowest packet on the board once there is one
+  function clickLowest(engine) {
+    while (!engine.state.packets.length) engine.step();
+    const lowest = engine.state.packets.reduce((a, b) => (b.y > a.y ? b : a));
+    return engine.pointer(...centre(lowest));
+  }
+
+  test("+10 per verified logo, times the streak multiplier", () => {
+    const engine = engineWith({ validChance: 1 });
+    const { state } = engine;
+    for (let i = 0; i < 12; i++) {
+      const before = state.score;
+      const mult = multiplierFor(state.streak);
+      assert.equal(clickLowest(engine), "hit");
+      assert.equal(state.score - before, SCORE_PER_HIT * mult);
+    }
+    // 5 at 1×, 5 at 2×, 2 at 3×
+    assert.equal(state.score, 5 * 10 + 5 * 20 + 2 * 30);
+    assert.equal(state.streak, 12);
+    assert.equal(multiplierFor(100), 4);
+  });
+
+  test("-5 for a logo reaching the floor, which ends the streak", () => {
+    const engine = engineWith({ validChance: 1 });
+    const { state } = engine;
+    for (let i = 0; i < 6; i++) clickLowest(engine);
+    const before = state.score;
+    while (!state.misses) engine.step();
+    assert.equal(SCORE_GREEN_MISS, -5);
+    assert.equal(state.score, before + SCORE_GREEN_MISS * state.misses);
+    assert.equal(state.streak, 0);
+    assert.equal(state.bestStreak, 6);
+  });
+
+  test("a corrupted click scores nothing and costs integrity", () => {
+    const engine = engineWith({ validChance: 0 });
+    const { state } = engine;
+    assert.equal(clickLowest(engine), "corrupt");
+    assert.equal(state.score, 0);
+    assert.equal(state.integrity, DEFAULT_RULES.integrity - 1);
+  });
+});
+
+/* ============================== Power-ups ================================== */
+describe("power-ups", () => {
+  // half power-ups, half corrupted packets, no logos
+  const engine = (seed = 7) => createEngine({ ...BOARD, seed, tuning: { ...DEFAULT_TUNING, validChance: 0, powerupChance: 0.5 } });
+
+  // step until a packet matching `pick` is on the board
+  function waitFor(e, pick) {
+    for (;;) {
+      const p = e.state.packets.find(pick);
+      if (p) return p;
+      e.step();
+    }
+  }
+  const grab = (e, id) => e.pointer(...centre(waitFor(e, (p) => p.power === id)));
+  const clickCorrupt = (e) => e.pointer(...centre(waitFor(e, (p) => !p.valid && !p.power)));
+
+  test("shield absorbs one corrupted click whole", () => {
+    const e = engine();
+    const { state } = e;
+    assert.equal(grab(e, "shield"), "power");
+    assert.equal(state.shield, POWERUPS.shield.charges);
+    const { integrity, streak } = state;
+    assert.equal(clickCorrupt(e), "shielded");
+    assert.equal(state.integrity, integrity);
+    assert.equal(state.streak, streak);
+    assert.equal(state.shield, 0);
+    assert.equal(state.corruptClicks, 1);
+    assert.equal(clickCorrupt(e), "corrupt");
+    assert.equal(state.integrity, integrity - 1);
+  });
+
+  test("purge clears every corrupted packet and leaves power-ups", () => {
+    const e = engine();
+    const { state } = e;
+    while (state.packets.filter((p) => !p.power).length < 2 || !state.packets.some((p) => p.power === "purge")) e.step();
+    const powers = state.packets.filter((p) => p.power && p.power !== "purge").length;
+    assert.equal(grab(e, "purge"), "power");
+    assert.equal(state.packets.filter((p) => !p.power).length, 0);
+    assert.equal(state.packets.length, powers);
+    assert.equal(state.integrity, DEFAULT_RULES.integrity);
+  });
+
+  test("slowmo halves the fall speed until it runs out", () => {
+    const e = engine();
+    const { state } = e;
+    const fall = () => {
+      const p = waitFor(e, (q) => !q.power && q.y < BOARD.height / 2);
+      const y = p.y;
+      e.step();
+      return { dy: p.y - y, expected: (speedAt(state.timeMs, DEFAULT_TUNING) * STEP_MS) / 1000 };
+    };
+    let { dy, expected } = fall();
+    assert.ok(Math.abs(dy - expected) < 1e-9);
+
+    assert.equal(grab(e, "slowmo"), "power");
+    const until = state.effects.slowmo;
+    assert.equal(until, state.timeMs + POWERUPS.slowmo.durationMs);
+    ({ dy, expected } = fall());
+    assert.ok(Math.abs(dy - expected * POWERUPS.slowmo.speedScale) < 1e-9);
+
+    while (state.timeMs < until) e.step();
+    assert.equal(state.effects.slowmo, undefined);
+    ({ dy, expected } = fall());
+    assert.ok(Math.abs(dy - expected) < 1e-9);
+  });
+});
+
+/* ============================== Replays ==================================== */
+describe("replay", () => {
+  test("the same seed and input log land on the same score", () => {
+    const { rules, tuning } = MODES.sprint;
+    const engine = createEngine({ ...BOARD, seed: 987654321, rules, tuning });
+    const { state } = engine;
+    // a scripted player: clicks packets that reach halfway, falling for two corrupted ones
+    while (!state.over) {
+      engine.step();
+      if (state.step % 7) continue;
+      const p = state.packets.find((q) => q.y > BOARD.height / 2 && (q.valid || state.corruptClicks < 2));
+      if (p) engine.pointer(...centre(p));
+    }
+    const run = engine.run();
+    assert.ok(run.inputs.length > 20);
+    assert.ok(state.hits > 0 && state.corruptClicks > 0);
+
+    const replay = createEngine({ ...BOARD, seed: run.seed, rules, tuning });
+    let next = 0;
+    // inputs logged at step N happened after N steps, before step N+1
+    for (let step = 0; step <= run.steps && !replay.state.over; step++) {
+      while (next < run.inputs.length && run.inputs[next][0] === step) {
+        const [, x, y] = run.inputs[next++];
+        replay.pointer(x, y);
+      }
+      if (step < run.steps) replay.step();
+    }
+    assert.equal(next, run.inputs.length);
+    assert.equal(replay.state.step, run.steps);
+    assert.equal(replay.state.reason, state.reason);
+    assert.equal(replay.state.score, state.score);
+    assert.deepEqual(replay.stats(), engine.stats());
+  });
+});
@@ -0,0 +1,152 @@
+// src/game/levels.js — hand-made stages: the JSON level format, its validator and the compiler the engine plays back
+//
+// A level is plain JSON:
+//
+//   {
+//     "id": "warmup",
+//     "name": "Warm-up",
+//     "description": "…",
+//     "speed": 220,                                  // default fall speed, px/s (no ramp in levels)
+//     "rules": { "integrity": 3 },                   // optional DEFAULT_RULES overrides
+//     "waves": [
+//       {
+//         "name": "Opening",
+//         "start": 0,                                // ms from level start
+//         "boss": false,                             // optional, shows a boss banner in the HUD
+//         "speed": 260,                              // optional, overrides the level speed
+//         "events": [
+//           { "t": 0, "lane": 2, "type": "valid" },
+//           { "t": 400, "lane": [0, 4], "type": "jalokim", "every": 200, "count": 6, "speed": 320 }
+//         ]
+//       }
+//     ]
+//   }
+//
+// An event spawns one packet `t` ms into its wave, or `count` packets `every`
+// ms apart. `lane` is 0–4, "random", or an array cycled per repeat. `type` is
+// "valid", "corrupt" (any theme), a theme name (blue, green, purple, jalokim),
+// "power" (weighted pick) or "power:<id>".
+import { CORRUPT_THEMES, DEFAULT_RULES, LANES, POWERUPS } from "./config.js";
+
+export const LEVEL_SPEED_MIN = 40;
+export const LEVEL_SPEED_MAX = 2000;
+export const LEVEL_EVENTS_MAX = 5000;     // after repeats are expanded
+
+const THEME_NAMES = CORRUPT_THEMES.map((t) => t.name);
+export const LEVEL_TYPES = [
+  "valid", "corrupt", ...THEME_NAMES, "power", ...Object.keys(POWERUPS).map((id) => `power:${id}`),
+];
+
+export class LevelError extends Error {
+  constructor(errors) {
+    super(`invalid level:\n  ${errors.join("\n  ")}`);
+    this.name = "LevelError";
+    this.errors = errors;
+  }
+}
+
+/* ============================== Validator ================================== */
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isLane = (v) => v === "random" || (Number.isInteger(v) && v >= 0 && v < LANES);
+
+/** Every problem with `level`, as "path: message" strings; empty when it is valid. */
+export function validateLevel(level) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+  const speed = (path, v) => {
+    if (v != null && !(typeof v === "number" && v >= LEVEL_SPEED_MIN && v <= LEVEL_SPEED_MAX)) {
+      err(path, `must be a number of px/s between ${LEVEL_SPEED_MIN} and ${LEVEL_SPEED_MAX}`);
+    }
+  };
+  const ms = (path, v, { required = false } = {}) => {
+    if (v == null ? required : !(Number.isFinite(v) && v >= 0)) err(path, "must be a number of ms >= 0");
+  };
+
+  if (!isObj(level)) return ["level: must be a JSON object"];
+  if (typeof level.id !== "string" || !/^[a-z0-9-]{1,40}$/.test(level.id)) err("id", "must be 1–40 of a-z, 0-9 and -");
+  if (typeof level.name !== "string" || !level.name.trim()) err("name", "is required");
+  if (level.description != null && typeof level.description !== "string") err("description", "must be a string");
+  speed("speed", level.speed);
+
+  if (level.rules != null) {
+    if (!isObj(level.rules)) err("rules", "must be an object");
+    else {
+      for (const [key, v] of Object.entries(level.rules)) {
+        if (!Object.hasOwn(DEFAULT_RULES, key)) err(`rules.${key}`, `unknown rule (one of ${Object.keys(DEFAULT_RULES).join(", ")})`);
+        else if (!Number.isInteger(v) || v < 0) err(`rules.${key}`, "must be an integer >= 0");
+      }
+    }
+  }
+
+  if (!Array.isArray(level.waves) || level.waves.length === 0) {
+    err("waves", "must be a non-empty array");
+    return errors;
+  }
+
+  let total = 0;
+  level.waves.forEach((wave, w) => {
+    const wp = `waves[${w}]`;
+    if (!isObj(wave)) return err(wp, "must be an object");
+    if (wave.name != null && typeof wave.name !== "string") err(`${wp}.name`, "must be a string");
+    if (wave.boss != null && typeof wave.boss !== "boolean") err(`${wp}.boss`, "must be true or false");
+    ms(`${wp}.start`, wave.start, { required: true });
+    speed(`${wp}.speed`, wave.speed);
+    if (!Array.isArray(wave.events) || wave.events.length === 0) return err(`${wp}.events`, "must be a non-empty array");
+
+    wave.events.forEach((ev, e) => {
+      const ep = `${wp}.events[${e}]`;
+      if (!isObj(ev)) return err(ep, "must be an object");
+      ms(`${ep}.t`, ev.t, { required: true });
+      if (Array.isArray(ev.lane) ? ev.lane.length === 0 || !ev.lane.every(isLane) : !isLane(ev.lane)) {
+        err(`${ep}.lane`, `must be 0–${LANES - 1}, "random", or a non-empty array of those`);
+      }
+      if (!LEVEL_TYPES.includes(ev.type)) err(`${ep}.type`, `must be one of ${LEVEL_TYPES.join(", ")}`);
+      speed(`${ep}.speed`, ev.speed);
+      if (ev.count != null && !(Number.isInteger(ev.count) && ev.count >= 1)) err(`${ep}.count`, "must be an integer >= 1");
+      if (ev.count > 1) ms(`${ep}.every`, ev.every, { required: true });
+      else if (ev.every != null) ms(`${ep}.every`, ev.every);
+      total += Number.isInteger(ev.count) ? ev.count : 1;
+    });
+  });
+  if (total > LEVEL_EVENTS_MAX) err("waves", `expand to ${total} spawns, more than ${LEVEL_EVENTS_MAX}`);
+
+  return errors;
+}
+
+/** Returns `level` when it is valid; otherwise throws a LevelError listing every problem. */
+export function parseLevel(level) {
+  const errors = validateLevel(level);
+  if (errors.length) throw new LevelError(errors);
+  return level;
+}
+
+/* ============================== Compiler =================================== */
+/**
+ * Flattens a valid level into the spawn script the engine plays back, sorted by
+ * time: { timeMs, lane, type, speed, wave }. Lanes may still be "random"; the
+ * engine resolves those with its seeded rng so a level replays like any run.
+ */
+export function compileLevel(level) {
+  const script = [];
+  level.waves.forEach((wave, w) => {
+    for (const ev of wave.events) {
+      const count = ev.count ?? 1;
+      for (let k = 0; k < count; k++) {
+        script.push({
+          timeMs: wave.start + ev.t + k * (ev.every ?? 0),
+          lane: Array.isArray(ev.lane) ? ev.lane[k % ev.lane.length] : ev.lane,
+          type: ev.type,
+          speed: ev.speed ?? wave.speed ?? null,
+          wave: w,
+        });
+      }
+    }
+  });
+  // stable sort keeps authoring order for events at the same instant
+  return script.sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/** Run rules for a level: DEFAULT_RULES plus the level's overrides. */
+export function levelRules(level) {
+  return { ...DEFAULT_RULES, ...level.rules };
+}
@@ -0,0 +1,94 @@
+// src/game/levels.test.js — the level format's validator and compiler (node --test)
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+import { describe, test } from "node:test";
+import { DEFAULT_RULES } from "./config.js";
+import { compileLevel, LEVEL_EVENTS_MAX, LevelError, levelRules, parseLevel, validateLevel } from "./levels.js";
+
+const LEVEL_DIR = new URL("../levels/", import.meta.url);
+
+const level = (over = {}) => ({
+  id: "test-level",
+  name: "Test",
+  speed: 200,
+  waves: [{ start: 0, events: [{ t: 0, lane: 2, type: "valid" }] }],
+  ...over,
+});
+const withEvent = (ev) => level({ waves: [{ start: 0, events: [{ t: 0, lane: 0, type: "valid", ...ev }] }] });
+
+/* ============================== Validator ================================== */
+describe("validateLevel", () => {
+  test("accepts every bundled level", async () => {
+    const files = (await readdir(LEVEL_DIR)).filter((f) => f.endsWith(".json"));
+    assert.ok(files.length > 0);
+    for (const file of files) {
+      const json = JSON.parse(await readFile(new URL(file, LEVEL_DIR), "utf8"));
+      assert.deepEqual(validateLevel(json), [], file);
+    }
+  });
+
+  test("accepts lane arrays, random lanes, themes and power-ups", () => {
+    assert.deepEqual(validateLevel(withEvent({ lane: [0, 4], type: "jalokim", count: 3, every: 100 })), []);
+    assert.deepEqual(validateLevel(withEvent({ lane: "random", type: "power:shield", speed: 500 })), []);
+    assert.deepEqual(validateLevel(level({ rules: { integrity: 1 } })), []);
+  });
+
+  test("names the path of every problem", () => {
+    const errors = validateLevel({
+      id: "Bad Id",
+      name: "",
+      speed: 5,
+      rules: { lives: 3, integrity: -1 },
+      waves: [
+        { start: -1, events: [] },
+        { start: 0, boss: "yes", events: [{ t: 0, lane: 5, type: "red", count: 2 }] },
+      ],
+    });
+    const paths = errors.map((e) => e.split(":")[0]);
+    assert.deepEqual(paths, [
+      "id", "name", "speed", "rules.lives", "rules.integrity",
+      "waves[0].start", "waves[0].events",
+      "waves[1].boss", "waves[1].events[0].lane", "waves[1].events[0].type", "waves[1].events[0].every",
+    ]);
+  });
+
+  test("needs an object with waves", () => {
+    assert.deepEqual(validateLevel(null), ["level: must be a JSON object"]);
+    assert.deepEqual(validateLevel([]), ["level: must be a JSON object"]);
+    assert.match(validateLevel(level({ waves: [] })).join(), /^waves: must be a non-empty array/);
+  });
+
+  test("caps the number of spawns once repeats are expanded", () => {
+    const errors = validateLevel(withEvent({ count: LEVEL_EVENTS_MAX + 1, every: 10 }));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^waves: expand to \d+ spawns/);
+  });
+
+  test("parseLevel throws a LevelError listing them all", () => {
+    assert.equal(parseLevel(level()).id, "test-level");
+    assert.throws(() => parseLevel(level({ id: "", name: "" })), (err) => err instanceof LevelError && err.errors.length === 2);
+  });
+});
+
+/* ============================== Compiler =================================== */
+describe("compileLevel", () => {
+  test("expands repeats, cycles lanes and sorts by time", () => {
+    const script = compileLevel(level({
+      waves: [
+        { start: 1000, speed: 300, events: [{ t: 0, lane: [1, 3], type: "blue", count: 3, every: 250 }] },
+        { start: 0, events: [{ t: 600, lane: "random", type: "valid", speed: 150 }] },
+      ],
+    }));
+    assert.deepEqual(script, [
+      { timeMs: 600, lane: "random", type: "valid", speed: 150, wave: 1 },
+      { timeMs: 1000, lane: 1, type: "blue", speed: 300, wave: 0 },
+      { timeMs: 1250, lane: 3, type: "blue", speed: 300, wave: 0 },
+      { timeMs: 1500, lane: 1, type: "blue", speed: 300, wave: 0 },
+    ]);
+  });
+
+  test("level rules override the defaults", () => {
+    assert.deepEqual(levelRules(level({ rules: { integrity: 1 } })), { ...DEFAULT_RULES, integrity: 1 });
+    assert.deepEqual(levelRules(level()), DEFAULT_RULES);
+  });
+});
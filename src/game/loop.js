@@ -0,0 +1,48 @@
+// src/game/loop.js — drives an engine from real frame time
+import { MAX_FRAME_MS, STEP_MS } from "./config.js";
+
+/* ============================== Fixed-step loop ============================ */
+// Measures the real delta between frames, clamps long gaps (tab switches,
+// debugger pauses) and feeds the engine whole STEP_MS steps. Game speed is the
+// same at 30, 60 or 144 Hz, and the step count stays replayable on the server.
+export function createLoop({
+  step,
+  onFrame,
+  clock = () => performance.now(),
+  schedule = (cb) => requestAnimationFrame(cb),
+  cancel = (id) => cancelAnimationFrame(id),
+}) {
+  let handle = 0;
+  let running = false;
+  let last = 0;
+  let acc = 0;
+
+  function frame() {
+    if (!running) return;
+    const t = clock();
+    acc += Math.min(t - last, MAX_FRAME_MS);
+    last = t;
+
+    while (acc >= STEP_MS && running) {
+      acc -= STEP_MS;
+      if (step() === false) running = false;
+    }
+    onFrame?.();
+    if (running) handle = schedule(frame);
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      last = clock();
+      acc = 0;
+      handle = schedule(frame);
+    },
+    stop() {
+      running = false;
+      cancel(handle);
+    },
+    get running() { return running; },
+  };
+}
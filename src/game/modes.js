@@ -0,0 +1,111 @@
+// src/game/modes.js — game mode definitions shared by the client and the score service
+import { DEFAULT_RULES, DEFAULT_TUNING } from "./config.js";
+
+/* ============================== Modes ====================================== */
+// A mode supplies the run rules and stream tuning the engine is built with.
+// `ranked` modes have a leaderboard; `daily` ones share one seed per UTC day.
+export const MODES = {
+  endless: {
+    id: "endless",
+    label: "Endless",
+    blurb: "The classic: the stream keeps speeding up until your integrity runs out.",
+    ranked: true,
+    rules: DEFAULT_RULES,
+    tuning: DEFAULT_TUNING,
+  },
+  sprint: {
+    id: "sprint",
+    label: "Sprint",
+    blurb: "60 seconds, steeper ramp. Score as much as you can.",
+    ranked: true,
+    rules: { ...DEFAULT_RULES, timeLimitMs: 60_000 },
+    tuning: { ...DEFAULT_TUNING, speedRampPerMin: 1.4, spawnAccelPerMin: 520 },
+  },
+  zen: {
+    id: "zen",
+    label: "Zen",
+    blurb: "Practice. No integrity loss, gentle pace, no leaderboard.",
+    ranked: false,
+    rules: { ...DEFAULT_RULES, integrity: 0, corruptDamage: 0 },
+    tuning: { ...DEFAULT_TUNING, speedRampPerMin: 0.15, spawnAccelPerMin: 80 },
+  },
+  daily: {
+    id: "daily",
+    label: "Daily",
+    blurb: "Everyone gets the same packet stream today.",
+    ranked: true,
+    daily: true,
+    rules: DEFAULT_RULES,
+    tuning: DEFAULT_TUNING,
+  },
+  levels: {
+    id: "levels",
+    label: "Levels",
+    blurb: "Hand-made stages. Clear one to unlock the next.",
+    ranked: false,
+    levels: true,     // stream comes from a level script (levels.js), rules from the level
+    rules: DEFAULT_RULES,
+    tuning: DEFAULT_TUNING,
+  },
+  race: {
+    id: "race",
+    label: "Race",
+    blurb: "2–4 players, one room code, the same packet stream for 2 minutes. Ranked once every run is over, highest verified score first.",
+    ranked: false,
+    race: { minPlayers: 2, maxPlayers: 4 },   // played through the race lobby (server/race.js)
+    rules: { ...DEFAULT_RULES, timeLimitMs: 120_000 },
+    tuning: { ...DEFAULT_TUNING, speedRampPerMin: 1.1, spawnAccelPerMin: 420 },
+  },
+};
+
+export const MODE_IDS = Object.keys(MODES);
+export const DEFAULT_MODE = "endless";
+
+/* ============================== Assists ==================================== */
+// Reduced-motion play slows the difficulty ramp. It changes the packet stream,
+// so the score service applies the same factor when it replays the run.
+export const REDUCED_MOTION_RAMP = 0.5;
+
+/**
+ * Stream tuning for a run: the mode's tuning, then any operator overrides for
+ * that mode ({ [modeId]: { key: value } }, see TUNING_LIMITS), then assists.
+ */
+export function tuningFor(mode, { reducedMotion = false } = {}, overrides = null) {
+  const tuning = overrides?.[mode.id] ? { ...mode.tuning, ...overrides[mode.id] } : mode.tuning;
+  if (!reducedMotion) return tuning;
+  return {
+    ...tuning,
+    speedRampPerMin: tuning.speedRampPerMin * REDUCED_MOTION_RAMP,
+    spawnAccelPerMin: tuning.spawnAccelPerMin * REDUCED_MOTION_RAMP,
+  };
+}
+
+/* ============================== Live tuning ================================ */
+// What an operator may change without a redeploy (admin dashboard), and the
+// allowed range of each. Levels play a script and races must be the same for
+// every player in the room, so neither takes overrides.
+export const TUNING_LIMITS = {
+  validChance:      { min: 0,   max: 1,    step: 0.01 },
+  powerupChance:    { min: 0,   max: 0.5,  step: 0.01 },
+  baseSpeed:        { min: 40,  max: 2000, step: 10 },
+  speedRampPerMin:  { min: 0,   max: 5,    step: 0.05 },
+  spawnBaseMs:      { min: 60,  max: 5000, step: 10 },
+  spawnMinMs:       { min: 30,  max: 5000, step: 10 },
+  spawnAccelPerMin: { min: 0,   max: 5000, step: 10 },
+};
+export const TUNABLE_MODES = MODE_IDS.filter((id) => !MODES[id].levels && !MODES[id].race);
+
+/** UTC calendar day, "YYYY-MM-DD". */
+export function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** Seed for the Daily Challenge of `day` (FNV-1a of the day key). */
+export function dailySeed(day) {
+  let h = 0x811c9dc5;
+  for (const ch of `daily:${day}`) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,54 @@
+// src/game/replay.js — re-simulates a recorded run (engine.run()) step by step
+import { createEngine } from "./engine.js";
+import { tuningFor } from "./modes.js";
+
+/**
+ * Replays `run` in `mode` with the live tuning `overrides` it was played under.
+ * The score service steps it to the end to verify a submission; the replay
+ * viewer steps it in real time and seeks back by starting over (runs are a
+ * few thousand steps, so that's cheap). `engine` is replaced on every rewind.
+ */
+export function createReplay({ mode, run, overrides = null, onEvent }) {
+  const tuning = tuningFor(mode, run.assist, overrides);
+  let engine = null;
+  let next = 0;   // index of the next input to apply
+
+  // inputs logged at step N happened after N steps, before step N+1
+  function applyInputs() {
+    const { state } = engine;
+    while (next < run.inputs.length && run.inputs[next][0] === state.step && !state.over) {
+      const ev = run.inputs[next++];
+      if (ev.length === 3) engine.pointer(ev[1], ev[2]);
+      else engine.lane(ev[1]);
+    }
+  }
+
+  function rewind() {
+    engine = createEngine({ seed: run.seed, width: run.w, height: run.h, pktSize: run.pkt, rules: mode.rules, tuning, onEvent });
+    next = 0;
+    applyInputs();
+  }
+
+  /** One step; false once the run is over or its logged length is reached. */
+  function advance() {
+    if (engine.state.over || engine.state.step >= run.steps) return false;
+    engine.step();
+    applyInputs();
+    return true;
+  }
+
+  rewind();
+  return {
+    get engine() { return engine; },
+    get state() { return engine.state; },
+    /** Inputs the replay hasn't reached (or that came after the run ended). */
+    get pending() { return run.inputs.length - next; },
+    advance,
+
+    /** Jump to `step`, starting over when it lies behind the current one. */
+    seek(step) {
+      if (step < engine.state.step) rewind();
+      while (engine.state.step < step && advance());
+    },
+  };
+}
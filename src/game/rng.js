@@ -0,0 +1,19 @@
+// src/game/rng.js
+
+/* ============================== Seeded RNG ================================= */
+// mulberry32 — tiny, fast and identical in every JS engine, so the client and
+// the score service draw the same packet stream from the same seed.
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
@@ -0,0 +1,39 @@
+// src/input/gamepad.js — Gamepad API polling for lane controls
+
+// Standard mapping: LB, X, A, B, RB cover lanes 1–5 left to right; Start pauses.
+export const GAMEPAD_LANE_BUTTONS = [4, 2, 0, 1, 5];
+export const GAMEPAD_PAUSE_BUTTON = 9;
+
+/* ============================== Poller ===================================== */
+// The Gamepad API has no button events, so poll every frame and report
+// rising edges (button went down since the last poll) from any connected pad.
+export function createGamepadPoller({ onLane, onPause }) {
+  let handle = 0;
+  const prev = new Map();   // pad index → pressed[] from the last poll
+
+  function poll() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const pad of pads) {
+      if (!pad) continue;
+      const was = prev.get(pad.index) || [];
+      const now = pad.buttons.map((b) => b.pressed);
+      const edge = (i) => now[i] && !was[i];
+
+      GAMEPAD_LANE_BUTTONS.forEach((btn, lane) => { if (edge(btn)) onLane(lane); });
+      if (edge(GAMEPAD_PAUSE_BUTTON)) onPause();
+      prev.set(pad.index, now);
+    }
+    handle = requestAnimationFrame(poll);
+  }
+
+  return {
+    start() {
+      if (!handle) handle = requestAnimationFrame(poll);
+    },
+    stop() {
+      cancelAnimationFrame(handle);
+      handle = 0;
+      prev.clear();
+    },
+  };
+}
@@ -0,0 +1,10 @@
+// src/levels/index.js — bundled levels, in unlock order
+import { parseLevel } from "../game/levels.js";
+import warmup from "./01-warmup.json";
+import bursts from "./02-bursts.json";
+import lanes from "./03-lanes.json";
+import jalokim from "./04-jalokim.json";
+import boss from "./05-boss.json";
+
+// parseLevel throws at import, so a broken level shows up as soon as the page loads, not mid-run
+export const LEVELS = [warmup, bursts, lanes, jalokim, boss].map(parseLevel);
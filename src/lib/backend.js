@@ -0,0 +1,4 @@
+// src/lib/backend.js — where the score service lives (VITE_API, else :8787 on the page's host)
+const HOST = typeof window !== "undefined" ? window.location.hostname : "localhost";
+
+export const BACKEND = (import.meta.env.VITE_API || `http://${HOST}:8787`).replace(/\/+$/, "");
@@ -0,0 +1,39 @@
+// src/lib/gameConfig.js — live tuning overrides set from the admin dashboard
+//
+// GET /config answers { version, tuning } where tuning is { [modeId]: { key: value } }
+// (see TUNING_LIMITS in src/game/modes.js). Runs are played with the overrides
+// and report `version` so the score service replays them the same way. The last
+// copy is kept for offline play; version 0 means no overrides.
+import { useEffect, useState } from "react";
+import { BACKEND } from "./backend.js";
+
+const CACHE_KEY = "rsdd.config";
+const NO_CONFIG = { version: 0, tuning: {} };
+
+function cached() {
+  try {
+    const j = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return Number.isInteger(j?.version) && j.tuning ? j : NO_CONFIG;
+  } catch {
+    return NO_CONFIG;
+  }
+}
+
+/** Current overrides; re-fetched whenever `refreshKey` changes (e.g. before each run). */
+export function useGameConfig(refreshKey) {
+  const [config, setConfig] = useState(cached);
+  useEffect(() => {
+    if (!BACKEND) return;
+    let alive = true;
+    fetch(`${BACKEND}/config`, { cache: "no-store" })
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+      .then((j) => {
+        if (!alive || !Number.isInteger(j?.version)) return;
+        setConfig(j);
+        try { localStorage.setItem(CACHE_KEY, JSON.stringify(j)); } catch { /* ignore */ }
+      })
+      .catch(() => { /* offline: keep the cached copy */ });
+    return () => { alive = false; };
+  }, [refreshKey]);
+  return config;
+}
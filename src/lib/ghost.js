@@ -0,0 +1,36 @@
+// src/lib/ghost.js — your personal best's score curve per board, raced as a "ghost" during play
+//
+// A curve is the score every GHOST_SAMPLE_STEPS engine steps (half a second of
+// game time). Only the best run per board is kept, in localStorage.
+import { STEP_MS } from "../game/config.js";
+
+const STORAGE_KEY = "rsdd.ghost";
+
+export const GHOST_SAMPLE_STEPS = Math.round(500 / STEP_MS);
+
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/** Personal best on `board` (a mode id, `daily:<day>` or `levels:<level id>`): { score, curve } or null. */
+export function loadGhost(board) {
+  const g = loadAll()[board];
+  return g && Number.isInteger(g.score) && Array.isArray(g.curve) ? g : null;
+}
+
+/** Keep the run when it beats the stored best; returns whether it did. */
+export function saveGhost(board, score, curve) {
+  const all = loadAll();
+  if (all[board] && all[board].score >= score) return false;
+  all[board] = { score, curve };
+  // yesterday's Daily can't be played again
+  if (board.startsWith("daily:")) for (const key of Object.keys(all)) if (key.startsWith("daily:") && key !== board) delete all[key];
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch { /* ignore */ }
+  return true;
+}
@@ -0,0 +1,44 @@
+// src/lib/liveBoard.js — live leaderboard: SSE from /scores/stream, polling when that isn't available
+
+const POLL_MS = 15_000;
+
+/**
+ * Streams `streamUrl` (GET /scores/stream?…) and calls onBoard({ scores, … })
+ * for every push. Without EventSource, or once the stream gives up (e.g. an
+ * older score service without the endpoint), falls back to calling poll()
+ * every POLL_MS. onStatus hears "live" | "polling". Returns an unsubscribe.
+ */
+export function subscribeBoard(streamUrl, { onBoard, poll, onStatus }) {
+  let source = null;
+  let timer = 0;
+
+  function startPolling() {
+    source?.close();
+    source = null;
+    if (timer) return;
+    onStatus?.("polling");
+    timer = setInterval(poll, POLL_MS);
+  }
+
+  if (typeof EventSource === "function") {
+    source = new EventSource(streamUrl);
+    source.addEventListener("open", () => onStatus?.("live"));
+    source.addEventListener("board", (e) => {
+      try {
+        onBoard(JSON.parse(e.data));
+      } catch { /* ignore a malformed push */ }
+    });
+    // EventSource reconnects on its own after a dropped connection; CLOSED
+    // means it won't (non-200 answer, wrong content type), so poll instead
+    source.addEventListener("error", () => {
+      if (source?.readyState === EventSource.CLOSED) startPolling();
+    });
+  } else {
+    startPolling();
+  }
+
+  return () => {
+    source?.close();
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,139 @@
+// src/lib/outbox.js — score submissions that survive a dead network (IndexedDB queue + retry)
+//
+// submitScore() posts straight away when it can. If the request never reaches
+// the server, or the server errors (5xx), the payload is parked in IndexedDB
+// and resent with exponential backoff, immediately whenever the browser comes
+// back online. A 4xx is the server's final answer (bad claim, duplicate run),
+// so it is never retried.
+
+const DB_NAME    = "rsdd";
+const DB_VERSION = 1;
+const STORE      = "outbox";
+
+const SEND_TIMEOUT_MS = 4_000;
+const RETRY_BASE_MS   = 2_000;
+const RETRY_MAX_MS    = 5 * 60_000;
+
+/* ============================== IndexedDB ================================== */
+let dbPromise = null;
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// run fn(store) in one transaction; resolves with the last request's result once it commits
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const allQueued = () => withStore("readonly", (s) => s.getAll());
+const putQueued = (item) => withStore("readwrite", (s) => s.put(item));
+const dropQueued = (id) => withStore("readwrite", (s) => s.delete(id));
+
+/* ============================== Sending ==================================== */
+// "sent" | "rejected" (4xx, with the server's error and code) | "failed" (network or 5xx)
+async function send(url, body) {
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+    if (res.ok) return { status: "sent" };
+    if (res.status >= 400 && res.status < 500) {
+      const j = await res.json().catch(() => null);
+      return { status: "rejected", error: j?.error ?? `HTTP ${res.status}`, code: j?.code ?? null };
+    }
+    return { status: "failed" };
+  } catch {
+    return { status: "failed" };
+  }
+}
+
+const backoff = (tries) => Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** tries);
+
+/**
+ * POST `body` to `url` now, or queue it. Resolves to { status, error?, code? } where
+ * status is "sent", "rejected" or "queued".
+ */
+export async function submitScore(url, body) {
+  const res = await send(url, body);
+  if (res.status !== "failed") return res;
+  try {
+    await putQueued({ url, body, tries: 0, nextAt: Date.now() + RETRY_BASE_MS, queuedAt: Date.now() });
+    outboxChanged();
+    return { status: "queued" };
+  } catch {
+    return { status: "failed" };   // no IndexedDB (private mode): nothing more we can do
+  }
+}
+
+/* ============================== Retry loop ================================= */
+const listeners = new Set();
+async function outboxChanged() {
+  const n = (await allQueued().catch(() => [])).length;
+  listeners.forEach((fn) => fn(n));
+  schedule();
+}
+
+let timer = 0;
+let flushing = false;
+
+async function flush({ force = false } = {}) {
+  if (flushing) return;
+  flushing = true;
+  try {
+    const now = Date.now();
+    for (const item of await allQueued()) {
+      if (!force && item.nextAt > now) continue;
+      const res = await send(item.url, item.body);
+      if (res.status === "failed") {
+        await putQueued({ ...item, tries: item.tries + 1, nextAt: Date.now() + backoff(item.tries + 1) });
+      } else {
+        await dropQueued(item.id);
+      }
+    }
+  } catch { /* IndexedDB unavailable */ }
+  flushing = false;
+  outboxChanged();
+}
+
+async function schedule() {
+  clearTimeout(timer);
+  if (!listeners.size) return;
+  const items = await allQueued().catch(() => []);
+  if (!items.length) return;
+  const next = Math.min(...items.map((i) => i.nextAt));
+  timer = setTimeout(flush, Math.max(0, next - Date.now()));
+}
+
+const onOnline = () => flush({ force: true });
+
+/**
+ * Start retrying queued scores; onCount(n) hears the queue length on every
+ * change. Returns a function that stops listening.
+ */
+export function watchOutbox(onCount) {
+  listeners.add(onCount);
+  if (listeners.size === 1) window.addEventListener("online", onOnline);
+  outboxChanged();
+  return () => {
+    listeners.delete(onCount);
+    if (!listeners.size) {
+      window.removeEventListener("online", onOnline);
+      clearTimeout(timer);
+    }
+  };
+}
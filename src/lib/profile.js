@@ -0,0 +1,90 @@
+// src/lib/profile.js — this device's player profile and run history (localStorage)
+//
+// A profile is a random id plus a secret token, sent with every score. The
+// first score claims the id on the score service (server/profiles.js), so two
+// players called Alex get their own leaderboard rows, and renaming keeps the
+// row. The history is every finished run on this device, ranked or not, and
+// `badges` the achievements it earned (src/game/achievements.js) with when. A
+// transfer code (id + token) carries the profile to another device; the
+// history and badges stay behind.
+import { useCallback, useEffect, useState } from "react";
+import { BACKEND } from "./backend.js";
+
+const PROFILE_KEY = "rsdd.profile";
+const HISTORY_KEY = "rsdd.history";
+const HISTORY_MAX = 500;   // oldest runs are dropped past this
+
+// crypto.getRandomValues works on plain http too (booth laptops on a LAN IP), unlike randomUUID
+const randomHex = (bytes) =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (b) => b.toString(16).padStart(2, "0")).join("");
+const newProfile = () => ({ id: randomHex(16), token: randomHex(24), name: "", since: Date.now(), badges: {} });
+
+function read(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+function write(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch { /* ignore */ }
+}
+
+function loadProfile() {
+  const p = read(PROFILE_KEY);
+  return p && /^[a-f0-9]{32}$/.test(p.id) && typeof p.token === "string" ? { badges: {}, ...p } : newProfile();
+}
+const loadHistory = () => {
+  const h = read(HISTORY_KEY);
+  return Array.isArray(h) ? h : [];
+};
+
+/** The id and token together, to enter on another device. */
+export const transferCode = (p) => `${p.id}.${p.token}`;
+
+/**
+ * { profile, history } plus: rename(name), which also renames the profile's
+ * leaderboard rows; addRun(run); earn(id) for a new badge; reset() for a new
+ * player on this device; and adopt(code), which switches to a transfer code's
+ * profile (false when malformed).
+ */
+export function useProfile() {
+  const [profile, setProfile] = useState(loadProfile);
+  const [history, setHistory] = useState(loadHistory);
+  useEffect(() => write(PROFILE_KEY, profile), [profile]);
+  useEffect(() => write(HISTORY_KEY, history), [history]);
+
+  const rename = useCallback((name) => {
+    if (name === profile.name) return;
+    setProfile({ ...profile, name });
+    // best effort: a profile with no scores yet answers 404, and the next score renames it anyway
+    fetch(`${BACKEND}/profile`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ player: { id: profile.id, token: profile.token }, name }),
+    }).catch(() => { /* offline */ });
+  }, [profile]);
+
+  const addRun = useCallback((run) => setHistory((h) => [...h, run].slice(-HISTORY_MAX)), []);
+
+  const earn = useCallback((id) => {
+    setProfile((p) => (p.badges[id] ? p : { ...p, badges: { ...p.badges, [id]: Date.now() } }));
+  }, []);
+
+  const reset = useCallback(() => {
+    setProfile(newProfile());
+    setHistory([]);
+  }, []);
+
+  const adopt = useCallback((code) => {
+    const m = /^([a-f0-9]{32})\.([\w-]{16,128})$/.exec(code.trim());
+    if (!m) return false;
+    if (m[1] !== profile.id) {
+      setProfile({ ...profile, id: m[1], token: m[2], since: Date.now(), badges: {} });
+      setHistory([]);
+    }
+    return true;
+  }, [profile]);
+
+  return { profile, history, rename, addRun, earn, reset, adopt };
+}
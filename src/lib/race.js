@@ -0,0 +1,113 @@
+// src/lib/race.js — head-to-head races over the score service's WebSocket (server/race.js has the protocol)
+import { useEffect, useMemo, useState } from "react";
+import { BACKEND } from "./backend.js";
+
+const RACE_URL    = `${BACKEND.replace(/^http/, "ws")}/race`;
+const PROGRESS_MS = 250;   // live score reports while racing
+
+/**
+ * One race connection for the app. `room` mirrors the server's room message
+ * with opponents' live scores merged in; `started` is a fresh { seed,
+ * countdownMs } each time the host starts a race; `results` is the final
+ * ranking. The socket opens on create/join and closes on leave.
+ */
+export function useRace() {
+  const [status, setStatus] = useState("idle");   // idle | connecting | open | closed
+  const [room, setRoom] = useState(null);
+  const [started, setStarted] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);       // { message, code? }
+
+  const actions = useMemo(() => {
+    let ws = null;
+    let sentAt = 0;
+
+    const patchPlayer = (id, patch) =>
+      setRoom((r) => r && { ...r, players: r.players.map((p) => (p.id === id ? { ...p, ...patch } : p)) });
+
+    function handle(msg) {
+      switch (msg.type) {
+        case "room":
+          setRoom(msg);
+          if (msg.state === "lobby") setResults(null);
+          break;
+        case "start":
+          setResults(null);
+          setStarted({ seed: msg.seed, countdownMs: msg.countdownMs });
+          break;
+        case "progress":
+          patchPlayer(msg.id, { score: msg.score, integrity: msg.integrity });
+          break;
+        case "eliminated":
+          patchPlayer(msg.id, { score: msg.score, alive: false, reason: msg.reason });
+          break;
+        case "results":
+          setResults(msg.ranking);
+          break;
+        case "error":
+          setError({ message: msg.error, code: msg.code });
+          break;
+      }
+    }
+
+    function open() {
+      const socket = new WebSocket(RACE_URL);
+      ws = socket;
+      setStatus("connecting");
+      socket.addEventListener("open", () => setStatus("open"));
+      socket.addEventListener("message", (e) => {
+        try {
+          handle(JSON.parse(e.data));
+        } catch { /* ignore a malformed message */ }
+      });
+      socket.addEventListener("close", () => {
+        if (ws !== socket) return;   // closed by leave()
+        ws = null;
+        setStatus("closed");
+        setRoom(null);
+        setError((e) => e ?? { message: "Lost the connection to the race server." });
+      });
+      return socket;
+    }
+
+    // create / join open the socket when needed; everything else needs a room
+    function connectAndSend(msg) {
+      setError(null);
+      const socket = ws ?? open();
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+      else socket.addEventListener("open", () => socket.send(JSON.stringify(msg)), { once: true });
+    }
+    const send = (msg) => ws?.readyState === WebSocket.OPEN && ws.send(JSON.stringify(msg));
+
+    return {
+      create: (name) => connectAndSend({ type: "create", name }),
+      join: (code, name) => connectAndSend({ type: "join", code, name }),
+      start: () => send({ type: "start" }),
+      /** Throttled live score; call every frame. */
+      progress(score, integrity) {
+        const now = Date.now();
+        if (now - sentAt < PROGRESS_MS) return;
+        sentAt = now;
+        send({ type: "progress", score, integrity });
+      },
+      over: (score, reason, run) => send({ type: "over", score, reason, run }),
+      rematch: () => send({ type: "rematch" }),
+      leave() {
+        send({ type: "leave" });
+        const socket = ws;
+        ws = null;
+        socket?.close();
+        setStatus("idle");
+        setRoom(null);
+        setStarted(null);
+        setResults(null);
+        setError(null);
+      },
+      close: () => ws?.close(),
+    };
+  }, []);
+
+  useEffect(() => actions.close, [actions]);
+
+  return { status, room, started, results, error, ...actions };
+}
@@ -0,0 +1,86 @@
+// src/lib/settings.js — player settings persisted in localStorage, with per-page-load URL overrides
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { DEFAULT_MODE } from "../game/modes.js";
+import { DEFAULT_THEME } from "../theme/pack.js";
+
+const STORAGE_KEY = "rsdd.settings";
+
+export const DEFAULT_SETTINGS = {
+  renderer: "canvas",   // canvas | dom
+  mode: DEFAULT_MODE,   // key of MODES
+  theme: DEFAULT_THEME, // theme pack id, /themes/<id>/manifest.json
+  laneKeys: ["1", "2", "3", "4", "5"],   // KeyboardEvent.key per lane, left to right
+  level: 0,             // selected bundled level (Levels mode)
+  levelsCleared: 0,     // levels below this index are cleared; this one is the next unlocked
+
+  // Accessibility
+  patterns: false,        // pattern + icon marks on packets, not just colour
+  highContrast: false,    // heavy yellow / black borders, no gloss
+  packetScale: 1,         // 1 | 1.25 | 1.5 × the normal packet size
+  reducedMotion: prefersReducedMotion(),   // slower ramp, no glow or pulsing
+
+  // Sound (0..1)
+  masterVolume: 0.8,
+  sfxVolume: 0.8,
+  musicVolume: 0.5,
+  muted: false,
+
+  // Privacy
+  telemetry: !doNotTrack(),   // anonymous gameplay events to the score service (src/lib/telemetry.js)
+};
+
+export const PACKET_SCALES = [1, 1.25, 1.5];
+
+function doNotTrack() {
+  return typeof navigator !== "undefined" && (navigator.doNotTrack === "1" || navigator.globalPrivacyControl === true);
+}
+
+function prefersReducedMotion() {
+  return typeof window !== "undefined" && !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+}
+
+function loadSaved() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// ?renderer=dom, ?mode=sprint, ?theme=midnight etc. win for this page load
+// (handy for booth debugging) but are never saved
+function urlOverrides() {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (params.has(key) && typeof DEFAULT_SETTINGS[key] === "string") fromUrl[key] = params.get(key);
+  }
+  return fromUrl;
+}
+
+/**
+ * [settings, update]. Only the player's own changes are persisted; a URL
+ * override stays in effect until the player changes that setting themselves.
+ */
+export function useSettings() {
+  const [saved, setSaved] = useState(loadSaved);
+  const [overrides, setOverrides] = useState(urlOverrides);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...DEFAULT_SETTINGS, ...saved }));
+    } catch { /* ignore */ }
+  }, [saved]);
+
+  const update = useCallback((patch) => {
+    setSaved((s) => ({ ...s, ...patch }));
+    setOverrides((o) => {
+      if (!Object.keys(patch).some((key) => key in o)) return o;
+      const rest = { ...o };
+      for (const key of Object.keys(patch)) delete rest[key];
+      return rest;
+    });
+  }, []);
+  const settings = useMemo(() => ({ ...DEFAULT_SETTINGS, ...saved, ...overrides }), [saved, overrides]);
+  return [settings, update];
+}
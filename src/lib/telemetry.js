@@ -0,0 +1,87 @@
+// src/lib/telemetry.js — anonymous gameplay events for the score service's /events collector (server/telemetry.js)
+//
+// A run's engine events are turned into a small structured stream (run_start,
+// spawn, hit, miss, corrupt_click with the corrupted theme, game_over), queued,
+// and sent in batches with navigator.sendBeacon, which survives the tab closing.
+// No names or profile ids go out: a run is only known by a random id. Players
+// can turn it off (settings.telemetry, off by default under Do Not Track), and
+// VITE_TELEMETRY=off leaves it out of a build.
+import { speedAt } from "../game/engine.js";
+import { BACKEND } from "./backend.js";
+
+const ENDPOINT  = import.meta.env.VITE_TELEMETRY === "off" || !BACKEND ? null : `${BACKEND}/events`;
+const BATCH_MAX = 200;      // events per beacon (the service takes up to 500)
+const FLUSH_MS  = 15_000;   // a partial batch goes out after this long
+
+/** False when this build has no collector to send to. */
+export const TELEMETRY_AVAILABLE = !!ENDPOINT;
+
+let enabled = false;
+let queue = [];
+let timer = 0;
+
+/** Player's choice (settings.telemetry); turning it off drops anything still queued. */
+export function setTelemetryEnabled(on) {
+  enabled = !!on && TELEMETRY_AVAILABLE;
+  if (enabled) return;
+  queue = [];
+  clearTimeout(timer);
+  timer = 0;
+}
+
+function send(events) {
+  const body = JSON.stringify({ events });
+  // a string goes out as text/plain, which needs no CORS preflight; losing a batch is fine
+  if (navigator.sendBeacon?.(ENDPOINT, body)) return;
+  fetch(ENDPOINT, { method: "POST", body, keepalive: true }).catch(() => { /* offline */ });
+}
+
+/** Send everything queued now (run over, tab hidden or closing). */
+export function flushTelemetry() {
+  clearTimeout(timer);
+  timer = 0;
+  while (queue.length) send(queue.splice(0, BATCH_MAX));
+}
+
+function track(event) {
+  if (!enabled) return;
+  queue.push(event);
+  if (queue.length >= BATCH_MAX) flushTelemetry();
+  else if (!timer) timer = setTimeout(flushTelemetry, FLUSH_MS);
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("pagehide", flushTelemetry);
+  document.addEventListener("visibilitychange", () => { if (document.hidden) flushTelemetry(); });
+}
+
+const runId = () => Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, "0")).join("");
+
+/**
+ * Telemetry for one run: feed it every engine event (event(e)) and call
+ * over(reason, timeMs) when the run ends. Speeds are the stream's fall speed
+ * in px/s when the event happened (a level's or scripted packet's own speed).
+ */
+export function runTelemetry({ mode, tuning, level = null }) {
+  const run = runId();
+  const t = (ms) => Math.round(ms);
+  const speedOf = (packet, ms) => Math.round(packet.speed ?? (level ? level.speed ?? tuning.baseSpeed : speedAt(ms, tuning)));
+  track({ type: "run_start", run, t: 0, mode: mode.id });
+
+  return {
+    event({ type, packet, timeMs }) {
+      const base = { run, t: t(timeMs), lane: packet.lane };
+      if (type === "spawn") {
+        track({ type, ...base, kind: packet.valid ? "valid" : packet.power ? "power" : packet.theme.name });
+      } else if (type === "hit" || type === "miss") {
+        track({ type, ...base, speed: speedOf(packet, timeMs) });
+      } else if (type === "corrupt" || type === "shielded") {
+        track({ type: "corrupt_click", ...base, speed: speedOf(packet, timeMs), theme: packet.theme.name, shielded: type === "shielded" });
+      }
+    },
+    over(reason, timeMs) {
+      track({ type: "game_over", run, t: t(timeMs), mode: mode.id, reason });
+      flushTelemetry();
+    },
+  };
+}
@@ -1,10 +1,25 @@
-import { StrictMode } from 'react';
+import { lazy, StrictMode, Suspense } from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
 
+// operators' dashboard; loaded only on /admin so players never download it
+const AdminApp = lazy(() => import('./admin/AdminApp.jsx'));
+const isAdmin = window.location.pathname.replace(/\/+$/, '') === '/admin';
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdmin ? (
+      <Suspense fallback={null}>
+        <AdminApp />
+      </Suspense>
+    ) : (
+      <App />
+    )}
   </StrictMode>
-);
\ No newline at end of file
+);
+
+// offline shell + installability; dev uses Vite's own module serving, so production only
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => navigator.serviceWorker.register('/sw.js'));
+}
@@ -0,0 +1,273 @@
+// src/render/canvasRenderer.js — draws the packet field on a single <canvas>
+import {
+  DULL_BORDER, DULL_FILTER, DULL_GLOW, DULL_PLATE, GOLD_BORDER, GOLD_GLOW, GOLD_INNER, GRAD_BORDER,
+  HC_CORRUPT_BORDER, HC_MARK_BG, HC_MARK_FG, HC_VALID_BORDER, POWER_BORDER, POWER_GLOW, POWER_THEME,
+  THEME_MARKS, VALID_MARK,
+} from "./palette.js";
+import { POWERUPS } from "../game/config.js";
+
+const RADIUS = 12;   // rounded-xl
+const PAD    = 36;   // room around a sprite for glow + drop shadow
+
+/* ============================== Sprite painting ============================ */
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, r);
+}
+
+// drop shadow outside the box only, like CSS box-shadow
+// (shadow offsets/blur ignore the transform, so scale them by hand)
+function outerShadow(ctx, s, { offsetY, blur, color }) {
+  const FAR = 10_000;
+  const k = ctx.getTransform().a;
+  ctx.save();
+  ctx.shadowColor = color;
+  ctx.shadowBlur = blur * k;
+  ctx.shadowOffsetX = FAR * k;
+  ctx.shadowOffsetY = offsetY * k;
+  ctx.fillStyle = "#000";
+  roundRect(ctx, PAD - FAR, PAD, s, s, RADIUS);
+  ctx.fill();
+  ctx.globalCompositeOperation = "destination-out";
+  ctx.shadowColor = "transparent";
+  roundRect(ctx, PAD, PAD, s, s, RADIUS);
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawContain(ctx, img, x, y, s) {
+  if (!img) return;
+  const k = Math.min(s / img.width, s / img.height);
+  const w = img.width * k;
+  const h = img.height * k;
+  ctx.drawImage(img, x + (s - w) / 2, y + (s - h) / 2, w, h);
+}
+
+// pattern ink over a gradient packet (stripes / dots / grid), clipped by the caller
+function paintPattern(ctx, s, pattern) {
+  ctx.fillStyle = "rgba(0,0,0,0.38)";
+  if (pattern === "stripes") {
+    ctx.save();
+    ctx.translate(PAD + s / 2, PAD + s / 2);
+    ctx.rotate(Math.PI / 4);
+    for (let x = -s; x < s; x += 10) ctx.fillRect(x, -s, 4, s * 2);
+    ctx.restore();
+  } else if (pattern === "dots") {
+    for (let y = 5; y < s; y += 10) {
+      for (let x = 5; x < s; x += 10) {
+        ctx.beginPath();
+        ctx.arc(PAD + x, PAD + y, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  } else if (pattern === "grid") {
+    for (let i = 0; i < s; i += 10) {
+      ctx.fillRect(PAD + i, PAD, 2, s);
+      ctx.fillRect(PAD, PAD + i, s, 2);
+    }
+  }
+}
+
+// round icon badge in the bottom-right corner
+function paintMark(ctx, s, icon) {
+  const d = Math.round(s * 0.36);
+  const cx = PAD + s - 2 - d / 2;
+  const cy = PAD + s - 2 - d / 2;
+  ctx.fillStyle = HC_MARK_BG;
+  ctx.beginPath();
+  ctx.arc(cx, cy, d / 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = HC_MARK_FG;
+  ctx.font = `bold ${Math.round(d * 0.62)}px system-ui, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(icon, cx, cy + 1);
+}
+
+function radialGloss(ctx, s, cx, cy, r, color, stop) {
+  const g = ctx.createRadialGradient(PAD + s * cx, PAD + s * cy, 0, PAD + s * cx, PAD + s * cy, s * r);
+  g.addColorStop(0, color);
+  g.addColorStop(stop, "rgba(255,255,255,0)");
+  ctx.fillStyle = g;
+  ctx.fillRect(PAD, PAD, s, s);
+}
+
+function paintValid(ctx, s, img, look) {
+  if (look.glow) {
+    outerShadow(ctx, s, { offsetY: 10, blur: 24, color: "rgba(0,0,0,0.35)" });
+
+    // 0 0 0 2px glow ring
+    ctx.strokeStyle = GOLD_GLOW;
+    ctx.lineWidth = 2;
+    roundRect(ctx, PAD - 1, PAD - 1, s + 2, s + 2, RADIUS + 1);
+    ctx.stroke();
+  }
+
+  ctx.save();
+  roundRect(ctx, PAD, PAD, s, s, RADIUS);
+  ctx.clip();
+  radialGloss(ctx, s, 0.12, 0.10, 1.2, "rgba(255,255,255,0.18)", 0.45);
+  radialGloss(ctx, s, 0.15, 0.12, 0.9, GOLD_INNER, 0.40);
+  drawContain(ctx, img, PAD, PAD, s);
+  ctx.restore();
+
+  border(ctx, s, look.highContrast ? HC_VALID_BORDER : GOLD_BORDER, look.highContrast ? 4 : 2);
+}
+
+function paintJalokim(ctx, s, img, look) {
+  if (look.glow) outerShadow(ctx, s, { offsetY: 10, blur: 22, color: DULL_GLOW });
+
+  ctx.save();
+  roundRect(ctx, PAD, PAD, s, s, RADIUS);
+  ctx.clip();
+  ctx.fillStyle = DULL_PLATE;
+  ctx.fillRect(PAD, PAD, s, s);
+  ctx.filter = DULL_FILTER;
+  drawContain(ctx, img, PAD, PAD, s);
+  ctx.restore();
+
+  border(ctx, s, look.highContrast ? HC_CORRUPT_BORDER : DULL_BORDER, look.highContrast ? 4 : 1);
+}
+
+function paintGradient(ctx, s, theme, look) {
+  if (look.glow) outerShadow(ctx, s, { offsetY: 12, blur: 24, color: "rgba(0,0,0,0.45)" });
+
+  ctx.save();
+  roundRect(ctx, PAD, PAD, s, s, RADIUS);
+  ctx.clip();
+  const g = ctx.createLinearGradient(0, PAD, 0, PAD + s);
+  g.addColorStop(0, theme.light);
+  g.addColorStop(0.58, theme.base);
+  g.addColorStop(1, theme.dark);
+  ctx.fillStyle = g;
+  ctx.fillRect(PAD, PAD, s, s);
+
+  // conic gloss (from 210deg at 30% 25%), screened on top
+  if (ctx.createConicGradient && !look.highContrast) {
+    const cg = ctx.createConicGradient(((210 - 90) * Math.PI) / 180, PAD + s * 0.3, PAD + s * 0.25);
+    cg.addColorStop(0, "rgba(255,255,255,0.28)");
+    cg.addColorStop(0.35, "rgba(255,255,255,0.28)");
+    cg.addColorStop(0.42, "rgba(255,255,255,0)");
+    cg.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.globalCompositeOperation = "screen";
+    ctx.fillStyle = cg;
+    ctx.fillRect(PAD, PAD, s, s);
+    ctx.globalCompositeOperation = "source-over";
+  }
+  if (look.patterns) paintPattern(ctx, s, THEME_MARKS[theme.name]?.pattern);
+  ctx.restore();
+
+  border(ctx, s, look.highContrast ? HC_CORRUPT_BORDER : GRAD_BORDER, look.highContrast ? 4 : 1);
+}
+
+function paintPower(ctx, s, icon, look) {
+  const c = PAD + s / 2;
+  if (look.glow) {
+    ctx.save();
+    ctx.shadowColor = POWER_GLOW;
+    ctx.shadowBlur = 14 * ctx.getTransform().a;
+    ctx.fillStyle = POWER_GLOW;
+    ctx.beginPath();
+    ctx.arc(c, c, s / 2 + 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  const g = ctx.createLinearGradient(0, PAD, 0, PAD + s);
+  g.addColorStop(0, POWER_THEME.light);
+  g.addColorStop(0.58, POWER_THEME.base);
+  g.addColorStop(1, POWER_THEME.dark);
+  ctx.fillStyle = g;
+  ctx.beginPath();
+  ctx.arc(c, c, s / 2, 0, Math.PI * 2);
+  ctx.fill();
+
+  const w = look.highContrast ? 4 : 2;
+  ctx.strokeStyle = look.highContrast ? HC_VALID_BORDER : POWER_BORDER;
+  ctx.lineWidth = w;
+  ctx.beginPath();
+  ctx.arc(c, c, s / 2 - w / 2, 0, Math.PI * 2);
+  ctx.stroke();
+
+  ctx.fillStyle = "#fff";
+  ctx.font = `bold ${Math.round(s * 0.46)}px system-ui, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(icon, c, c + 1);
+}
+
+// inside stroke of `width` px, like a CSS border
+function border(ctx, s, color, width) {
+  const h = width / 2;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  roundRect(ctx, PAD + h, PAD + h, s - width, s - width, RADIUS - h);
+  ctx.stroke();
+}
+
+/* ============================== Renderer =================================== */
+// Packets are painted once per look/size into an offscreen sprite (shadows,
+// gradients and filters are the expensive part) and then blitted each frame.
+export function createCanvasRenderer(canvas, { bitmaps, look, skin }) {
+  const ctx = canvas.getContext("2d");
+  const sprites = new Map();
+  let dpr = 1;
+  let width = 0;
+  let height = 0;
+
+  function sprite(p) {
+    // the theme pack's art for what the engine picked
+    const img = skin.valid.get(p.img) ?? p.img;
+    const theme = p.theme && (skin.corrupt.get(p.theme.name) ?? p.theme);
+    const key = p.power ? `p:${p.power}:${p.size}` : p.valid ? `v:${img}:${p.size}` : `c:${theme.name}:${p.size}`;
+    // (look changes clear the cache, so it isn't part of the key)
+    let sp = sprites.get(key);
+    if (sp) return sp;
+
+    const full = p.size + PAD * 2;
+    sp = document.createElement("canvas");
+    sp.width = Math.ceil(full * dpr);
+    sp.height = Math.ceil(full * dpr);
+    const sc = sp.getContext("2d");
+    sc.scale(dpr, dpr);
+    if (p.power) paintPower(sc, p.size, POWERUPS[p.power].icon, look);
+    else if (p.valid) paintValid(sc, p.size, bitmaps.get(img), look);
+    else if (theme.kind === "image") paintJalokim(sc, p.size, bitmaps.get(theme.src), look);
+    else paintGradient(sc, p.size, theme, look);
+
+    const mark = p.power ? null : p.valid ? VALID_MARK : THEME_MARKS[theme.name]?.icon;
+    if (look.patterns && mark) paintMark(sc, p.size, mark);
+
+    sprites.set(key, sp);
+    return sp;
+  }
+
+  return {
+    setLook(next) {
+      look = next;
+      sprites.clear();
+    },
+
+    resize(w, h, pixelRatio = window.devicePixelRatio || 1) {
+      if (w === width && h === height && pixelRatio === dpr) return;
+      if (pixelRatio !== dpr) sprites.clear();
+      width = w; height = h; dpr = pixelRatio;
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    },
+
+    draw(packets) {
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      for (const p of packets) {
+        const full = p.size + PAD * 2;
+        ctx.drawImage(sprite(p), p.x - PAD, p.y - PAD, full, full);
+      }
+    },
+
+    clear() {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    },
+  };
+}
@@ -0,0 +1,23 @@
+// src/render/images.js
+
+/* ============================== Bitmap preload ============================= */
+// Decode every image up front so nothing flickers in on first spawn. Resolves
+// to src → ImageBitmap (or the decoded <img> where createImageBitmap is missing);
+// images that fail to load are left out and simply not drawn.
+export async function loadBitmaps(srcs) {
+  const entries = await Promise.all(
+    [...new Set(srcs)].map(async (src) => {
+      try {
+        const im = new Image();
+        im.decoding = "async";
+        im.src = src;
+        await im.decode();
+        const bmp = typeof createImageBitmap === "function" ? await createImageBitmap(im) : im;
+        return [src, bmp];
+      } catch {
+        return null;
+      }
+    })
+  );
+  return new Map(entries.filter(Boolean));
+}
@@ -0,0 +1,60 @@
+// src/render/palette.js — packet looks shared by the DOM and canvas renderers
+
+/* Highlight palette for valid vs. Jalokim */
+export const GOLD_BORDER = "rgba(250,204,21,0.95)";     // gold-400/500
+export const GOLD_GLOW   = "rgba(250,204,21,0.40)";
+export const GOLD_INNER  = "rgba(255,255,255,0.24)";
+export const DULL_BORDER = "rgba(200,200,210,0.22)";    // cooler, thinner
+export const DULL_GLOW   = "rgba(0,0,0,0.55)";
+export const DULL_PLATE  = "rgba(15,15,18,0.78)";       // darker plate behind Jalokim
+export const DULL_FILTER = "saturate(0.9) brightness(0.92) contrast(0.98)";
+export const GRAD_BORDER = "rgba(255,255,255,0.32)";
+
+/* Power-ups: round cyan "oracle" plate with the power-up's icon */
+export const POWER_THEME  = { light: "#67E8F9", base: "#06B6D4", dark: "#0E7490" };
+export const POWER_BORDER = "rgba(255,255,255,0.90)";
+export const POWER_GLOW   = "rgba(34,211,238,0.55)";
+
+export function shinyGradient(theme) {
+  return `linear-gradient(180deg, ${theme.light} 0%, ${theme.base} 58%, ${theme.dark} 100%)`;
+}
+export function glossLayer() {
+  return `conic-gradient(from 210deg at 30% 25%, rgba(255,255,255,0.28) 0 35%, transparent 42% 100%)`;
+}
+
+/* ============================== Accessibility looks ======================== */
+// Colour alone isn't enough to tell corrupted packets apart, so each theme also
+// gets a pattern and an icon; valid logos get a check mark.
+export const VALID_MARK = "✓";
+export const THEME_MARKS = {
+  blue:    { icon: "✕", pattern: "stripes" },
+  green:   { icon: "▲", pattern: "dots" },
+  purple:  { icon: "●", pattern: "grid" },
+  jalokim: { icon: "⚠", pattern: null },
+};
+
+// High-contrast palette: thick pure borders, no translucency
+export const HC_VALID_BORDER   = "#FFE600";
+export const HC_CORRUPT_BORDER = "#000000";
+export const HC_MARK_BG        = "rgba(0,0,0,0.85)";
+export const HC_MARK_FG        = "#FFFFFF";
+
+/** Render options shared by both renderers, derived from the player's settings. */
+export function packetLook(settings) {
+  return {
+    patterns: settings.patterns,
+    highContrast: settings.highContrast,
+    glow: !settings.reducedMotion,
+  };
+}
+
+/** CSS background layer for a theme's pattern (DOM renderer). */
+export function patternLayer(pattern) {
+  const ink = "rgba(0,0,0,0.38)";
+  switch (pattern) {
+    case "stripes": return `repeating-linear-gradient(45deg, ${ink} 0 4px, transparent 4px 10px)`;
+    case "dots":    return `radial-gradient(${ink} 2.5px, transparent 3px) 0 0/10px 10px`;
+    case "grid":    return `linear-gradient(${ink} 2px, transparent 2px) 0 0/10px 10px, linear-gradient(90deg, ${ink} 2px, transparent 2px) 0 0/10px 10px`;
+    default:        return null;
+  }
+}
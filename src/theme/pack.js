@@ -0,0 +1,140 @@
+// src/theme/pack.js — brand theme packs: packet art, palette and header copy
+//
+// A pack lives at /themes/<id>/manifest.json (public/themes/<id>/ in this repo)
+// and is picked with the `theme` setting or ?theme=<id>. Image paths in the
+// manifest are relative to the manifest.
+//
+//   {
+//     "id": "midnight",
+//     "title": { "brand": "Midnight:", "rest": "Data Defender" },
+//     "palette": { "brand": "#2563EB", "brandLight": "#60A5FA", "brandDark": "#1E3A8A" },
+//     "legend": { "valid": "Click valid packets", "validNote": "(logos)", "corrupt": "avoid corrupted ones" },
+//     "tagline": "Verify fast. Keep the stream clean.",
+//     "valid": ["logo-a.png", "logo-b.png"],
+//     "corrupt": [
+//       { "kind": "grad", "label": "corrupted (orange)", "light": "#FDBA74", "base": "#F97316", "dark": "#C2410C" },
+//       { "kind": "image", "label": "corrupted (virus)", "src": "virus.png" }
+//     ]
+//   }
+//
+// Packs only reskin: the engine still picks from VALID_LOGOS / CORRUPT_THEMES,
+// so seeds and verified replays are the same under every pack. Those picks are
+// mapped onto the pack's art by position (cycling when the pack has fewer).
+import { useEffect, useState } from "react";
+import { CORRUPT_THEMES, VALID_LOGOS } from "../game/config.js";
+
+export const DEFAULT_THEME = "redstone";
+const HEX = /^#[0-9a-f]{6}$/i;
+
+export const DEFAULT_PACK = {
+  id: DEFAULT_THEME,
+  title: { brand: "RedStone:", rest: "Data Defender" },
+  palette: { brand: "#B60D1D", brandLight: "#E03544", brandDark: "#8E0A15" },
+  legend: { valid: "Click valid packets", validNote: "(logos)", corrupt: "avoid corrupted ones" },
+  tagline: "Verify fast. Keep the stream clean.",
+  valid: VALID_LOGOS,
+  corrupt: CORRUPT_THEMES.map((t) => ({
+    ...t,
+    label: t.kind === "image" ? "corrupted (Jalokim)" : `corrupted (${t.name})`,
+  })),
+};
+
+/* ============================== Validator ================================== */
+/** Every problem with a manifest, as "path: message" strings; empty when it is valid. */
+export function validatePack(m) {
+  const errors = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+  const str = (path, v) => { if (v != null && (typeof v !== "string" || !v.trim())) err(path, "must be a non-empty string"); };
+
+  if (!m || typeof m !== "object" || Array.isArray(m)) return ["manifest: must be a JSON object"];
+  str("title.brand", m.title?.brand);
+  str("title.rest", m.title?.rest);
+  str("tagline", m.tagline);
+  for (const key of ["valid", "validNote", "corrupt"]) str(`legend.${key}`, m.legend?.[key]);
+  for (const key of ["brand", "brandLight", "brandDark"]) {
+    if (m.palette?.[key] != null && !HEX.test(m.palette[key])) err(`palette.${key}`, "must be a #rrggbb colour");
+  }
+
+  if (m.valid != null) {
+    if (!Array.isArray(m.valid) || m.valid.length === 0) err("valid", "must be a non-empty array of image paths");
+    else m.valid.forEach((src, i) => str(`valid[${i}]`, src ?? ""));
+  }
+  if (m.corrupt != null) {
+    if (!Array.isArray(m.corrupt) || m.corrupt.length === 0) err("corrupt", "must be a non-empty array");
+    else {
+      m.corrupt.forEach((t, i) => {
+        const p = `corrupt[${i}]`;
+        str(`${p}.label`, t?.label);
+        if (t?.kind === "grad") {
+          for (const key of ["light", "base", "dark"]) if (!HEX.test(t[key] ?? "")) err(`${p}.${key}`, "must be a #rrggbb colour");
+        } else if (t?.kind === "image") {
+          str(`${p}.src`, t.src ?? "");
+        } else {
+          err(`${p}.kind`, 'must be "grad" or "image"');
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/* ============================== Loading ==================================== */
+/** Fetches and validates /themes/<id>/manifest.json, filling gaps from DEFAULT_PACK. */
+export async function loadThemePack(id) {
+  if (!id || id === DEFAULT_THEME) return DEFAULT_PACK;
+  if (!/^[a-z0-9-]{1,40}$/.test(id)) throw new Error(`theme id "${id}" must be a-z, 0-9 and -`);
+
+  const url = new URL(`/themes/${id}/manifest.json`, window.location.origin);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`theme "${id}": manifest ${res.status}`);
+  const m = await res.json();
+  const errors = validatePack(m);
+  if (errors.length) throw new Error(`theme "${id}" is invalid:\n  ${errors.join("\n  ")}`);
+
+  const abs = (src) => new URL(src, url).href;
+  return {
+    id,
+    title: { ...DEFAULT_PACK.title, ...m.title },
+    palette: { ...DEFAULT_PACK.palette, ...m.palette },
+    legend: { ...DEFAULT_PACK.legend, ...m.legend },
+    tagline: m.tagline ?? DEFAULT_PACK.tagline,
+    valid: m.valid ? m.valid.map(abs) : DEFAULT_PACK.valid,
+    corrupt: m.corrupt
+      ? m.corrupt.map((t) => (t.kind === "image" ? { ...t, src: abs(t.src) } : t))
+      : DEFAULT_PACK.corrupt,
+  };
+}
+
+/**
+ * [pack, error] for theme `id`: the default pack while loading, and with the
+ * load or validation error (shown by App.jsx) when it fails.
+ */
+export function useThemePack(id) {
+  const [loaded, setLoaded] = useState({ pack: DEFAULT_PACK, error: null });
+  useEffect(() => {
+    let alive = true;
+    loadThemePack(id)
+      .then((pack) => { if (alive) setLoaded({ pack, error: null }); })
+      .catch((e) => { if (alive) setLoaded({ pack: DEFAULT_PACK, error: e.message }); });
+    return () => { alive = false; };
+  }, [id]);
+  return [loaded.pack, loaded.error];
+}
+
+/* ============================== Skinning =================================== */
+/**
+ * Lookup tables from what the engine picked to what the pack draws:
+ * valid: logo src → pack image, corrupt: theme name → pack theme (keeps the
+ * engine's name, which the accessibility patterns key on).
+ */
+export function packSkin(pack) {
+  return {
+    valid: new Map(VALID_LOGOS.map((src, i) => [src, pack.valid[i % pack.valid.length]])),
+    corrupt: new Map(CORRUPT_THEMES.map((t, i) => [t.name, { ...pack.corrupt[i % pack.corrupt.length], name: t.name }])),
+  };
+}
+
+/** Every image the pack can draw, for the preload step. */
+export function packImages(pack) {
+  return [...pack.valid, ...pack.corrupt.filter((t) => t.kind === "image").map((t) => t.src)];
+}
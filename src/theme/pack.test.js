@@ -0,0 +1,67 @@
+// src/theme/pack.test.js — theme pack manifests and how they reskin the engine's picks (node --test)
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+import { describe, test } from "node:test";
+import { CORRUPT_THEMES, VALID_LOGOS } from "../game/config.js";
+import { DEFAULT_PACK, packImages, packSkin, validatePack } from "./pack.js";
+
+const THEMES_DIR = new URL("../../public/themes/", import.meta.url);
+
+/* ============================== Validator ================================== */
+describe("validatePack", () => {
+  test("accepts every bundled pack and an empty manifest", async () => {
+    const ids = await readdir(THEMES_DIR);
+    assert.ok(ids.length > 0);
+    for (const id of ids) {
+      const manifest = JSON.parse(await readFile(new URL(`${id}/manifest.json`, THEMES_DIR), "utf8"));
+      assert.deepEqual(validatePack(manifest), [], id);
+    }
+    assert.deepEqual(validatePack({}), []);
+  });
+
+  test("names the path of every problem", () => {
+    const errors = validatePack({
+      title: { brand: "" },
+      legend: { corrupt: 3 },
+      palette: { brand: "red", brandDark: "#123" },
+      valid: ["a.png", ""],
+      corrupt: [
+        { kind: "grad", label: "orange", light: "#FDBA74", base: "#F97316" },
+        { kind: "image", label: "virus" },
+        { kind: "video", label: "nope" },
+        { kind: "grad", light: "#000000", base: "#000000", dark: "#000000", label: " " },
+      ],
+    });
+    assert.deepEqual(errors.map((e) => e.split(":")[0]), [
+      "title.brand", "legend.corrupt", "palette.brand", "palette.brandDark", "valid[1]",
+      "corrupt[0].dark", "corrupt[1].src", "corrupt[2].kind", "corrupt[3].label",
+    ]);
+  });
+
+  test("needs an object with non-empty art lists", () => {
+    assert.deepEqual(validatePack(null), ["manifest: must be a JSON object"]);
+    assert.deepEqual(validatePack(["a"]), ["manifest: must be a JSON object"]);
+    assert.deepEqual(validatePack({ valid: [], corrupt: [] }).map((e) => e.split(":")[0]), ["valid", "corrupt"]);
+  });
+});
+
+/* ============================== Skinning =================================== */
+describe("packSkin", () => {
+  test("the default pack draws the engine's own art", () => {
+    const skin = packSkin(DEFAULT_PACK);
+    for (const src of VALID_LOGOS) assert.equal(skin.valid.get(src), src);
+    for (const t of CORRUPT_THEMES) assert.equal(skin.corrupt.get(t.name).kind, t.kind);
+  });
+
+  test("cycles a smaller pack's art and keeps the engine's theme names", () => {
+    const pack = {
+      ...DEFAULT_PACK,
+      valid: ["/themes/x/a.png", "/themes/x/b.png"],
+      corrupt: [{ kind: "image", label: "virus", src: "/themes/x/virus.png" }],
+    };
+    const skin = packSkin(pack);
+    assert.deepEqual(VALID_LOGOS.map((src) => skin.valid.get(src)), VALID_LOGOS.map((_, i) => pack.valid[i % 2]));
+    for (const t of CORRUPT_THEMES) assert.deepEqual(skin.corrupt.get(t.name), { ...pack.corrupt[0], name: t.name });
+    assert.deepEqual(packImages(pack), ["/themes/x/a.png", "/themes/x/b.png", "/themes/x/virus.png"]);
+  });
+});